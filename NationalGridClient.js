@@ -2,6 +2,8 @@ import 'dotenv/config';
 import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { PDFParse } from 'pdf-parse';
+import { logger } from './logger.js';
 
 // Constants
 const CLIENT_ID = '36488660-e86a-4a0d-8316-3df49af8d06d';
@@ -19,6 +21,12 @@ const TOKEN_URL = `${BASE_URL}/oauth2/v2.0/token`;
 const SELF_ASSERTED_URL = `${BASE_URL}/SelfAsserted`;
 const CONFIRMED_URL = `${BASE_URL}/api/CombinedSigninAndSignup/confirmed`;
 const POLICY = 'B2C_1A_NationalGrid_convert_merge_signin';
+const DEFAULT_REGION = 'nyupstate';
+const DEFAULT_CUSTOMER_TYPE = 'home';
+// Refresh this long before the access token actually expires
+const ACCESS_TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// Assumed for tokens whose response gives no expires_in
+const DEFAULT_ACCESS_TOKEN_LIFETIME_MS = 5 * 60 * 1000;
 
 // PKCE Helper Functions
 function base64URLEncode(str) {
@@ -41,6 +49,212 @@ function generateChallenge(verifier) {
   return base64URLEncode(sha256(verifier));
 }
 
+const MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+// "Oct 18, 2023", "October 18 2023" or "10/18/2023"
+const DATE_PATTERN = String.raw`[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4}`;
+
+/**
+ * Converts a date as printed on a bill into YYYY-MM-DD.
+ *
+ * @param {string} str
+ * @returns {string|null}
+ */
+function toIsoDate(str) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const numeric = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    const [, month, day, year] = numeric;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+  const named = str.match(
+    /^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/
+  );
+  const month = named && MONTHS.indexOf(named[1].toLowerCase()) + 1;
+  return month ? `${named[3]}-${pad(month)}-${pad(named[2])}` : null;
+}
+
+/**
+ * Parses NATIONAL_GRID_CREDENTIALS into one entry per account. Accepts a
+ * single account, or shared login fields plus an `accounts` list whose
+ * entries add `accountNumber`, `region`, `customerType` and `folder`, and may
+ * override any shared field (e.g. a separate login for another territory).
+ *
+ * When there is more than one account, each gets its own Drive subfolder,
+ * named after `folder` or else the account number.
+ *
+ * @param {string} raw - The NATIONAL_GRID_CREDENTIALS JSON.
+ * @returns {Array<{signInName: string, password: string, subscriptionKey: string, accountNumber: string, region: string, customerType: string, folder: string|null}>}
+ * @throws {Error} If credentials are missing or invalid.
+ */
+export function parseNationalGridAccounts(raw) {
+  if (!raw) {
+    throw new Error('❌ NATIONAL_GRID_CREDENTIALS not found in .env');
+  }
+
+  let creds;
+  try {
+    creds = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `❌ Failed to parse NATIONAL_GRID_CREDENTIALS: ${error.message}`
+    );
+  }
+
+  const { accounts = [{}], ...shared } = creds;
+  return accounts.map((entry) => {
+    const account = {
+      region: DEFAULT_REGION,
+      customerType: DEFAULT_CUSTOMER_TYPE,
+      ...shared,
+      ...entry,
+    };
+    if (
+      !account.signInName ||
+      !account.password ||
+      !account.accountNumber ||
+      !account.subscriptionKey
+    ) {
+      throw new Error(
+        '❌ Invalid credentials JSON. Expected "signInName", "password", "accountNumber", and "subscriptionKey".'
+      );
+    }
+    const accountNumber = String(account.accountNumber);
+    return {
+      ...account,
+      accountNumber,
+      folder: account.folder ?? (accounts.length > 1 ? accountNumber : null),
+    };
+  });
+}
+
+/**
+ * Picks the account a bill email is about. National Grid emails show the
+ * account number in full or masked down to its last digits
+ * ("account ending in 67890", "*****67890").
+ *
+ * @param {Array<Object>} accounts - From `parseNationalGridAccounts`.
+ * @param {string} text - The email subject and body.
+ * @returns {Object|null} - The account, or null if none or several match.
+ */
+export function findAccountInText(accounts, text) {
+  const numbers = (text.match(/\d[\d\s-]{3,}\d/g) ?? []).map((n) =>
+    n.replace(/\D/g, '')
+  );
+  const tails = [
+    ...text.matchAll(
+      /(?:ending(?:\s+(?:in|with))?|[x*•]{2,}[\s-]?)\s*(\d{4,})/gi
+    ),
+  ].map(([, digits]) => digits);
+
+  const matches = accounts.filter((account) => {
+    const digits = account.accountNumber.replace(/\D/g, '');
+    return (
+      numbers.includes(digits) || tails.some((tail) => digits.endsWith(tail))
+    );
+  });
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Reads which statement a "bill is ready" email is about. The emails use the
+ * same labels as the bill itself.
+ *
+ * @param {string} text - The email subject and body.
+ * @returns {{statementDate: string|null, amountDue: number|null}}
+ */
+export function parseBillEmail(text) {
+  const { statementDate, amountDue } = parseBillText(text);
+  return { statementDate, amountDue };
+}
+
+/**
+ * Picks the statement an email refers to from the bill history.
+ *
+ * @param {Array<Object>} bills - From `getBillHistory`, newest first.
+ * @param {Object} reference - From `parseBillEmail`.
+ * @returns {Object|null}
+ */
+function findStatement(bills, { statementDate, amountDue }) {
+  if (statementDate) {
+    return bills.find((bill) => bill.statementDate === statementDate) ?? null;
+  }
+  // Only the newest bill is compared, so an older bill for the same amount
+  // is not mistaken for one the portal has not published yet
+  const [latest] = bills;
+  return latest && Math.abs(Number(latest.totalDueAmount) - amountDue) < 0.005
+    ? latest
+    : null;
+}
+
+/**
+ * Name under which a bill PDF is saved, locally and in Drive.
+ *
+ * @param {string} statementDate - YYYY-MM-DD
+ * @returns {string}
+ */
+export function billFileName(statementDate) {
+  return `NG_Bill_${statementDate}.pdf`;
+}
+
+/**
+ * Extracts bill details from the text of a National Grid bill PDF. Fields
+ * that cannot be found are null (or an empty list for `usage`).
+ *
+ * @param {string} text - Text extracted from the bill PDF.
+ * @returns {{statementDate: string|null, amountDue: number|null, dueDate: string|null, billingPeriod: {fromDate: string, toDate: string}|null, usage: Array<{type: string, quantity: number, unit: string}>}}
+ */
+export function parseBillText(text) {
+  const dateAfter = (label) => {
+    const match = text.match(
+      new RegExp(`(?:${label})[:\\s]+(${DATE_PATTERN})`, 'i')
+    );
+    return match ? toIsoDate(match[1]) : null;
+  };
+
+  const amountMatch = text.match(/Amount Due[^$\d]{0,40}\$\s*([\d,]+\.\d{2})/i);
+  const periodMatch = text.match(
+    new RegExp(
+      `(?:Billing Period|Service Period|Service From)[:\\s]+(${DATE_PATTERN})\\s*(?:-|–|to)\\s*(${DATE_PATTERN})`,
+      'i'
+    )
+  );
+  const usage = [
+    ...text.matchAll(
+      /(Electric|Gas)\s+Usage[^\d]{0,40}([\d,]+(?:\.\d+)?)\s*(kWh|therms?|CCF)\b/gi
+    ),
+  ].map(([, type, quantity, unit]) => ({
+    type: type.toUpperCase(),
+    quantity: Number(quantity.replace(/,/g, '')),
+    unit,
+  }));
+
+  return {
+    statementDate: dateAfter('Date Bill Issued|Bill Date|Statement Date'),
+    amountDue: amountMatch ? Number(amountMatch[1].replace(/,/g, '')) : null,
+    dueDate: dateAfter('Please Pay By|Payment Due Date|Due Date'),
+    billingPeriod: periodMatch
+      ? {
+          fromDate: toIsoDate(periodMatch[1]),
+          toDate: toIsoDate(periodMatch[2]),
+        }
+      : null,
+    usage,
+  };
+}
+
 /**
  * Helper class for managing cookies during the authentication flow.
  */
@@ -103,46 +317,153 @@ class CookieJar {
  * and PDF bill downloading.
  */
 export default class NationalGridClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.tokenStore] - Persists tokens between runs (see `createFirestoreTokenStore`); without one, every new client logs in with the password.
+   * @param {Object} [options.account] - An entry from `parseNationalGridAccounts` (default: the first account in NATIONAL_GRID_CREDENTIALS).
+   * @param {Object} [options.notifier] - Told about login and subscription key failures (see `combineNotifiers`).
+   * @param {boolean} [options.dryRun] - Load stored tokens but never save renewed ones.
+   */
+  constructor({
+    tokenStore = null,
+    account = null,
+    notifier = null,
+    dryRun = false,
+  } = {}) {
     this.cookieJar = new CookieJar();
     this.accessToken = null;
+    this.accessTokenExpiresAt = null;
+    this.refreshToken = null;
+    this.tokenStore = tokenStore;
+    this.dryRun = dryRun;
+    this.account = account;
+    this.notifier = notifier;
     this.signInName = null;
     this.password = null;
   }
 
   /**
-   * Loads and validates credentials from the environment variable.
-   * Supports JSON format or "username:password".
+   * Loads the account this client serves, from the constructor or from the
+   * environment variable.
    *
    * @throws {Error} If credentials are missing or invalid.
    */
   loadCredentials() {
-    const credentialsRaw = process.env.NATIONAL_GRID_CREDENTIALS;
-    if (!credentialsRaw) {
-      throw new Error('❌ NATIONAL_GRID_CREDENTIALS not found in .env');
-    }
+    const account =
+      this.account ??
+      parseNationalGridAccounts(process.env.NATIONAL_GRID_CREDENTIALS)[0];
+
+    this.signInName = account.signInName;
+    this.password = account.password;
+    this.accountNumber = account.accountNumber;
+    this.subscriptionKey = account.subscriptionKey;
+    this.region = account.region;
+    this.customerType = account.customerType;
+    this.folder = account.folder;
+  }
+
+  /**
+   * Obtains an access token, preferring (in order) a still valid stored
+   * access token, the `refresh_token` grant, and finally the interactive
+   * password login.
+   *
+   * @returns {Promise<void>}
+   */
+  async login() {
+    this.loadCredentials();
 
+    if (await this.refreshSession()) {
+      return;
+    }
     try {
-      const creds = JSON.parse(credentialsRaw);
-      this.signInName = creds.signInName;
-      this.password = creds.password;
-      this.accountNumber = creds.accountNumber;
-      this.subscriptionKey = creds.subscriptionKey;
+      await this.passwordLogin();
     } catch (error) {
-      throw new Error(
-        `❌ Failed to parse NATIONAL_GRID_CREDENTIALS: ${error.message}`
-      );
+      await this.#notifyFailure({
+        title: `National Grid login failed for account ${this.accountNumber}`,
+        text: `${error.message}\n\nCheck the signInName and password in NATIONAL_GRID_CREDENTIALS.`,
+      });
+      throw error;
     }
+  }
 
-    if (
-      !this.signInName ||
-      !this.password ||
-      !this.accountNumber ||
-      !this.subscriptionKey
-    ) {
-      throw new Error(
-        '❌ Invalid credentials JSON. Expected "signInName", "password", "accountNumber", and "subscriptionKey".'
+  /**
+   * Whether the current access token can still be used. Tokens of unknown
+   * expiry are not.
+   *
+   * @returns {boolean}
+   */
+  hasValidAccessToken() {
+    return (
+      !!this.accessToken &&
+      !!this.accessTokenExpiresAt &&
+      this.accessTokenExpiresAt - ACCESS_TOKEN_EXPIRY_MARGIN_MS > Date.now()
+    );
+  }
+
+  /**
+   * Restores the session from the token store, redeeming the refresh token
+   * if the stored access token has expired.
+   *
+   * @returns {Promise<boolean>} - false if the password login is needed.
+   */
+  async refreshSession() {
+    if (!this.refreshToken && this.tokenStore) {
+      try {
+        const stored = await this.tokenStore.load(this.accountNumber);
+        if (stored) {
+          this.refreshToken = stored.refreshToken ?? null;
+          this.accessToken = stored.accessToken ?? null;
+          this.accessTokenExpiresAt = stored.accessTokenExpiresAt ?? null;
+        }
+      } catch (error) {
+        logger.warn(`⚠️ Could not load stored tokens: ${error.message}`);
+      }
+    }
+
+    if (this.hasValidAccessToken()) {
+      logger.info('🔑 Reusing stored access token.');
+      return true;
+    }
+    if (!this.refreshToken) {
+      return false;
+    }
+
+    logger.info('🔄 Refreshing access token...');
+    const tokenParams = new URLSearchParams();
+    tokenParams.append('client_id', CLIENT_ID);
+    tokenParams.append('scope', SCOPE);
+    tokenParams.append('grant_type', 'refresh_token');
+    tokenParams.append('refresh_token', this.refreshToken);
+
+    try {
+      const tokenResponse = await fetch(TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': USER_AGENT,
+          Origin: ORIGIN,
+        },
+        body: tokenParams,
+      });
+      const tokenBody = await tokenResponse.json();
+      logger.info(`✅ Refresh Response Status: ${tokenResponse.status}`);
+
+      if (!tokenResponse.ok || !tokenBody.access_token) {
+        throw new Error(
+          tokenBody.error_description ?? tokenBody.error ?? 'no access_token'
+        );
+      }
+      await this.#setTokens(tokenBody);
+      logger.info('🔑 Access Token refreshed successfully.');
+      return true;
+    } catch (error) {
+      logger.warn(
+        `⚠️ Token refresh failed, falling back to password login: ${error.message}`
       );
+      this.accessToken = null;
+      this.accessTokenExpiresAt = null;
+      this.refreshToken = null;
+      return false;
     }
   }
 
@@ -152,9 +473,9 @@ export default class NationalGridClient {
    *
    * @returns {Promise<void>}
    */
-  async login() {
+  async passwordLogin() {
     this.loadCredentials();
-    console.log('🚀 Starting National Grid login process...');
+    logger.info('🚀 Starting National Grid login process...');
 
     // Generate PKCE and State
     const codeVerifier = generateVerifier();
@@ -162,7 +483,7 @@ export default class NationalGridClient {
     const clientRequestId = crypto.randomUUID();
     const state = base64URLEncode(crypto.randomBytes(32));
 
-    console.log(`🔑 Generated PKCE Verifier: ${codeVerifier}`);
+    logger.debug(`🔑 Generated PKCE Verifier: ${codeVerifier}`);
 
     // 1. Initial GET request to establish session
     const initialParams = new URLSearchParams({
@@ -178,8 +499,8 @@ export default class NationalGridClient {
       code_challenge: codeChallenge,
       code_challenge_method: 'S256',
       state: state,
-      region: 'nyupstate',
-      customer_type: 'home',
+      region: this.region,
+      customer_type: this.customerType,
     });
 
     const initialUrl = `${AUTHORIZE_URL}?${initialParams.toString()}`;
@@ -222,7 +543,7 @@ export default class NationalGridClient {
       throw new Error('❌ Could not extract TID from x-ms-cpim-trans cookie');
     }
 
-    console.log(`🍪 Extracted TID: ${tid}`);
+    logger.debug(`🍪 Extracted TID: ${tid}`);
 
     // Construct tx parameter
     const txData = { TID: tid };
@@ -261,7 +582,7 @@ export default class NationalGridClient {
     }
 
     const responseBody = await postResponse.json();
-    console.log('📬 Login Response Status:', responseBody.status);
+    logger.info(`📬 Login Response Status: ${responseBody.status}`);
 
     // Update cookies from POST response
     this.cookieJar.update(postResponse.headers.getSetCookie());
@@ -290,7 +611,7 @@ export default class NationalGridClient {
     txParam = Buffer.from(newTxJson).toString('base64');
 
     // 3. Call 'confirmed' endpoint
-    console.log('📞 Calling confirmed endpoint...');
+    logger.info('📞 Calling confirmed endpoint...');
     const confirmedUrl = `${CONFIRMED_URL}?csrf_token=${encodeURIComponent(csrfToken)}&tx=StateProperties=${txParam}&p=${POLICY}`;
 
     const confirmedResponse = await fetch(confirmedUrl, {
@@ -302,7 +623,7 @@ export default class NationalGridClient {
       redirect: 'manual',
     });
 
-    console.log(`✅ Confirmed Response Status: ${confirmedResponse.status}`);
+    logger.info(`✅ Confirmed Response Status: ${confirmedResponse.status}`);
 
     let redirectUrl;
     if (confirmedResponse.status === 302 || confirmedResponse.status === 301) {
@@ -317,7 +638,7 @@ export default class NationalGridClient {
       throw new Error('❌ No Location header found');
     }
 
-    console.log(`🔗 Redirect URL: ${redirectUrl}`);
+    logger.debug(`🔗 Redirect URL: ${redirectUrl}`);
 
     // Extract Code
     const redirectObj = new URL(redirectUrl);
@@ -334,10 +655,10 @@ export default class NationalGridClient {
       throw new Error('❌ Authorization Code not found in redirect URL');
     }
 
-    console.log(`🎟️ Authorization Code: ${code}`);
+    logger.debug(`🎟️ Authorization Code: ${code}`);
 
     // 4. Exchange Code for Token
-    console.log('🔄 Exchanging code for token...');
+    logger.info('🔄 Exchanging code for token...');
 
     const tokenParams = new URLSearchParams();
     tokenParams.append('client_id', CLIENT_ID);
@@ -358,36 +679,77 @@ export default class NationalGridClient {
     });
 
     const tokenBody = await tokenResponse.json();
-    console.log(`✅ Token Response Status: ${tokenResponse.status}`);
+    logger.info(`✅ Token Response Status: ${tokenResponse.status}`);
 
     if (!tokenBody.access_token) {
       throw new Error('❌ No access_token found in token response');
     }
 
+    await this.#setTokens(tokenBody);
+    logger.info('🔑 Access Token retrieved successfully.');
+  }
+
+  /**
+   * Keeps the tokens from a token endpoint response and persists them.
+   * Failing to persist only costs a password login next time, so it is
+   * logged rather than thrown.
+   *
+   * @private
+   * @param {Object} tokenBody - The token endpoint's JSON response.
+   */
+  async #setTokens(tokenBody) {
     this.accessToken = tokenBody.access_token;
-    console.log('🔑 Access Token retrieved successfully.');
+    this.accessTokenExpiresAt =
+      Date.now() +
+      (tokenBody.expires_in
+        ? Number(tokenBody.expires_in) * 1000
+        : DEFAULT_ACCESS_TOKEN_LIFETIME_MS);
+    // B2C rotates refresh tokens, but keep the old one if none is returned
+    this.refreshToken = tokenBody.refresh_token ?? this.refreshToken;
+
+    if (!this.tokenStore || !this.refreshToken) {
+      return;
+    }
+    if (this.dryRun) {
+      logger.info('[DRY RUN] 🔑 Not saving the renewed National Grid tokens');
+      return;
+    }
+    try {
+      await this.tokenStore.save(this.accountNumber, {
+        refreshToken: this.refreshToken,
+        accessToken: this.accessToken,
+        accessTokenExpiresAt: this.accessTokenExpiresAt,
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Could not save tokens: ${error.message}`);
+    }
   }
 
   /**
    * Fetches the bill history for the account via GraphQL and retrieves bills from the last 2 years.
    *
-   * @returns {Promise<Array>} - An array of bill objects.
+   * @param {Object} [options]
+   * @param {string} [options.since] - Earliest statement date to include (YYYY-MM-DD, default: two years ago).
+   * @returns {Promise<Array>} - An array of bill objects, newest first.
    * @throws {Error} If not authenticated or no bills are found.
    */
-  async getBillHistory() {
+  async getBillHistory({ since } = {}) {
     if (!this.accessToken) {
       throw new Error('❌ Not authenticated. Call login() first.');
     }
 
-    console.log('📊 Fetching Bill History...');
+    logger.info('📊 Fetching Bill History...');
 
-    // Calculate date: 2 years ago + 1 day
-    const today = new Date();
-    const pastDate = new Date(today);
-    pastDate.setFullYear(today.getFullYear() - 2);
-    pastDate.setDate(pastDate.getDate() + 1);
-    const dateForNumberOfDaysAgo = pastDate.toISOString().split('T')[0];
-    console.log(`📅 Calculated Date for History: ${dateForNumberOfDaysAgo}`);
+    let dateForNumberOfDaysAgo = since;
+    if (!dateForNumberOfDaysAgo) {
+      // Calculate date: 2 years ago + 1 day
+      const today = new Date();
+      const pastDate = new Date(today);
+      pastDate.setFullYear(today.getFullYear() - 2);
+      pastDate.setDate(pastDate.getDate() + 1);
+      dateForNumberOfDaysAgo = pastDate.toISOString().split('T')[0];
+    }
+    logger.info(`📅 Calculated Date for History: ${dateForNumberOfDaysAgo}`);
 
     const gqlUrl = `${MY_ACCOUNT_URL}/api/bill-cu-uwp-gql`;
     const gqlQuery = {
@@ -420,10 +782,9 @@ export default class NationalGridClient {
       },
     };
 
-    const gqlResponse = await fetch(gqlUrl, {
+    const gqlResponse = await this.#fetchAuthorized(gqlUrl, {
       method: 'POST',
       headers: {
-        Authorization: `Bearer ${this.accessToken}`,
         'Ocp-Apim-Subscription-Key': this.subscriptionKey,
         'Account-Number': this.accountNumber,
         'Content-Type': 'application/json',
@@ -431,9 +792,12 @@ export default class NationalGridClient {
       body: JSON.stringify(gqlQuery),
     });
 
-    console.log(`✅ Bill History Response Status: ${gqlResponse.status}`);
+    logger.info(`✅ Bill History Response Status: ${gqlResponse.status}`);
 
     if (!gqlResponse.ok) {
+      if (gqlResponse.status === 401 || gqlResponse.status === 403) {
+        await this.#reportAuthError(gqlResponse.status);
+      }
       throw new Error(
         `❌ ⚠️ Failed to fetch bill history: ${gqlResponse.status}`
       );
@@ -442,7 +806,7 @@ export default class NationalGridClient {
     const historyData = await gqlResponse.json();
     const bills = historyData.data?.Bills?.nodes || [];
     const billCount = bills.length;
-    console.log(`📉 Found ${billCount} bills in history.`);
+    logger.info(`📉 Found ${billCount} bills in history.`);
 
     if (!billCount) {
       throw new Error('❌ ⚠️ No bills found in history.');
@@ -454,56 +818,286 @@ export default class NationalGridClient {
   /**
    * Retrieves the most recent bill PDF and automatically logs in if not already authenticated.
    *
-   * @returns {Promise<{buffer: Buffer, fileName: string, date: string}>} - The PDF data and metadata.
+   * `details` combines what the bill history GraphQL API reports with what
+   * can be parsed from the PDF text; the API wins where both have a value.
+   * The due date and usage quantities only come from the PDF.
+   *
+   * @returns {Promise<{buffer: Buffer, fileName: string, date: string, details: Object}>} - The PDF data and metadata.
    */
   async getCurrentBill() {
-    if (!this.accessToken) {
+    if (!this.hasValidAccessToken()) {
+      await this.login();
+    }
+
+    const bills = await this.getBillHistory();
+    const latestBill = bills[0];
+    logger.info(`📅 Using latest bill date: ${latestBill.statementDate}`);
+    return this.getBillPdf(latestBill);
+  }
+
+  /**
+   * Retrieves the bill a "bill is ready" email refers to, identified by its
+   * statement date or, failing that, its amount due.
+   *
+   * @param {Object} reference - From `parseBillEmail`.
+   * @param {string|null} [reference.statementDate] - YYYY-MM-DD
+   * @param {number|null} [reference.amountDue]
+   * @returns {Promise<Object|null>} - As `getBillPdf`, or null if the portal does not list the statement yet.
+   */
+  async getBill({ statementDate = null, amountDue = null }) {
+    if (!this.hasValidAccessToken()) {
       await this.login();
     }
 
     const bills = await this.getBillHistory();
-    const latestBillDate = bills[0].statementDate;
-    console.log(`📅 Using latest bill date: ${latestBillDate}`);
+    const bill = findStatement(bills, { statementDate, amountDue });
+    const described = statementDate ?? `for $${amountDue}`;
+    if (!bill) {
+      logger.warn(`⏳ Statement ${described} is not in the bill history yet`);
+      return null;
+    }
+    if (
+      amountDue !== null &&
+      Math.abs(Number(bill.totalDueAmount) - amountDue) >= 0.005
+    ) {
+      logger.warn(
+        `⚠️ Statement ${described} is for $${bill.totalDueAmount}, but the email says $${amountDue}`
+      );
+    }
+    logger.info(`📅 Using bill date: ${bill.statementDate}`);
+    return this.getBillPdf(bill);
+  }
 
-    console.log(`📄 Retrieving Bill PDF for date: ${latestBillDate}...`);
-    const billUrl = `${MY_ACCOUNT_URL}/api/bill-cu-uwp-sys/v1/bills/view-pdf/${latestBillDate}`;
+  /**
+   * Downloads the PDF of one bill from the history.
+   *
+   * @param {Object} bill - A node from `getBillHistory`.
+   * @returns {Promise<{buffer: Buffer, fileName: string, date: string, accountNumber: string, folder: string|null, details: Object}>} - The PDF data and metadata; `folder` is the account's Drive subfolder.
+   */
+  async getBillPdf(bill) {
+    const billDate = bill.statementDate;
+    logger.info(`📄 Retrieving Bill PDF for date: ${billDate}...`);
+    const billUrl = `${MY_ACCOUNT_URL}/api/bill-cu-uwp-sys/v1/bills/view-pdf/${billDate}`;
 
     const headers = {
-      Authorization: `Bearer ${this.accessToken}`,
       'Ocp-Apim-Subscription-Key': this.subscriptionKey,
       'Account-Number': this.accountNumber,
     };
 
-    const billResponse = await fetch(billUrl, {
+    const billResponse = await this.#fetchAuthorized(billUrl, {
       method: 'GET',
       headers: headers,
     });
 
-    console.log(`✅ Bill PDF Response Status: ${billResponse.status}`);
+    logger.info(`✅ Bill PDF Response Status: ${billResponse.status}`);
 
     if (billResponse.ok) {
+      const buffer = Buffer.from(await billResponse.arrayBuffer());
       return {
-        buffer: Buffer.from(await billResponse.arrayBuffer()),
-        fileName: `NG_Bill_${latestBillDate}.pdf`,
-        date: latestBillDate,
+        buffer,
+        fileName: billFileName(billDate),
+        date: billDate,
+        accountNumber: this.accountNumber,
+        folder: this.folder,
+        details: await this.getBillDetails(bill, buffer),
       };
     } else {
       const errText = await billResponse.text();
-      console.log('❌ Bill PDF Error Body:', errText.substring(0, 500));
+      logger.error(`❌ Bill PDF Error Body: ${errText.substring(0, 500)}`);
 
       if (billResponse.status === 401 || billResponse.status === 403) {
-        console.error(
-          '\n🚫 AUTHENTICATION ERROR: The Subscription Key may have expired or changed.'
-        );
-        console.error(
-          `👉 Please check the "Ocp-Apim-Subscription-Key" header in your browser's network tab for ${MY_ACCOUNT_URL} and update the subscriptionKey in NATIONAL_GRID_CREDENTIALS.\n`
-        );
+        await this.#reportAuthError(billResponse.status);
       }
 
       throw new Error(`❌ Failed to retrieve bill PDF: ${billResponse.status}`);
     }
   }
 
+  /**
+   * Downloads every bill in the history between `from` and `to`, oldest
+   * first, and hands each one to `onBill`. Bills for which `skip` returns
+   * true are not downloaded. A bill that fails to download or to be handled
+   * is logged and left for the next run.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.from] - Earliest statement date (YYYY-MM-DD, default: two years ago).
+   * @param {string} [options.to] - Latest statement date, inclusive (YYYY-MM-DD).
+   * @param {Function} [options.skip] - Called with a bill's file name; return true to leave it out.
+   * @param {Function} [options.onBill] - Called with each downloaded bill, as returned by `getBillPdf`.
+   * @returns {Promise<{downloaded: Array<string>, skipped: Array<string>, failed: Array<{fileName: string, error: string}>}>} - File names by outcome.
+   */
+  async backfillBills({
+    from,
+    to,
+    skip = () => false,
+    onBill = async () => {},
+  } = {}) {
+    if (!this.hasValidAccessToken()) {
+      await this.login();
+    }
+
+    const bills = (await this.getBillHistory({ since: from }))
+      .filter((bill) => !to || bill.statementDate <= to)
+      .reverse();
+    logger.info(`🗂️ Backfilling ${bills.length} bill(s)`);
+
+    const summary = { downloaded: [], skipped: [], failed: [] };
+    for (const bill of bills) {
+      const fileName = billFileName(bill.statementDate);
+      if (await skip(fileName)) {
+        logger.info(`⏭️ ${fileName} already archived, skipping`);
+        summary.skipped.push(fileName);
+        continue;
+      }
+
+      try {
+        await onBill(await this.getBillPdf(bill));
+        summary.downloaded.push(fileName);
+      } catch (error) {
+        logger.error(`❌ Failed to backfill ${fileName}: ${error.message}`, {
+          error,
+        });
+        summary.failed.push({ fileName, error: error.message });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Builds the structured details of a bill from its GraphQL history entry,
+   * filling gaps from the PDF text.
+   *
+   * @param {Object} bill - A node from `getBillHistory`.
+   * @param {Buffer} pdfBuffer - The bill PDF.
+   * @returns {Promise<{statementDate: string|null, amountDue: number|null, dueDate: string|null, billingPeriod: {fromDate: string, toDate: string}|null, usage: Array<Object>}>}
+   */
+  async getBillDetails(bill, pdfBuffer) {
+    const text = await this.extractTextFromPdf(pdfBuffer);
+    const parsed = parseBillText(text ?? '');
+
+    const usageTypes = bill.energyUsages?.nodes?.map((u) => u.usageType) ?? [];
+    const details = {
+      statementDate: bill.statementDate ?? parsed.statementDate,
+      amountDue:
+        bill.totalDueAmount != null
+          ? Number(bill.totalDueAmount)
+          : parsed.amountDue,
+      dueDate: parsed.dueDate,
+      billingPeriod: bill.billDuration?.fromDate
+        ? {
+            fromDate: bill.billDuration.fromDate,
+            toDate: bill.billDuration.toDate,
+          }
+        : parsed.billingPeriod,
+      usage: parsed.usage.length
+        ? parsed.usage
+        : usageTypes.map((type) => ({ type, quantity: null, unit: null })),
+    };
+
+    const missing = Object.keys(details).filter((key) => details[key] === null);
+    if (missing.length) {
+      logger.warn(`⚠️ Bill details missing: ${missing.join(', ')}`);
+    }
+    logger.info(
+      `🧾 Bill ${details.statementDate}: $${details.amountDue} due ${details.dueDate}`
+    );
+    return details;
+  }
+
+  /**
+   * Extracts the text of a PDF.
+   *
+   * @param {Buffer} pdfBuffer
+   * @returns {Promise<string|null>} - null if the PDF could not be parsed.
+   */
+  async extractTextFromPdf(pdfBuffer) {
+    let parser = null;
+    try {
+      parser = new PDFParse({ data: pdfBuffer });
+      const data = await parser.getText();
+      return data.text;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read bill PDF text: ${error.message}`);
+      return null;
+    } finally {
+      if (parser) {
+        await parser.destroy();
+      }
+    }
+  }
+
+  /**
+   * Calls a portal API with the current access token. A 401 means the token
+   * was revoked or expired early, so it is dropped and the request is retried
+   * once with a renewed token.
+   *
+   * @private
+   * @param {string} url
+   * @param {Object} init - `fetch` options; the Authorization header is added.
+   * @returns {Promise<Response>}
+   */
+  async #fetchAuthorized(url, init) {
+    const send = () =>
+      fetch(url, {
+        ...init,
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          ...init.headers,
+        },
+      });
+
+    const response = await send();
+    if (response.status !== 401) {
+      return response;
+    }
+    logger.warn('⚠️ Access token rejected, renewing it and retrying once');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = null;
+    if (!(await this.refreshSession())) {
+      await this.passwordLogin();
+    }
+    return send();
+  }
+
+  /**
+   * Explains a rejected API request, which usually means the subscription
+   * key has changed, and tells the notifier.
+   *
+   * @private
+   * @param {number} status - The HTTP status of the response.
+   * @returns {Promise<void>}
+   */
+  async #reportAuthError(status) {
+    const hint = `Please check the "Ocp-Apim-Subscription-Key" header in your browser's network tab for ${MY_ACCOUNT_URL} and update the subscriptionKey in NATIONAL_GRID_CREDENTIALS.`;
+    logger.error(
+      '\n🚫 AUTHENTICATION ERROR: The Subscription Key may have expired or changed.'
+    );
+    logger.error(`👉 ${hint}\n`);
+    await this.#notifyFailure({
+      title: `National Grid rejected the subscription key for account ${this.accountNumber}`,
+      text: `The portal API responded with ${status}. ${hint}`,
+    });
+  }
+
+  /**
+   * Sends an error notification, if there is a notifier. A notifier that
+   * fails must not hide the error being reported.
+   *
+   * @private
+   * @param {{title: string, text: string}} notification
+   * @returns {Promise<void>}
+   */
+  async #notifyFailure({ title, text }) {
+    if (!this.notifier) {
+      return;
+    }
+    try {
+      await this.notifier.notify({ level: 'error', title, text });
+    } catch (error) {
+      logger.warn(`⚠️ Could not send notification: ${error.message}`);
+    }
+  }
+
   /**
    * Downloads the most recent bill PDF and saves it to the current working directory.
    * This is primarily for CLI usage.
@@ -514,7 +1108,7 @@ export default class NationalGridClient {
     const { buffer, fileName } = await this.getCurrentBill();
     const filePath = path.join(process.cwd(), fileName);
     fs.writeFileSync(filePath, buffer);
-    console.log(
+    logger.info(
       `💾 SUCCESS: Bill PDF saved to ${filePath} (${buffer.byteLength} bytes)`
     );
     return filePath;
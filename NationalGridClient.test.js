@@ -1,5 +1,11 @@
 import fs from 'fs';
-import NationalGridClient from './NationalGridClient.js';
+import { jest } from '@jest/globals';
+import NationalGridClient, {
+  findAccountInText,
+  parseBillEmail,
+  parseBillText,
+  parseNationalGridAccounts,
+} from './NationalGridClient.js';
 
 describe('NationalGridClient', () => {
   let client;
@@ -60,3 +66,435 @@ describe('NationalGridClient', () => {
     });
   });
 });
+
+describe('parseBillText()', () => {
+  const billText = [
+    'Date Bill Issued: Oct 18, 2023',
+    'Billing Period: Sep 15, 2023 to Oct 16, 2023',
+    'Amount Due $1,234.56',
+    'Please Pay By Nov 8, 2023',
+    'Total Electric Usage (kWh)  523 kWh',
+    'Gas Usage 41.2 therms',
+  ].join('\n');
+
+  it('extracts dates, amount and usage from bill text', () => {
+    expect(parseBillText(billText)).toEqual({
+      statementDate: '2023-10-18',
+      amountDue: 1234.56,
+      dueDate: '2023-11-08',
+      billingPeriod: { fromDate: '2023-09-15', toDate: '2023-10-16' },
+      usage: [
+        { type: 'ELECTRIC', quantity: 523, unit: 'kWh' },
+        { type: 'GAS', quantity: 41.2, unit: 'therms' },
+      ],
+    });
+  });
+
+  it('accepts numeric dates', () => {
+    const details = parseBillText(
+      'Payment Due Date: 11/08/2023\nService Period 09/15/2023 - 10/16/2023'
+    );
+
+    expect(details.dueDate).toBe('2023-11-08');
+    expect(details.billingPeriod).toEqual({
+      fromDate: '2023-09-15',
+      toDate: '2023-10-16',
+    });
+  });
+
+  it('returns nulls for fields it cannot find', () => {
+    expect(parseBillText('Thank you for your payment')).toEqual({
+      statementDate: null,
+      amountDue: null,
+      dueDate: null,
+      billingPeriod: null,
+      usage: [],
+    });
+  });
+});
+
+describe('getBillDetails()', () => {
+  const bill = {
+    statementDate: '2023-10-18',
+    totalDueAmount: 120.5,
+    billDuration: { fromDate: '2023-09-15', toDate: '2023-10-16' },
+    energyUsages: { nodes: [{ usageType: 'ELECTRIC' }] },
+  };
+
+  it('prefers GraphQL values and fills the rest from the PDF', async () => {
+    const client = new NationalGridClient();
+    jest
+      .spyOn(client, 'extractTextFromPdf')
+      .mockResolvedValue(
+        'Amount Due $99.99\nPlease Pay By Nov 8, 2023\nElectric Usage 523 kWh'
+      );
+
+    const details = await client.getBillDetails(bill, Buffer.from('pdf'));
+
+    expect(details).toEqual({
+      statementDate: '2023-10-18',
+      amountDue: 120.5,
+      dueDate: '2023-11-08',
+      billingPeriod: { fromDate: '2023-09-15', toDate: '2023-10-16' },
+      usage: [{ type: 'ELECTRIC', quantity: 523, unit: 'kWh' }],
+    });
+  });
+
+  it('falls back to GraphQL usage types when the PDF is unreadable', async () => {
+    const client = new NationalGridClient();
+    jest.spyOn(client, 'extractTextFromPdf').mockResolvedValue(null);
+
+    const details = await client.getBillDetails(bill, Buffer.from('pdf'));
+
+    expect(details.dueDate).toBeNull();
+    expect(details.usage).toEqual([
+      { type: 'ELECTRIC', quantity: null, unit: null },
+    ]);
+  });
+});
+
+describe('login() with stored tokens', () => {
+  let client;
+  let tokenStore;
+  let fetchSpy;
+
+  const tokenResponse = (status, body) => ({
+    ok: status === 200,
+    status,
+    json: async () => body,
+  });
+
+  beforeEach(() => {
+    tokenStore = { load: jest.fn(), save: jest.fn() };
+    client = new NationalGridClient({ tokenStore });
+    jest.spyOn(client, 'loadCredentials').mockImplementation(() => {
+      client.accountNumber = '1234567890';
+    });
+    jest.spyOn(client, 'passwordLogin').mockResolvedValue();
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('reuses a stored access token that has not expired', async () => {
+    tokenStore.load.mockResolvedValue({
+      refreshToken: 'refresh-1',
+      accessToken: 'access-1',
+      accessTokenExpiresAt: Date.now() + 30 * 60 * 1000,
+    });
+
+    await client.login();
+
+    expect(tokenStore.load).toHaveBeenCalledWith('1234567890');
+    expect(client.accessToken).toBe('access-1');
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(client.passwordLogin).not.toHaveBeenCalled();
+  });
+
+  it('redeems the refresh token and saves the rotated one', async () => {
+    tokenStore.load.mockResolvedValue({
+      refreshToken: 'refresh-1',
+      accessToken: 'access-1',
+      accessTokenExpiresAt: Date.now() - 1000,
+    });
+    fetchSpy.mockResolvedValue(
+      tokenResponse(200, {
+        access_token: 'access-2',
+        refresh_token: 'refresh-2',
+        expires_in: 3600,
+      })
+    );
+
+    await client.login();
+
+    const body = fetchSpy.mock.calls[0][1].body;
+    expect(body.get('grant_type')).toBe('refresh_token');
+    expect(body.get('refresh_token')).toBe('refresh-1');
+    expect(client.accessToken).toBe('access-2');
+    expect(tokenStore.save).toHaveBeenCalledWith('1234567890', {
+      refreshToken: 'refresh-2',
+      accessToken: 'access-2',
+      accessTokenExpiresAt: expect.any(Number),
+    });
+    expect(client.passwordLogin).not.toHaveBeenCalled();
+  });
+
+  it('keeps renewed tokens in memory only in dry-run mode', async () => {
+    client = new NationalGridClient({ tokenStore, dryRun: true });
+    jest.spyOn(client, 'loadCredentials').mockImplementation(() => {
+      client.accountNumber = '1234567890';
+    });
+    tokenStore.load.mockResolvedValue({ refreshToken: 'refresh-1' });
+    fetchSpy.mockResolvedValue(
+      tokenResponse(200, {
+        access_token: 'access-2',
+        refresh_token: 'refresh-2',
+        expires_in: 3600,
+      })
+    );
+
+    await client.login();
+
+    expect(client.accessToken).toBe('access-2');
+    expect(tokenStore.save).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the password login when the refresh is rejected', async () => {
+    tokenStore.load.mockResolvedValue({ refreshToken: 'revoked' });
+    fetchSpy.mockResolvedValue(
+      tokenResponse(400, {
+        error: 'invalid_grant',
+        error_description: 'AADB2C90080: The provided grant has expired.',
+      })
+    );
+
+    await client.login();
+
+    expect(client.passwordLogin).toHaveBeenCalled();
+    expect(client.refreshToken).toBeNull();
+  });
+
+  it('does not trust a stored access token of unknown expiry', async () => {
+    tokenStore.load.mockResolvedValue({
+      refreshToken: 'refresh-1',
+      accessToken: 'access-1',
+    });
+    fetchSpy.mockResolvedValue(
+      tokenResponse(200, { access_token: 'access-2' })
+    );
+
+    await client.login();
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    expect(client.accessToken).toBe('access-2');
+    // No expires_in either, so the new token is only trusted briefly
+    expect(client.accessTokenExpiresAt).toBeLessThanOrEqual(
+      Date.now() + 5 * 60 * 1000
+    );
+  });
+
+  it('logs in with the password when nothing is stored', async () => {
+    tokenStore.load.mockResolvedValue(null);
+
+    await client.login();
+
+    expect(fetchSpy).not.toHaveBeenCalled();
+    expect(client.passwordLogin).toHaveBeenCalled();
+  });
+});
+
+describe('failure notifications', () => {
+  let client;
+  let notifier;
+  let fetchSpy;
+
+  beforeEach(() => {
+    notifier = { notify: jest.fn().mockResolvedValue({}) };
+    client = new NationalGridClient({ notifier });
+    client.accessToken = 'token';
+    client.accountNumber = '1234567890';
+    fetchSpy = jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('renews a rejected access token once before reporting', async () => {
+    jest.spyOn(client, 'refreshSession').mockImplementation(async () => {
+      client.accessToken = 'token-2';
+      return true;
+    });
+    fetchSpy
+      .mockResolvedValueOnce({ ok: false, status: 401 })
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({
+          data: { Bills: { nodes: [{ statementDate: '2024-05-14' }] } },
+        }),
+      });
+
+    await expect(client.getBillHistory()).resolves.toEqual([
+      { statementDate: '2024-05-14' },
+    ]);
+    expect(fetchSpy.mock.calls[1][1].headers.Authorization).toBe(
+      'Bearer token-2'
+    );
+    expect(notifier.notify).not.toHaveBeenCalled();
+  });
+
+  it('reports a rejected subscription key', async () => {
+    jest.spyOn(client, 'refreshSession').mockResolvedValue(true);
+    fetchSpy.mockResolvedValue({ ok: false, status: 401 });
+
+    await expect(client.getBillHistory()).rejects.toThrow('401');
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+    expect(notifier.notify).toHaveBeenCalledWith({
+      level: 'error',
+      title:
+        'National Grid rejected the subscription key for account 1234567890',
+      text: expect.stringContaining('update the subscriptionKey'),
+    });
+  });
+
+  it('reports a failed password login and rethrows its error', async () => {
+    jest.spyOn(client, 'loadCredentials').mockImplementation(() => {});
+    jest.spyOn(client, 'refreshSession').mockResolvedValue(false);
+    jest
+      .spyOn(client, 'passwordLogin')
+      .mockRejectedValue(new Error('❌ Login failed: invalid password'));
+
+    await expect(client.login()).rejects.toThrow('invalid password');
+    expect(notifier.notify).toHaveBeenCalledWith(
+      expect.objectContaining({
+        title: 'National Grid login failed for account 1234567890',
+      })
+    );
+  });
+});
+
+describe('parseNationalGridAccounts()', () => {
+  const login = {
+    signInName: 'me@example.com',
+    password: 'hunter2',
+    subscriptionKey: 'key',
+  };
+
+  it('reads a single account with the default region', () => {
+    const accounts = parseNationalGridAccounts(
+      JSON.stringify({ ...login, accountNumber: 1234567890 })
+    );
+
+    expect(accounts).toEqual([
+      {
+        ...login,
+        accountNumber: '1234567890',
+        region: 'nyupstate',
+        customerType: 'home',
+        folder: null,
+      },
+    ]);
+  });
+
+  it('shares login fields across accounts and gives each a subfolder', () => {
+    const accounts = parseNationalGridAccounts(
+      JSON.stringify({
+        ...login,
+        accounts: [
+          { accountNumber: '1111111111' },
+          {
+            accountNumber: '2222222222',
+            region: 'massachusetts',
+            signInName: 'ma@example.com',
+            folder: 'Cape House',
+          },
+        ],
+      })
+    );
+
+    expect(accounts).toEqual([
+      expect.objectContaining({
+        signInName: 'me@example.com',
+        accountNumber: '1111111111',
+        region: 'nyupstate',
+        folder: '1111111111',
+      }),
+      expect.objectContaining({
+        signInName: 'ma@example.com',
+        password: 'hunter2',
+        accountNumber: '2222222222',
+        region: 'massachusetts',
+        folder: 'Cape House',
+      }),
+    ]);
+  });
+
+  it('rejects accounts without an account number', () => {
+    expect(() =>
+      parseNationalGridAccounts(JSON.stringify({ ...login, accounts: [{}] }))
+    ).toThrow('Invalid credentials JSON');
+    expect(() => parseNationalGridAccounts(undefined)).toThrow(
+      'NATIONAL_GRID_CREDENTIALS not found'
+    );
+  });
+});
+
+describe('findAccountInText()', () => {
+  const accounts = [
+    { accountNumber: '12345-67890' },
+    { accountNumber: '5555500001' },
+  ];
+
+  it('matches full account numbers regardless of formatting', () => {
+    expect(
+      findAccountInText(accounts, 'Account Number: 1234567890 is ready')
+    ).toBe(accounts[0]);
+    expect(findAccountInText(accounts, 'Account 55555-00001')).toBe(
+      accounts[1]
+    );
+  });
+
+  it('matches masked account numbers by their last digits', () => {
+    expect(findAccountInText(accounts, 'your account ending in 00001')).toBe(
+      accounts[1]
+    );
+    expect(findAccountInText(accounts, 'Account: *****67890')).toBe(
+      accounts[0]
+    );
+  });
+
+  it('returns null when no account, or more than one, matches', () => {
+    expect(findAccountInText(accounts, 'Your bill is ready')).toBeNull();
+    expect(
+      findAccountInText(accounts, 'Accounts 1234567890 and 5555500001')
+    ).toBeNull();
+  });
+});
+
+describe('getBill()', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new NationalGridClient();
+    client.accessToken = 'token';
+    client.accessTokenExpiresAt = Date.now() + 60 * 60 * 1000;
+    jest.spyOn(client, 'getBillHistory').mockResolvedValue([
+      { statementDate: '2024-05-14', totalDueAmount: 142.17 },
+      { statementDate: '2024-04-12', totalDueAmount: 98.3 },
+    ]);
+    jest
+      .spyOn(client, 'getBillPdf')
+      .mockImplementation(async (bill) => ({ date: bill.statementDate }));
+  });
+
+  it('reads the statement date and amount from the email', () => {
+    expect(
+      parseBillEmail(
+        'Your bill is ready. Bill Date: 04/12/2024. Amount Due: $98.30'
+      )
+    ).toEqual({ statementDate: '2024-04-12', amountDue: 98.3 });
+  });
+
+  it('downloads the statement the email refers to', async () => {
+    await expect(
+      client.getBill({ statementDate: '2024-04-12', amountDue: 98.3 })
+    ).resolves.toEqual({ date: '2024-04-12' });
+  });
+
+  it('matches by amount against the newest statement only', async () => {
+    await expect(client.getBill({ amountDue: 142.17 })).resolves.toEqual({
+      date: '2024-05-14',
+    });
+    await expect(client.getBill({ amountDue: 98.3 })).resolves.toBeNull();
+  });
+
+  it('returns null while the portal does not list the statement', async () => {
+    await expect(
+      client.getBill({ statementDate: '2024-06-13' })
+    ).resolves.toBeNull();
+    expect(client.getBillPdf).not.toHaveBeenCalled();
+  });
+});
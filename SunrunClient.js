@@ -1,12 +1,181 @@
 import { PDFParse } from 'pdf-parse';
+import { downloadAttachments } from './attachments.js';
+import { logger } from './logger.js';
+
+const MONTHS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec',
+];
+// "10/31", "10/31/2023", "Oct 31" or "October 31, 2023"
+const DATE_PATTERN = String.raw`[A-Za-z]{3,9}\.?\s+\d{1,2}(?:,?\s+\d{4})?|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?`;
+const NUMBER_PATTERN = String.raw`[\d,]+(?:\.\d+)?`;
+
+/**
+ * Parses a date as printed on a Sunrun bill. The year is often left out.
+ *
+ * @param {string} [str]
+ * @returns {{year: number|null, month: number, day: number}|null}
+ */
+function parseDate(str) {
+  if (!str) {
+    return null;
+  }
+  const numeric = str.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  if (numeric) {
+    const [, month, day, year] = numeric;
+    return {
+      year: year ? Number(year.length === 2 ? `20${year}` : year) : null,
+      month: Number(month),
+      day: Number(day),
+    };
+  }
+  const named = str.match(
+    /^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?$/
+  );
+  const month = named ? MONTHS.indexOf(named[1].toLowerCase()) + 1 : 0;
+  if (!month) {
+    return null;
+  }
+  return {
+    year: named[3] ? Number(named[3]) : null,
+    month,
+    day: Number(named[2]),
+  };
+}
+
+/**
+ * Formats a parsed date as YYYY-MM-DD, or null if its year is unknown.
+ */
+function toIsoDate(date) {
+  if (!date?.year) {
+    return null;
+  }
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+/**
+ * Gives a year-less date the year that puts it at or before `later`.
+ */
+function yearBefore(date, later) {
+  if (!date || date.year || !later?.year) {
+    return date;
+  }
+  return { ...date, year: later.year - (date.month > later.month ? 1 : 0) };
+}
+
+/**
+ * Gives a year-less date the year that puts it at or after `earlier`.
+ */
+function yearAfter(date, earlier) {
+  if (!date || date.year || !earlier?.year) {
+    return date;
+  }
+  return { ...date, year: earlier.year + (date.month < earlier.month ? 1 : 0) };
+}
+
+const toNumber = (match) => (match ? Number(match[1].replace(/,/g, '')) : null);
+
+/**
+ * Extracts a structured bill record from the text of a Sunrun bill PDF.
+ * Fields that cannot be found are null. Dates printed without a year get
+ * theirs from the due or autopay date: a billing period ending in December
+ * with a January due date belongs to the previous year.
+ *
+ * @param {string} text - Text extracted from the bill PDF.
+ * @returns {{billingPeriod: {fromDate: string, toDate: string}|null, dueDate: string|null, amountDue: number|null, kwhDelivered: number|null, rate: number|null, autopayDate: string|null}}
+ */
+export function parseSunrunBillText(text) {
+  const dateAfter = (label) =>
+    parseDate(
+      text.match(new RegExp(`(?:${label})[:\\s]+(${DATE_PATTERN})`, 'i'))?.[1]
+    );
+
+  const periodMatch = text.match(
+    new RegExp(
+      `(?:Billing Period|Service Period|Billing Cycle)[:\\s]+(${DATE_PATTERN})\\s*(?:-|–|to)\\s*(${DATE_PATTERN})`,
+      'i'
+    )
+  );
+  let dueDate = dateAfter('Payment Due Date|Due Date|Please Pay By');
+  let autopayDate = dateAfter(
+    String.raw`Auto ?Pay(?:ment)?(?: Withdrawal)?(?: Date| on)?|Automatic (?:Payment|Withdrawal)(?: Date| on)?|will be (?:withdrawn|debited|deducted|charged)(?: from your account)? on`
+  );
+  let toDate = parseDate(periodMatch?.[2]);
+  let fromDate = parseDate(periodMatch?.[1]);
+
+  toDate = yearBefore(
+    toDate,
+    [dueDate, autopayDate].find((d) => d?.year)
+  );
+  fromDate = yearBefore(fromDate, toDate);
+  dueDate = yearAfter(dueDate, toDate);
+  autopayDate = yearAfter(autopayDate, toDate);
+
+  // "612 kWh delivered" reads best, then a label followed by the quantity
+  const kwhMatch =
+    text.match(
+      new RegExp(
+        `(${NUMBER_PATTERN})\\s*kWh\\s+(?:delivered|produced|generated)`,
+        'i'
+      )
+    ) ??
+    text.match(
+      new RegExp(
+        `(?:Energy|Electricity|kWh|Solar)\\s+(?:Delivered|Produced|Generated|Production)[^\\d\\n]{0,40}(${NUMBER_PATTERN})`,
+        'i'
+      )
+    );
+  const rateMatch =
+    text.match(/\$\s*(\d*\.\d{2,5})\s*(?:\/|per)\s*kWh/i) ??
+    text.match(/Rate[^$\d\n]{0,30}\$?\s*(\d*\.\d{2,5})/i);
+
+  return {
+    billingPeriod:
+      toIsoDate(fromDate) && toIsoDate(toDate)
+        ? { fromDate: toIsoDate(fromDate), toDate: toIsoDate(toDate) }
+        : null,
+    dueDate: toIsoDate(dueDate),
+    amountDue: toNumber(
+      text.match(
+        /(?:Total Amount Due|Amount Due|Total Due|Balance Due|Payment Amount)[^$\d]{0,40}\$\s*([\d,]+\.\d{2})/i
+      )
+    ),
+    kwhDelivered: toNumber(kwhMatch),
+    rate: toNumber(rateMatch),
+    autopayDate: toIsoDate(autopayDate),
+  };
+}
 
 export default class SunrunClient {
   /**
-   * Extracts the bill PDF and date from a Sunrun email message.
+   * @param {Object} [options]
+   * @param {Object} [options.retryOptions] - Overrides for `withRetry` when downloading attachments.
+   * @param {Object} [options.notifier] - Told about bills that could not be read (see `combineNotifiers`).
+   */
+  constructor({ retryOptions, notifier = null } = {}) {
+    this.retryOptions = retryOptions;
+    this.notifier = notifier;
+  }
+
+  /**
+   * Extracts the bill PDF and its details from a Sunrun email message. The
+   * file is named after the end of the billing period, or the email date if
+   * the PDF does not show one.
    *
    * @param {Object} message - The Gmail message object
    * @param {Object} gmailService - The Gmail API service instance
-   * @returns {Promise<{buffer: Buffer, filename: string}|null>}
+   * @returns {Promise<{buffer: Buffer, fileName: string, details: Object|null}|null>} - `details` as returned by `extractBillDetailsFromPdf`.
    */
   async getBillFromMessage(message, gmailService) {
     // Extract PDF attachment
@@ -15,27 +184,27 @@ export default class SunrunClient {
       gmailService
     );
     if (!pdfAttachment) {
-      console.error('❌ No PDF attachment found in Sunrun email');
+      logger.error('❌ No PDF attachment found in Sunrun email');
+      await this.#notifyProblem(
+        'Sunrun email has no bill attached',
+        `Nothing was archived for message ${message.data.id}. Sunrun may have changed how bills are sent.`
+      );
       return null;
     }
 
-    // Extract date from PDF
-    let dateStr;
-    try {
-      const extractedDate = await this.extractBillDetailsFromPdf(
-        pdfAttachment.data
+    const details = await this.extractBillDetailsFromPdf(pdfAttachment.data);
+    if (!details) {
+      await this.#notifyProblem(
+        'Could not read Sunrun bill',
+        `The amount and dates of the bill in message ${message.data.id} could not be read from its PDF.`
       );
-      if (extractedDate) {
-        dateStr = extractedDate;
-        console.log(`📅 Extracted date from PDF: ${dateStr}`);
-      }
-    } catch (pdfErr) {
-      console.warn(`⚠️ PDF date extraction failed: ${pdfErr.message}`);
     }
-
-    // Fallback to email date if extraction failed
-    if (!dateStr) {
-      console.warn('⚠️ Falling back to email date for Sunrun bill');
+    let dateStr = details?.billingPeriod?.toDate;
+    if (dateStr) {
+      logger.info(`📅 Extracted date from PDF: ${dateStr}`);
+    } else {
+      // Fallback to email date if extraction failed
+      logger.warn('⚠️ Falling back to email date for Sunrun bill');
       const dateHeader = message.data.payload.headers.find(
         (h) => h.name === 'Date'
       )?.value;
@@ -46,83 +215,36 @@ export default class SunrunClient {
     return {
       buffer: pdfAttachment.data,
       fileName: `Sunrun_Bill_${dateStr}.pdf`,
+      date: dateStr,
+      details,
     };
   }
 
   /**
-   * Extracts bill details (date) from PDF buffer.
+   * Extracts the bill details from a PDF buffer (see `parseSunrunBillText`).
    *
    * @param {Buffer} pdfBuffer
-   * @returns {Promise<string|null>} YYYY-MM-DD or null
+   * @returns {Promise<Object|null>} - The bill record, or null if the PDF could not be read.
    */
   async extractBillDetailsFromPdf(pdfBuffer) {
     let parser = null;
     try {
       parser = new PDFParse({ data: pdfBuffer });
       const data = await parser.getText();
-      const text = data.text;
-
-      // Regex for "Billing Period: MM/DD - MM/DD" or "Billing Period: Mon DD - Mon DD"
-      // Example: "Billing Period: 10/01 - 10/31" or "Billing Period: Oct 15 - Nov 14"
-      const billingPeriodRegex =
-        /Billing Period[:\s]+([A-Za-z]{3}\s+\d{1,2}|\d{1,2}\/\d{1,2})\s*-\s*([A-Za-z]{3}\s+\d{1,2}|\d{1,2}\/\d{1,2})/i;
-      const billingMatch = text.match(billingPeriodRegex);
-
-      // Regex for "Due Date: MM/DD/YYYY"
-      const dueDateRegex = /Due Date[:\s]+(\d{1,2}\/\d{1,2}\/\d{4})/i;
-      const dueMatch = text.match(dueDateRegex);
-
-      if (!billingMatch || !dueMatch) {
-        console.warn('Could not find Billing Period or Due Date in PDF text');
-        return null;
-      }
+      const details = parseSunrunBillText(data.text);
 
-      const billingEndDateStr = billingMatch[2]; // "10/31" or "Nov 14"
-      const dueDateStr = dueMatch[1]; // "11/16/2023"
-
-      const parseDatePart = (str) => {
-        if (str.includes('/')) {
-          const [m, d] = str.split('/').map(Number);
-          return { month: m, day: d };
-        } else {
-          const [mStr, dStr] = str.split(/\s+/);
-          const monthMap = {
-            jan: 1,
-            feb: 2,
-            mar: 3,
-            apr: 4,
-            may: 5,
-            jun: 6,
-            jul: 7,
-            aug: 8,
-            sep: 9,
-            oct: 10,
-            nov: 11,
-            dec: 12,
-          };
-          return {
-            month: monthMap[mStr.toLowerCase().substring(0, 3)],
-            day: parseInt(dStr, 10),
-          };
-        }
-      };
-
-      const { month: billEndMonth, day: billEndDay } =
-        parseDatePart(billingEndDateStr);
-      const [dueMonth, , dueYear] = dueDateStr.split('/').map(Number);
-
-      let year = dueYear;
-
-      // If billing month is significantly greater than due month (e.g. Dec vs Jan),
-      // it means the bill is for the previous year.
-      if (billEndMonth > dueMonth) {
-        year = dueYear - 1;
+      const missing = Object.keys(details).filter(
+        (key) => details[key] === null
+      );
+      if (missing.length) {
+        logger.warn(`⚠️ Sunrun bill details missing: ${missing.join(', ')}`);
       }
-
-      const pad = (n) => n.toString().padStart(2, '0');
-      return `${year}-${pad(billEndMonth)}-${pad(billEndDay)}`;
+      logger.info(
+        `🧾 Sunrun bill: $${details.amountDue} for ${details.kwhDelivered} kWh, autopay on ${details.autopayDate}`
+      );
+      return details;
     } catch (error) {
-      console.error('Error parsing PDF:', error);
+      logger.error(`Error parsing PDF: ${error.message}`, { error });
       return null;
     } finally {
       if (parser) {
@@ -131,6 +253,26 @@ export default class SunrunClient {
     }
   }
 
+  /**
+   * Sends a warning notification, if there is a notifier. Failures are
+   * logged, since the bill itself has been handled.
+   *
+   * @private
+   * @param {string} title
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async #notifyProblem(title, text) {
+    if (!this.notifier) {
+      return;
+    }
+    try {
+      await this.notifier.notify({ level: 'warning', title, text });
+    } catch (error) {
+      logger.warn(`⚠️ Could not send notification: ${error.message}`);
+    }
+  }
+
   /**
    * Extracts the first PDF attachment from a Gmail message.
    *
@@ -139,41 +281,13 @@ export default class SunrunClient {
    * @returns {Promise<{data: Buffer, filename: string} | null>}
    */
   async extractPdfAttachment(message, gmailService) {
-    const parts = message.data.payload.parts || [];
-
-    // Recursively search for PDF attachments
-    const findPdfPart = (parts) => {
-      for (const part of parts) {
-        // Check if this part is a PDF
-        if (part.mimeType === 'application/pdf' && part.body?.attachmentId) {
-          return part;
-        }
-        // Recursively check nested parts
-        if (part.parts) {
-          const found = findPdfPart(part.parts);
-          if (found) {
-            return found;
-          }
-        }
-      }
-      return null;
-    };
-
-    const pdfPart = findPdfPart(parts);
-    if (!pdfPart) {
-      return null;
-    }
-
-    // Download the attachment
-    const attachment = await gmailService.users.messages.attachments.get({
-      userId: 'me',
-      messageId: message.data.id,
-      id: pdfPart.body.attachmentId,
+    const [pdf] = await downloadAttachments(message, gmailService, {
+      mimeTypes: ['application/pdf'],
+      limit: 1,
+      // The only PDF is the bill, however the email presents it
+      includeInline: true,
+      retryOptions: this.retryOptions,
     });
-
-    return {
-      data: Buffer.from(attachment.data.data, 'base64'),
-      filename: pdfPart.filename || 'attachment.pdf',
-    };
+    return pdf ? { data: pdf.data, filename: pdf.filename } : null;
   }
 }
@@ -12,7 +12,8 @@ jest.unstable_mockModule('pdf-parse', () => ({
 }));
 
 // Dynamic import after mocking
-const { default: SunrunClient } = await import('./SunrunClient.js');
+const { default: SunrunClient, parseSunrunBillText } =
+  await import('./SunrunClient.js');
 
 describe('SunrunClient', () => {
   let client;
@@ -38,8 +39,14 @@ describe('SunrunClient', () => {
         text: 'Some text... Billing Period: 10/01 - 10/31 ... Due Date: 11/16/2023 ...',
       });
 
-      const date = await client.extractBillDetailsFromPdf(Buffer.from('pdf'));
-      expect(date).toBe('2023-10-31');
+      const details = await client.extractBillDetailsFromPdf(
+        Buffer.from('pdf')
+      );
+      expect(details.billingPeriod).toEqual({
+        fromDate: '2023-10-01',
+        toDate: '2023-10-31',
+      });
+      expect(details.dueDate).toBe('2023-11-16');
       expect(mockDestroy).toHaveBeenCalled();
     });
 
@@ -48,8 +55,10 @@ describe('SunrunClient', () => {
         text: 'Billing Period: Oct 15 - Nov 14 ... Due Date: 12/14/2025',
       });
 
-      const date = await client.extractBillDetailsFromPdf(Buffer.from('pdf'));
-      expect(date).toBe('2025-11-14');
+      const details = await client.extractBillDetailsFromPdf(
+        Buffer.from('pdf')
+      );
+      expect(details.billingPeriod.toDate).toBe('2025-11-14');
     });
 
     it('handles year rollover (Dec bill due in Jan)', async () => {
@@ -57,24 +66,78 @@ describe('SunrunClient', () => {
         text: 'Billing Period: 12/01 - 12/31 ... Due Date: 01/15/2024',
       });
 
-      const date = await client.extractBillDetailsFromPdf(Buffer.from('pdf'));
-      expect(date).toBe('2023-12-31'); // Should be previous year of due date
+      const details = await client.extractBillDetailsFromPdf(
+        Buffer.from('pdf')
+      );
+      expect(details.billingPeriod.toDate).toBe('2023-12-31'); // Should be previous year of due date
     });
 
-    it('returns null if patterns not found', async () => {
+    it('returns empty fields if patterns not found', async () => {
       mockGetText.mockResolvedValue({ text: 'No dates here' });
-      const date = await client.extractBillDetailsFromPdf(Buffer.from('pdf'));
-      expect(date).toBeNull();
+      const details = await client.extractBillDetailsFromPdf(
+        Buffer.from('pdf')
+      );
+      expect(details).toEqual({
+        billingPeriod: null,
+        dueDate: null,
+        amountDue: null,
+        kwhDelivered: null,
+        rate: null,
+        autopayDate: null,
+      });
     });
 
     it('returns null on parser error', async () => {
       mockGetText.mockRejectedValue(new Error('Parse error'));
-      const date = await client.extractBillDetailsFromPdf(Buffer.from('pdf'));
-      expect(date).toBeNull();
+      const details = await client.extractBillDetailsFromPdf(
+        Buffer.from('pdf')
+      );
+      expect(details).toBeNull();
       expect(mockDestroy).toHaveBeenCalled();
     });
   });
 
+  describe('parseSunrunBillText', () => {
+    it('reads the full bill record', () => {
+      const text = [
+        'Billing Period: Oct 15 - Nov 14',
+        'Energy Delivered 612.4 kWh',
+        'Rate: $0.1520 per kWh',
+        'Amount Due $93.08',
+        'Due Date: 12/14/2025',
+        'AutoPay Date: Dec 10, 2025',
+      ].join('\n');
+
+      expect(parseSunrunBillText(text)).toEqual({
+        billingPeriod: { fromDate: '2025-10-15', toDate: '2025-11-14' },
+        dueDate: '2025-12-14',
+        amountDue: 93.08,
+        kwhDelivered: 612.4,
+        rate: 0.152,
+        autopayDate: '2025-12-10',
+      });
+    });
+
+    it('reads the statement layout with a withdrawal notice', () => {
+      const text = [
+        'Service Period 11/15/2023 to 12/14/2023',
+        'You produced 1,204 kWh delivered to your home this month',
+        '$0.17/kWh',
+        'Total Amount Due: $ 204.68',
+        'This amount will be withdrawn from your account on 01/02',
+      ].join('\n');
+
+      expect(parseSunrunBillText(text)).toEqual({
+        billingPeriod: { fromDate: '2023-11-15', toDate: '2023-12-14' },
+        dueDate: null,
+        amountDue: 204.68,
+        kwhDelivered: 1204,
+        rate: 0.17,
+        autopayDate: '2024-01-02',
+      });
+    });
+  });
+
   describe('getBillFromMessage', () => {
     const mockMessage = {
       data: {
@@ -108,6 +171,8 @@ describe('SunrunClient', () => {
       expect(result).toEqual({
         buffer: expect.any(Buffer),
         fileName: 'Sunrun_Bill_2023-10-31.pdf',
+        date: '2023-10-31',
+        details: expect.objectContaining({ dueDate: '2023-11-16' }),
       });
     });
 
@@ -126,6 +191,74 @@ describe('SunrunClient', () => {
       expect(result).toEqual({
         buffer: expect.any(Buffer),
         fileName: 'Sunrun_Bill_2023-11-15.pdf',
+        date: '2023-11-15',
+        details: expect.objectContaining({ billingPeriod: null }),
+      });
+    });
+
+    it('uses inline attachment data without calling Gmail', async () => {
+      mockGetText.mockResolvedValue({
+        text: 'Billing Period: 10/01 - 10/31 ... Due Date: 11/16/2023',
+      });
+      const inlineMessage = {
+        data: {
+          payload: {
+            headers: [],
+            parts: [
+              {
+                mimeType: 'application/pdf',
+                filename: 'bill.pdf',
+                body: {
+                  data: Buffer.from('pdf-content').toString('base64url'),
+                },
+              },
+            ],
+          },
+        },
+      };
+
+      const result = await client.getBillFromMessage(inlineMessage, mockGmail);
+
+      expect(mockGmail.users.messages.attachments.get).not.toHaveBeenCalled();
+      expect(result.buffer.toString()).toBe('pdf-content');
+      expect(result.fileName).toBe('Sunrun_Bill_2023-10-31.pdf');
+    });
+
+    it('retries the attachment download when Gmail is rate limited', async () => {
+      client = new SunrunClient({ retryOptions: { sleep: jest.fn() } });
+      const rateLimited = new Error('Rate Limit Exceeded');
+      rateLimited.response = { status: 429, headers: { 'retry-after': '1' } };
+      mockGmail.users.messages.attachments.get
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValueOnce({
+          data: { data: Buffer.from('pdf-content').toString('base64') },
+        });
+      mockGetText.mockResolvedValue({
+        text: 'Billing Period: 10/01 - 10/31 ... Due Date: 11/16/2023',
+      });
+
+      const result = await client.getBillFromMessage(mockMessage, mockGmail);
+
+      expect(mockGmail.users.messages.attachments.get).toHaveBeenCalledTimes(2);
+      expect(client.retryOptions.sleep).toHaveBeenCalledWith(1000);
+      expect(result.fileName).toBe('Sunrun_Bill_2023-10-31.pdf');
+    });
+
+    it('warns the notifier when the bill PDF cannot be read', async () => {
+      const notifier = { notify: jest.fn().mockResolvedValue({}) };
+      client = new SunrunClient({ notifier });
+      mockGmail.users.messages.attachments.get.mockResolvedValue({
+        data: { data: Buffer.from('pdf-content').toString('base64') },
+      });
+      mockGetText.mockRejectedValue(new Error('Invalid PDF structure'));
+
+      const result = await client.getBillFromMessage(mockMessage, mockGmail);
+
+      expect(result.details).toBeNull();
+      expect(notifier.notify).toHaveBeenCalledWith({
+        level: 'warning',
+        title: 'Could not read Sunrun bill',
+        text: expect.stringContaining('msg_123'),
       });
     });
 
@@ -0,0 +1,2077 @@
+import { Firestore } from '@google-cloud/firestore';
+import { google } from 'googleapis';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { gmailLink } from './alerts.js';
+import { DEFAULT_ANOMALY_OPTIONS, detectAnomaly } from './anomalies.js';
+import {
+  DEFAULT_ATTACHMENT_NAME,
+  downloadAttachments,
+  messageDate,
+  renderAttachmentName,
+} from './attachments.js';
+import { recordAuditEntry } from './audit.js';
+import {
+  completeBillRecheck,
+  listDueBillRechecks,
+  scheduleBillRecheck,
+} from './billRechecks.js';
+import {
+  claimMessage,
+  DEFAULT_MAX_ATTEMPTS,
+  markMessageFailed,
+  markMessageSucceeded,
+} from './deduplication.js';
+import {
+  createFolderCache,
+  driveListParams,
+  escapeQueryValue,
+  resolveFolderPath,
+} from './drive.js';
+import {
+  MessageInProgressError,
+  getHttpStatus,
+  isTransientError,
+} from './errors.js';
+import {
+  DEFAULT_RETRY_OPTIONS,
+  withRetry,
+  withRetryDeadline,
+} from './retry.js';
+import { listProviderAmounts, recordLedgerEntry } from './ledger.js';
+import { addLogContext, logger, withLogContext } from './logger.js';
+import {
+  combineNotifiers,
+  createGmailNotifier,
+  createWebhookNotifier,
+  parseNotifierTypes,
+} from './notifiers.js';
+import {
+  extractAmount,
+  findMatchingRule,
+  loadRules,
+  renderTemplate,
+} from './ruleEngine.js';
+import { appendTransactionRow, describeAction } from './sheets.js';
+import { createFirestoreTokenStore } from './tokenStore.js';
+
+// Drive file metadata captured in upload responses and audit records
+const DRIVE_FILE_FIELDS =
+  'id, name, md5Checksum, modifiedTime, size, headRevisionId';
+
+// What uploadToDrive does with a same-named file whose content differs
+const DRIVE_CONFLICT_MODES = ['overwrite', 'versioned', 'keepBoth'];
+
+// Gmail watches last 7 days; renew once fewer than this many ms remain
+const DEFAULT_WATCH_RENEW_BEFORE_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Core processor for handling Gmail Pub/Sub events and executing financial transactions.
+ */
+export class TransactionAutomationService {
+  /**
+   * @param {Object} [services] - Injected services for testing.
+   * @param {Object} [services.firestore]
+   * @param {Object} [services.gmail]
+   * @param {Object} [services.calendar]
+   * @param {Object} [services.drive]
+   * @param {Object} [services.sheets] - Sheets API client for the transaction log (default: created when SHEETS_SPREADSHEET_ID is set).
+   * @param {Object} [services.nationalGrid]
+   * @param {Object} [services.sunrun]
+   * @param {Object} [services.notifier] - Receives failure and alert notifications (see `combineNotifiers`).
+   * @param {Array<Object>} [services.rules] - Transaction rules (default: loaded from RULES_FILE or rules.json).
+   * @param {Object<string, Object>} [services.mailboxes] - Injected services per mailbox email address, merged into each MAILBOXES entry.
+   * @param {Object} [config] - Configuration overrides (default: process.env).
+   */
+  constructor(services = {}, config = process.env) {
+    this.config = config;
+    this.calendarName = config.CALENDAR_NAME;
+
+    // Set for MAILBOXES entries; otherwise looked up from Gmail when needed
+    this.emailAddress = null;
+    this.firestore = services.firestore;
+    this.gmail = services.gmail;
+    this.calendar = services.calendar;
+    this.drive = services.drive;
+    // Shared drive to archive into, or My Drive when unset
+    this.driveId = config.DRIVE_ID || null;
+    this.folderCache = null;
+    this.nationalGrid = services.nationalGrid;
+    // National Grid clients created on demand, keyed by account number and dry-run mode
+    this.nationalGridClients = new Map();
+    this.sunrun = services.sunrun;
+    this.sheets = services.sheets;
+    this.notifierTypes = parseNotifierTypes(config.NOTIFIERS);
+    if (this.notifierTypes.includes('webhook') && !config.NOTIFY_WEBHOOK_URL) {
+      throw new Error(
+        '❌ NOTIFY_WEBHOOK_URL env var is required for the webhook notifier'
+      );
+    }
+    this.notifyActions = String(config.NOTIFY_ACTIONS).toLowerCase() === 'true';
+    this.rules = services.rules || loadRules(config.RULES_FILE || undefined);
+    this.dryRun = String(config.DRY_RUN).toLowerCase() === 'true';
+    this.maxAttempts =
+      Number(config.MAX_MESSAGE_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.retryOptions = {
+      ...DEFAULT_RETRY_OPTIONS,
+      ...(config.API_MAX_RETRIES !== undefined && {
+        maxRetries: Number(config.API_MAX_RETRIES),
+      }),
+      ...(config.API_RETRY_BUDGET_MS !== undefined && {
+        maxElapsedMs: Number(config.API_RETRY_BUDGET_MS),
+      }),
+    };
+
+    this.#initializeServices();
+
+    // Per-mailbox services, keyed by lowercased email address
+    this.mailboxes = new Map();
+    this.#registerMailboxes(services.mailboxes ?? {});
+
+    // Without a mailbox of its own, notify through the first registered one
+    this.notifier =
+      services.notifier ??
+      (this.mailboxes.size
+        ? this.mailboxes.values().next().value.notifier
+        : this.#createNotifier());
+  }
+
+  /**
+   * Builds the notifier for the NOTIFIERS config.
+   *
+   * @private
+   * @returns {{types: Array<string>, notify: Function}}
+   */
+  #createNotifier() {
+    return combineNotifiers(
+      this.notifierTypes.map((type) =>
+        type === 'webhook'
+          ? createWebhookNotifier(this.config.NOTIFY_WEBHOOK_URL)
+          : createGmailNotifier(this.gmail, {
+              to: () => this.#ownAddress(),
+              labelName: this.config.ALERT_LABEL || undefined,
+              request: (label, request) => this.#request(label, request),
+            })
+      )
+    );
+  }
+
+  /**
+   * Initializes missing services using environment variables.
+   *
+   * @private
+   */
+  #initializeServices() {
+    const {
+      GMAIL_OAUTH_CREDENTIALS,
+      FIRESTORE_COLLECTION,
+      CALENDAR_NAME,
+      MAILBOXES,
+      SHEETS_SPREADSHEET_ID,
+    } = this.config;
+
+    // With a mailbox registry, Google API clients belong to each mailbox
+    if (MAILBOXES) {
+      if (!FIRESTORE_COLLECTION) {
+        throw new Error('❌ FIRESTORE_COLLECTION env var is required');
+      }
+      if (!this.firestore) {
+        this.firestore = new Firestore();
+      }
+      return;
+    }
+
+    // Check if we have all required services
+    const hasAllServices =
+      this.firestore &&
+      this.gmail &&
+      this.calendar &&
+      this.drive &&
+      (this.sheets || !SHEETS_SPREADSHEET_ID);
+
+    // If we are missing services, we need credentials to create them
+    if (!hasAllServices) {
+      if (!GMAIL_OAUTH_CREDENTIALS || !FIRESTORE_COLLECTION || !CALENDAR_NAME) {
+        throw new Error(
+          '❌ GMAIL_OAUTH_CREDENTIALS, FIRESTORE_COLLECTION, and CALENDAR_NAME env vars are required'
+        );
+      }
+
+      // Initialize Firestore
+      if (!this.firestore) {
+        this.firestore = new Firestore();
+      }
+
+      // Initialize Google APIs
+      if (
+        !this.gmail ||
+        !this.calendar ||
+        !this.drive ||
+        (!this.sheets && SHEETS_SPREADSHEET_ID)
+      ) {
+        const { client_id, client_secret, refresh_token } = JSON.parse(
+          GMAIL_OAUTH_CREDENTIALS
+        );
+        const auth = new google.auth.OAuth2(client_id, client_secret);
+        auth.setCredentials({ refresh_token });
+
+        if (!this.gmail) {
+          this.gmail = google.gmail({ version: 'v1', auth });
+        }
+        if (!this.calendar) {
+          this.calendar = google.calendar({ version: 'v3', auth });
+        }
+        if (!this.drive) {
+          this.drive = google.drive({ version: 'v3', auth });
+        }
+        // Only needed for the optional spreadsheet export
+        if (!this.sheets && SHEETS_SPREADSHEET_ID) {
+          this.sheets = google.sheets({ version: 'v4', auth });
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates a child service for every mailbox in the MAILBOXES config, each
+   * with its own OAuth credentials, calendar and rules. Firestore is shared so
+   * history, deduplication and audit records live in one place.
+   *
+   * @private
+   * @param {Object<string, Object>} injected - Services per email address.
+   */
+  #registerMailboxes(injected) {
+    if (!this.config.MAILBOXES) {
+      return;
+    }
+
+    for (const mailbox of parseMailboxes(this.config.MAILBOXES)) {
+      const key = mailbox.emailAddress.toLowerCase();
+      const service = new TransactionAutomationService(
+        { ...injected[key], firestore: this.firestore },
+        {
+          ...this.config,
+          MAILBOXES: undefined,
+          GMAIL_OAUTH_CREDENTIALS: JSON.stringify(mailbox.credentials),
+          CALENDAR_NAME: mailbox.calendarName ?? this.config.CALENDAR_NAME,
+          RULES_FILE: mailbox.rulesFile ?? this.config.RULES_FILE,
+          DRIVE_ID: mailbox.driveId ?? this.config.DRIVE_ID,
+          SHEETS_SPREADSHEET_ID:
+            mailbox.spreadsheetId ?? this.config.SHEETS_SPREADSHEET_ID,
+          GMAIL_WATCH_LABEL_IDS:
+            mailbox.watchLabelIds?.join(',') ??
+            this.config.GMAIL_WATCH_LABEL_IDS,
+        }
+      );
+      service.emailAddress = mailbox.emailAddress;
+      this.mailboxes.set(key, service);
+      logger.debug(`📮 Registered mailbox ${mailbox.emailAddress}`);
+    }
+  }
+
+  /**
+   * Returns the service that handles a mailbox's notifications: the
+   * registered child service when MAILBOXES is configured, otherwise this
+   * service.
+   *
+   * @param {string} emailAddress
+   * @returns {TransactionAutomationService|null} - null if the mailbox is not registered.
+   */
+  mailboxFor(emailAddress) {
+    if (!this.mailboxes.size) {
+      return this;
+    }
+    return this.mailboxes.get(String(emailAddress).toLowerCase()) ?? null;
+  }
+
+  /**
+   * Makes an idempotent Google API request, retrying transient failures with
+   * backoff (see `withRetry`).
+   *
+   * @private
+   * @param {string} label - Names the call in log lines.
+   * @param {Function} request - Makes the request.
+   * @returns {Promise<*>} - The API response.
+   */
+  #request(label, request) {
+    return withRetry(request, { ...this.retryOptions, label });
+  }
+
+  /**
+   * The address of this service's mailbox, looked up from Gmail the first
+   * time it is needed.
+   *
+   * @private
+   * @returns {Promise<string>}
+   */
+  async #ownAddress() {
+    if (!this.emailAddress) {
+      const profile = await this.#request('gmail.users.getProfile', () =>
+        this.gmail.users.getProfile({ userId: 'me' })
+      );
+      this.emailAddress = profile.data.emailAddress;
+    }
+    return this.emailAddress;
+  }
+
+  /**
+   * Main entry point for processing a Pub/Sub message. Transient failures are
+   * rethrown so the function fails and Pub/Sub redelivers the notification;
+   * anything else is logged and acknowledged.
+   *
+   * @param {Object} cloudEvent
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Record intended actions instead of performing them (default: DRY_RUN config).
+   * @returns {Promise<Object|undefined>} - In dry-run mode, the plan of every message handled.
+   */
+  async handleEvent(cloudEvent, { dryRun = this.dryRun } = {}) {
+    const plan = { dryRun, messages: [] };
+    // Every line logged while handling this event carries the Pub/Sub message ID,
+    // and all of its API calls share one retry budget
+    await withLogContext(
+      { pubsubMessageId: cloudEvent.data?.message?.messageId },
+      () =>
+        withRetryDeadline(this.retryOptions.maxElapsedMs, async () => {
+          try {
+            await this.#processEvent(cloudEvent, plan);
+          } catch (e) {
+            if (isTransientError(e)) {
+              logger.error(
+                `🔁 Transient error, leaving Pub/Sub message for redelivery: ${e.message}`,
+                { error: e }
+              );
+              throw e;
+            }
+            logger.error(
+              `❌ Error processing Gmail Pub/Sub message: ${e.message}`,
+              { error: e }
+            );
+            if (!dryRun) {
+              await this.notifier.notify({
+                level: 'error',
+                title: 'Failed to process a Gmail notification',
+                text: e.message,
+              });
+            }
+          }
+        })
+    );
+    return dryRun ? plan : undefined;
+  }
+
+  /**
+   * Renews the Gmail push subscription of every mailbox (or of this service's
+   * own mailbox when MAILBOXES is not configured). Failures are reported per
+   * mailbox so one bad account does not block the others.
+   *
+   * @param {Object} [options] - Passed to `renewWatch`.
+   * @returns {Promise<Array<Object>>} - One `renewWatch` result per mailbox, or `{ emailAddress, error }`.
+   */
+  async renewWatches(options = {}) {
+    return withRetryDeadline(this.retryOptions.maxElapsedMs, async () => {
+      const services = this.mailboxes.size
+        ? [...this.mailboxes.values()]
+        : [this];
+      const results = [];
+      for (const service of services) {
+        try {
+          results.push(await service.renewWatch(options));
+        } catch (error) {
+          logger.error(
+            `❌ Failed to renew Gmail watch for ${service.emailAddress ?? 'me'}: ${error.message}`,
+            { error }
+          );
+          results.push({
+            emailAddress: service.emailAddress,
+            renewed: false,
+            error: error.message,
+          });
+          if (!(options.dryRun ?? this.dryRun)) {
+            await this.notifier.notify({
+              level: 'error',
+              title: `Failed to renew the Gmail watch for ${service.emailAddress ?? 'me'}`,
+              text: `${error.message}\n\nPush notifications stop when the watch expires.`,
+            });
+          }
+        }
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Handles again every email whose National Grid bill was not in the
+   * portal yet and whose re-check is due. An email that still finds no bill
+   * reschedules itself; otherwise its re-check is removed.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report what would happen without changing anything (default: DRY_RUN config).
+   * @returns {Promise<Array<{messageId: string, found: boolean, error?: string}>>}
+   */
+  async runBillRechecks({ dryRun = this.dryRun } = {}) {
+    return withRetryDeadline(this.retryOptions.maxElapsedMs, async () => {
+      const checks = await listDueBillRechecks(this.firestore);
+      logger.info(`⏰ ${checks.length} bill re-check(s) due`);
+
+      const results = [];
+      for (const { messageId, mailbox: emailAddress } of checks) {
+        const mailbox = this.mailboxFor(emailAddress);
+        try {
+          if (!mailbox) {
+            throw new Error(`No mailbox registered for ${emailAddress}`);
+          }
+          const msg = await mailbox.#request('gmail.users.messages.get', () =>
+            mailbox.gmail.users.messages.get({ userId: 'me', id: messageId })
+          );
+          const headers = msg.data.payload.headers;
+          const subject =
+            headers.find((h) => h.name === 'Subject')?.value || '';
+          const from = headers.find((h) => h.name === 'From')?.value || '';
+
+          const result = await mailbox.runTransaction(
+            { from, subject, message: msg },
+            { dryRun }
+          );
+          const found = !result.actions.some(
+            (a) => a.type === 'scheduleBillRecheck'
+          );
+          if (found && !dryRun) {
+            await completeBillRecheck(this.firestore, messageId);
+          }
+          results.push({ messageId, found });
+        } catch (error) {
+          if (getHttpStatus(error) === 404) {
+            logger.warn(`👻 Dropping re-check of missing message ${messageId}`);
+            if (!dryRun) {
+              await completeBillRecheck(this.firestore, messageId);
+            }
+            results.push({ messageId, found: false });
+            continue;
+          }
+          logger.error(
+            `❌ Bill re-check of message ${messageId} failed: ${error.message}`,
+            { error }
+          );
+          results.push({ messageId, found: false, error: error.message });
+          if (!dryRun) {
+            await this.notifier.notify({
+              level: 'error',
+              title: `Bill re-check of message ${messageId} failed`,
+              text: error.message,
+              link: gmailLink(emailAddress, messageId),
+            });
+          }
+        }
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Calls Gmail `users.watch` so push notifications keep flowing to
+   * GMAIL_WATCH_TOPIC, unless the current watch has more than
+   * GMAIL_WATCH_RENEW_BEFORE_MS left. The returned expiration and history ID
+   * are stored in the mailbox's history document; `lastHistoryId` is only
+   * seeded if missing, so history not yet processed is never skipped.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Renew even if the current watch is not close to expiring.
+   * @param {boolean} [options.dryRun] - Report whether a renewal is due without calling Gmail (default: DRY_RUN config).
+   * @returns {Promise<{emailAddress: string, renewed: boolean, expiration: number|null, historyId?: string}>}
+   */
+  async renewWatch({ force = false, dryRun = this.dryRun } = {}) {
+    const topicName = this.config.GMAIL_WATCH_TOPIC;
+    if (!topicName) {
+      throw new Error('❌ GMAIL_WATCH_TOPIC env var is required');
+    }
+
+    const emailAddress = await this.#ownAddress();
+
+    const docRef = this.firestore
+      .collection(this.config.FIRESTORE_COLLECTION)
+      .doc(emailAddress);
+    const docSnap = await docRef.get();
+    const state = (docSnap.exists && docSnap.data()) || {};
+
+    const renewBeforeMs =
+      Number(this.config.GMAIL_WATCH_RENEW_BEFORE_MS) ||
+      DEFAULT_WATCH_RENEW_BEFORE_MS;
+    const expiration = state.watchExpiration ?? null;
+    if (!force && expiration && expiration - Date.now() > renewBeforeMs) {
+      logger.info(
+        `⏭️ Gmail watch for ${emailAddress} is valid until ${new Date(expiration).toISOString()}, not renewing`
+      );
+      return { emailAddress, renewed: false, expiration };
+    }
+
+    if (dryRun) {
+      logger.info(`[DRY RUN] 👀 Would renew Gmail watch for ${emailAddress}`);
+      return { emailAddress, renewed: false, expiration };
+    }
+
+    const labelIds = (
+      this.config.GMAIL_WATCH_LABEL_IDS ||
+      this.config.GMAIL_HISTORY_LABEL_ID ||
+      ''
+    )
+      .split(',')
+      .map((id) => id.trim())
+      .filter(Boolean);
+    const res = await this.#request('gmail.users.watch', () =>
+      this.gmail.users.watch({
+        userId: 'me',
+        requestBody: {
+          topicName,
+          ...(labelIds.length && { labelIds, labelFilterBehavior: 'include' }),
+        },
+      })
+    );
+    const watchExpiration = Number(res.data.expiration);
+    const watchHistoryId = String(res.data.historyId);
+
+    await docRef.set(
+      {
+        watchExpiration,
+        watchHistoryId,
+        watchRenewedAt: Date.now(),
+        ...(!state.lastHistoryId && { lastHistoryId: watchHistoryId }),
+      },
+      { merge: true }
+    );
+    logger.notice(
+      `[ACTION] 👀 Renewed Gmail watch for ${emailAddress} until ${new Date(watchExpiration).toISOString()}`
+    );
+    return {
+      emailAddress,
+      renewed: true,
+      expiration: watchExpiration,
+      historyId: watchHistoryId,
+    };
+  }
+
+  /**
+   * Decodes the Pub/Sub message and hands it to the service for its mailbox.
+   *
+   * @private
+   * @param {Object} cloudEvent
+   * @param {Object} plan - Collects per-message results for this event.
+   */
+  async #processEvent(cloudEvent, plan) {
+    const message = cloudEvent.data?.message;
+    if (!message?.data) {
+      logger.warn('⚠️ No message data found.');
+      return;
+    }
+
+    // Decode Base64 → JSON
+    const dataStr = Buffer.from(message.data, 'base64').toString('utf8');
+    const payload = JSON.parse(dataStr);
+    logger.info(`📩 Gmail Push payload: ${JSON.stringify(payload)}`);
+
+    const email = payload.emailAddress || 'me';
+    const newHistoryId = payload.historyId;
+    addLogContext({ gmailHistoryId: String(newHistoryId), mailbox: email });
+
+    const mailbox = this.mailboxFor(email);
+    if (!mailbox) {
+      logger.warn(`⚠️ No mailbox registered for ${email}, ignoring.`);
+      return;
+    }
+    await mailbox.#syncMailbox(email, newHistoryId, plan);
+  }
+
+  /**
+   * Processes Gmail history for one mailbox since its last run.
+   *
+   * @private
+   * @param {string} email - The mailbox, which keys its Firestore history document.
+   * @param {string} newHistoryId - The history ID from the push notification.
+   * @param {Object} plan - Collects per-message results for this event.
+   */
+  async #syncMailbox(email, newHistoryId, plan) {
+    // Messages received after this point are covered by the next run
+    const runStartedAt = Date.now();
+
+    // Load last known historyId from Firestore
+    const docRef = this.firestore
+      .collection(this.config.FIRESTORE_COLLECTION)
+      .doc(email);
+    const docSnap = await docRef.get();
+    const { lastHistoryId = null, lastSuccessfulRunAt = null } =
+      (docSnap.exists && docSnap.data()) || {};
+
+    // Skip if this historyId is not newer than what we've already processed
+    const order = lastHistoryId
+      ? compareHistoryIds(newHistoryId, lastHistoryId)
+      : 1;
+    if (order <= 0) {
+      logger.info(
+        `⏭️ Skipping ${order < 0 ? 'old' : 'duplicate'} historyId: ${newHistoryId} (last: ${lastHistoryId})`
+      );
+      return;
+    }
+
+    // Dry runs read state but never move it forward
+    const saveState = async (data, logMessage) => {
+      if (plan.dryRun) {
+        logger.info(`[DRY RUN] 💾 Would save ${JSON.stringify(data)}`);
+        return;
+      }
+      await docRef.set(data, { merge: true });
+      if (logMessage) {
+        logger.info(logMessage);
+      }
+    };
+
+    // Decide which historyId to start from
+    const startId = lastHistoryId || newHistoryId;
+
+    logger.info(`🔍 Fetching Gmail history since ${startId}`);
+
+    try {
+      // Persist progress after every page so a crash resumes mid-window
+      let checkpointId = startId;
+      const checkpoint = async (historyId) => {
+        checkpointId = maxHistoryId(checkpointId, historyId);
+        await saveState(
+          { lastHistoryId: checkpointId },
+          `💾 Checkpointed lastHistoryId → ${checkpointId}`
+        );
+      };
+
+      const success = await this.processGmailHistory(startId, {
+        checkpoint,
+        plan,
+      });
+      if (!success) {
+        logger.info('📬 Gmail History: No changes since last check');
+        await saveState({ lastSuccessfulRunAt: runStartedAt });
+        return;
+      }
+
+      // Persist the latest historyId
+      const latestHistoryId = maxHistoryId(newHistoryId, checkpointId);
+      await saveState(
+        { lastHistoryId: latestHistoryId, lastSuccessfulRunAt: runStartedAt },
+        `✅ Updated Firestore lastHistoryId → ${latestHistoryId}`
+      );
+    } catch (apiErr) {
+      const status = apiErr?.response?.status;
+      if (status === 400 || status === 404) {
+        logger.warn(
+          `⚠️ Invalid historyId detected. Recovering missed messages and resetting baseline. Error: ${apiErr.message}`
+        );
+        try {
+          // Take the new baseline first so anything arriving during recovery
+          // is picked up by the next history fetch.
+          const profile = await this.#request('gmail.users.getProfile', () =>
+            this.gmail.users.getProfile({ userId: 'me' })
+          );
+          const resetHistoryId = profile.data.historyId;
+
+          if (lastSuccessfulRunAt) {
+            await this.recoverMessagesSince(lastSuccessfulRunAt, { plan });
+          } else {
+            logger.warn(
+              '⚠️ No lastSuccessfulRunAt recorded; emails received during the gap cannot be recovered.'
+            );
+          }
+
+          await saveState(
+            {
+              lastHistoryId: resetHistoryId,
+              lastSuccessfulRunAt: runStartedAt,
+            },
+            `✅ Baseline reset → ${resetHistoryId}`
+          );
+        } catch (resetErr) {
+          logger.error(`❌ Failed to reset baseline: ${resetErr.message}`);
+          throw resetErr;
+        }
+      } else {
+        throw apiErr;
+      }
+    }
+  }
+
+  /**
+   * Fetches and processes every page of Gmail history since `startHistoryId`.
+   *
+   * @param {string} startHistoryId
+   * @param {Object} [options]
+   * @param {function(string): Promise<void>} [options.checkpoint] - Called after each page with the newest history ID it covered.
+   * @param {Object} [options.plan] - Event plan; its `dryRun` flag applies to every message.
+   * @returns {Promise<boolean>} - `true` if any history records were found.
+   */
+  async processGmailHistory(startHistoryId, { checkpoint, plan } = {}) {
+    const labelId = this.config.GMAIL_HISTORY_LABEL_ID;
+    let pageToken;
+    let itemCount = 0;
+
+    do {
+      const res = await this.#request('gmail.users.history.list', () =>
+        this.gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded'],
+          ...(labelId && { labelId }),
+          ...(pageToken && { pageToken }),
+        })
+      );
+      const history = res.data.history || [];
+      pageToken = res.data.nextPageToken;
+
+      if (!history.length) {
+        continue;
+      }
+
+      itemCount += history.length;
+      logger.info(`📬 Gmail History fetched: ${history.length} items`);
+
+      for (const { messagesAdded = [] } of history) {
+        for (const { message } of messagesAdded) {
+          await this.processMessage(message.id, { plan });
+        }
+      }
+
+      // Once the last page is done, everything up to the mailbox's current
+      // historyId has been seen; otherwise resume after this page's last record.
+      if (checkpoint) {
+        await checkpoint(pageToken ? history.at(-1).id : res.data.historyId);
+      }
+    } while (pageToken);
+
+    return itemCount > 0;
+  }
+
+  /**
+   * Processes every message received since `since` using a message search.
+   * Used when the stored historyId has expired and history is unavailable.
+   *
+   * @param {number} since - Epoch milliseconds of the last successful run.
+   * @param {Object} [options]
+   * @param {Object} [options.plan] - Event plan; its `dryRun` flag applies to every message.
+   * @returns {Promise<number>} - The number of messages found.
+   */
+  async recoverMessagesSince(since, { plan } = {}) {
+    const labelId = this.config.GMAIL_HISTORY_LABEL_ID;
+    const after = Math.floor(since / 1000);
+    let pageToken;
+    let count = 0;
+
+    logger.info(
+      `🩹 Searching for messages received since ${new Date(since).toISOString()}`
+    );
+
+    do {
+      const res = await this.#request('gmail.users.messages.list', () =>
+        this.gmail.users.messages.list({
+          userId: 'me',
+          q: `after:${after}`,
+          ...(labelId && { labelIds: [labelId] }),
+          ...(pageToken && { pageToken }),
+        })
+      );
+      pageToken = res.data.nextPageToken;
+
+      for (const { id } of res.data.messages || []) {
+        await this.processMessage(id, { plan });
+        count++;
+      }
+    } while (pageToken);
+
+    logger.info(`🩹 Gap recovery processed ${count} messages`);
+    return count;
+  }
+
+  /**
+   * Fetches a single message and runs it through `handleTransaction`, skipping
+   * messages that have already been processed.
+   *
+   * A transient failure is rethrown (after recording the attempt) so the
+   * Pub/Sub notification is redelivered and the message retried. Other
+   * failures, and messages that have used up MAX_MESSAGE_ATTEMPTS, are moved
+   * to the dead-letter collection instead. A message another invocation is
+   * still working on throws `MessageInProgressError`, which is transient too.
+   *
+   * @param {string} messageId
+   * @param {Object} [options]
+   * @param {Object} [options.plan] - Event plan to append this message's result to.
+   */
+  async processMessage(messageId, { plan } = {}) {
+    return withLogContext({ gmailMessageId: messageId }, () =>
+      this.#processMessage(messageId, plan)
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} messageId
+   * @param {Object} [plan]
+   */
+  async #processMessage(messageId, plan) {
+    const dryRun = plan?.dryRun ?? this.dryRun;
+
+    // Deduplicate based on message ID (dry runs leave no processed marker)
+    let claim;
+    if (!dryRun) {
+      claim = await claimMessage(this.firestore, messageId, {
+        maxAttempts: this.maxAttempts,
+      });
+      // Fail the invocation so the history page is not checkpointed past a
+      // message whose claimant may yet crash
+      if (claim.leased) {
+        throw new MessageInProgressError(messageId);
+      }
+      if (!claim.claimed) {
+        logger.info(`⏭️ Skipping message ${messageId}: ${claim.reason}`);
+        return;
+      }
+    }
+
+    try {
+      const msg = await this.#request('gmail.users.messages.get', () =>
+        this.gmail.users.messages.get({
+          userId: 'me',
+          id: messageId,
+        })
+      );
+      const subject =
+        msg.data.payload.headers.find((h) => h.name === 'Subject')?.value || '';
+      const from =
+        msg.data.payload.headers.find((h) => h.name === 'From')?.value || '';
+
+      const result = await this.handleTransaction(
+        { from, subject, message: msg },
+        { dryRun }
+      );
+      if (dryRun) {
+        plan?.messages.push({ messageId, from, subject, ...result });
+      } else {
+        await markMessageSucceeded(this.firestore, messageId);
+      }
+    } catch (e) {
+      if (e.code === 404) {
+        logger.warn(`👻 Skipping missing message: ${messageId}`);
+        if (!dryRun) {
+          await markMessageSucceeded(this.firestore, messageId);
+        }
+        return;
+      }
+      if (dryRun) {
+        logger.error(`❌ Error processing message ${messageId}: ${e.message}`, {
+          error: e,
+        });
+        return;
+      }
+
+      const retry = isTransientError(e) && claim.attempts < this.maxAttempts;
+      await markMessageFailed(this.firestore, messageId, e, {
+        attempts: claim.attempts,
+        deadLetter: !retry,
+      });
+      if (retry) {
+        logger.warn(
+          `🔁 Attempt ${claim.attempts}/${this.maxAttempts} for message ${messageId} failed, will retry: ${e.message}`,
+          { error: e }
+        );
+        throw e;
+      }
+      logger.error(
+        `☠️ Moved message ${messageId} to dead-letter after ${claim.attempts} attempt(s): ${e.message}`,
+        { error: e }
+      );
+      await this.notifier.notify({
+        level: 'error',
+        title: `Gave up on message ${messageId}`,
+        text: `${e.message}\n\nMoved to dead-letter after ${claim.attempts} attempt(s). Run \`npm run replay -- ${messageId}\` once the cause is fixed.`,
+        link: gmailLink(this.emailAddress, messageId),
+      });
+    }
+  }
+
+  /**
+   * Analyzes an email and runs the actions of the first matching rule.
+   *
+   * @param {Object} params
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Record intended actions instead of performing them (default: DRY_RUN config).
+   * @returns {Promise<boolean|Object>} - Whether the email was processed, or in dry-run mode the plan from `runTransaction`.
+   */
+  async handleTransaction(params, { dryRun = this.dryRun } = {}) {
+    const result = await this.runTransaction(params, { dryRun });
+    return dryRun ? result : result.processed;
+  }
+
+  /**
+   * Like `handleTransaction`, but always reports what happened: the matched
+   * rule, the extracted amount and every action performed (or, in dry-run
+   * mode, intended). If an action fails, the actions already performed are
+   * still audited before the error is rethrown.
+   *
+   * @param {Object} params
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Record intended actions instead of performing them (default: DRY_RUN config).
+   * @returns {Promise<{dryRun: boolean, processed: boolean, rule: string|null, provider: string|null, amount: number|null, actions: Array<Object>}>}
+   */
+  async runTransaction(
+    { from, subject, message },
+    { dryRun = this.dryRun } = {}
+  ) {
+    const result = {
+      dryRun,
+      processed: false,
+      rule: null,
+      provider: null,
+      amount: null,
+      actions: [],
+    };
+    try {
+      result.processed = await this.#applyRules(
+        { from, subject, message },
+        result
+      );
+    } finally {
+      // Record whatever was actually done, even if a later action failed
+      if (!dryRun && result.actions.length) {
+        await this.#recordAudit({ from, subject, message }, result);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Writes the actions taken for an email to the audit trail. Failures are
+   * logged rather than thrown, since the actions themselves have already
+   * happened.
+   *
+   * @private
+   * @param {Object} params
+   * @param {Object} result - The result from `runTransaction`.
+   */
+  async #recordAudit({ from, subject, message }, result) {
+    const messageId = message?.data?.id;
+    if (!messageId) {
+      logger.warn('⚠️ No message ID available, skipping audit record.');
+      return;
+    }
+
+    try {
+      await recordAuditEntry(this.firestore, {
+        messageId,
+        rule: result.rule,
+        provider: result.provider,
+        from,
+        subject,
+        amount: result.amount,
+        actions: result.actions,
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to write audit record: ${error.message}`, {
+        error,
+      });
+    }
+  }
+
+  /**
+   * Finds the matching rule and runs its actions, recording them in `plan`.
+   *
+   * @private
+   * @param {Object} params
+   * @param {Object} plan
+   * @returns {Promise<boolean>}
+   */
+  async #applyRules({ from, subject, message }, plan) {
+    const body = extractEmailBody(message);
+    const rule = findMatchingRule(this.rules, { from, subject, body });
+    if (!rule) {
+      logger.info(`📖 Ignoring email from "${from}" and subject "${subject}"`);
+      return false;
+    }
+
+    logger.info(`🔎 Matched rule "${rule.name}" for "${subject}"`);
+    plan.rule = rule.name;
+    plan.provider = rule.provider ?? null;
+
+    let amount;
+    if (rule.amount) {
+      amount = extractAmount(rule.amount, { subject, body });
+      if (amount === null) {
+        return false;
+      }
+      plan.amount = amount;
+    }
+
+    // Shared by every action so values found along the way reach later ones
+    const context = { from, subject, body, message, amount };
+    try {
+      if (
+        rule.anomaly &&
+        amount !== undefined &&
+        !(await this.#checkAmount(rule.anomaly, context, plan))
+      ) {
+        return false;
+      }
+      for (const action of rule.actions) {
+        const completed = await this.#executeAction(action, context, plan);
+        if (!completed) {
+          return false;
+        }
+      }
+      // Amounts read from a bill are only known now, too late to skip anything
+      if (rule.anomaly && amount === undefined && plan.amount !== null) {
+        await this.#checkAmount(rule.anomaly, context, plan);
+      }
+      if (!plan.dryRun) {
+        await this.#recordLedger(context, plan);
+        await this.#exportToSheet(context, plan);
+        if (this.notifyActions && plan.actions.length) {
+          await this.#notifyActions(context, plan);
+        }
+      }
+      return true;
+    } catch (error) {
+      logger.error(`❌ Failed to process ${rule.name}: ${error.message}`, {
+        error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compares the amount with the provider's earlier ledger amounts and
+   * sends an alert when it looks unusual.
+   *
+   * @private
+   * @param {Object} spec - The rule's `anomaly` options (see `detectAnomaly`), plus `skip` for amounts outside `min`/`max`.
+   * @param {Object} context - The email being handled.
+   * @param {Object} plan - The `runTransaction` result so far.
+   * @returns {Promise<boolean>} - `false` if the rule's actions should be skipped.
+   */
+  async #checkAmount(spec, { from, subject, message }, plan) {
+    const provider = plan.provider ?? plan.rule;
+    const { amount } = plan;
+    let history = [];
+    try {
+      history = await listProviderAmounts(this.firestore, provider, {
+        limit: spec.lookback ?? DEFAULT_ANOMALY_OPTIONS.lookback,
+        excludeMessageId: message?.data?.id,
+      });
+    } catch (error) {
+      logger.warn(
+        `⚠️ Could not load earlier ${provider} amounts: ${error.message}`
+      );
+    }
+
+    const anomaly = detectAnomaly(amount, history, spec);
+    if (!anomaly) {
+      return true;
+    }
+    // Only the fixed limits can skip an email; the learned history just alerts
+    const skip = Boolean(spec.skip && anomaly.outOfRange);
+    const outcome = skip ? 'skipped' : 'processed anyway';
+    logger.warn(`⚠️ Unusual ${provider} amount, ${outcome}: ${anomaly.reason}`);
+
+    const record = {
+      type: 'anomalyAlert',
+      provider,
+      amount,
+      reason: anomaly.reason,
+      skipped: skip,
+    };
+    if (plan.dryRun) {
+      logger.info(`[DRY RUN] 🚨 Would file an alert for ${provider}`);
+      plan.actions.push(record);
+      return !skip;
+    }
+
+    const messageId = message?.data?.id;
+    const delivered = await this.notifier.notify({
+      level: 'warning',
+      title: `Unusual ${provider} amount: $${amount}`,
+      text: [
+        `${anomaly.reason}.`,
+        '',
+        `The email was ${outcome}.`,
+        `From: ${from}`,
+        `Subject: ${subject}`,
+      ].join('\n'),
+      link: messageId ? gmailLink(this.emailAddress, messageId) : null,
+    });
+    if (Object.keys(delivered).length) {
+      plan.actions.push({
+        ...record,
+        alertMessageId: delivered.gmail ?? null,
+        performedAt: new Date(),
+      });
+    }
+    return !skip;
+  }
+
+  /**
+   * Sends a summary of the actions taken for an email, for NOTIFY_ACTIONS.
+   *
+   * @private
+   * @param {Object} context - The email being handled.
+   * @param {Object} plan - The `runTransaction` result so far.
+   */
+  async #notifyActions({ message }, plan) {
+    const provider = plan.provider ?? plan.rule;
+    const messageId = message?.data?.id;
+    await this.notifier.notify({
+      level: 'info',
+      title:
+        plan.amount !== null
+          ? `Processed ${provider}: $${plan.amount}`
+          : `Processed ${provider}`,
+      text: plan.actions.map(describeAction).filter(Boolean).join('\n'),
+      link: messageId ? gmailLink(this.emailAddress, messageId) : null,
+    });
+  }
+
+  /**
+   * Adds the bill or payment an email was recognized as to the ledger.
+   * Failures are logged rather than thrown, like audit records.
+   *
+   * @private
+   * @param {Object} context - The email being handled.
+   * @param {Object} plan - The `runTransaction` result so far.
+   */
+  async #recordLedger({ message, date }, plan) {
+    const messageId = message?.data?.id;
+    if (!messageId) {
+      logger.warn('⚠️ No message ID available, skipping ledger entry.');
+      return;
+    }
+
+    // Rules that archive a document are bills; the rest confirm payments
+    const upload = plan.actions.findLast((a) => a.type === 'driveUpload');
+    try {
+      await recordLedgerEntry(this.firestore, {
+        messageId,
+        provider: plan.provider ?? plan.rule,
+        rule: plan.rule,
+        amount: plan.amount,
+        date: date ?? messageDate(message),
+        kind: upload ? 'bill' : 'payment',
+        driveFileId: upload?.fileId ?? null,
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to write ledger entry: ${error.message}`, {
+        error,
+      });
+    }
+  }
+
+  /**
+   * Appends the transaction to the SHEETS_SPREADSHEET_ID spreadsheet, when
+   * one is configured. Failures are logged rather than thrown, like audit
+   * records.
+   *
+   * @private
+   * @param {Object} context - The email being handled.
+   * @param {Object} plan - The `runTransaction` result so far.
+   */
+  async #exportToSheet({ message, date }, plan) {
+    const spreadsheetId = this.config.SHEETS_SPREADSHEET_ID;
+    const messageId = message?.data?.id;
+    if (!spreadsheetId || !messageId) {
+      return;
+    }
+
+    try {
+      await appendTransactionRow(this.sheets, {
+        spreadsheetId,
+        sheetName: this.config.SHEETS_SHEET_NAME || undefined,
+        transaction: {
+          date: date ?? messageDate(message),
+          provider: plan.provider ?? plan.rule,
+          amount: plan.amount,
+          actions: plan.actions,
+          messageId,
+          emailAddress: this.emailAddress,
+        },
+        request: (label, request) => this.#request(label, request),
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to export to Sheets: ${error.message}`, {
+        error,
+      });
+    }
+  }
+
+  /**
+   * Runs a single rule action.
+   *
+   * @private
+   * @param {Object} action - The action definition from the rule.
+   * @param {Object} context - The email being handled, any extracted amount and bill due and autopay dates.
+   * @param {Object} plan - Receives a record of each performed (or intended) action.
+   * @returns {Promise<boolean>} - `false` if the remaining actions should be skipped.
+   */
+  async #executeAction(action, context, plan) {
+    const { from, subject, message } = context;
+    switch (action.type) {
+      case 'calendarDelete':
+        await this.processCalendarEvents(
+          action.eventPrefix,
+          { action: 'delete', monthOffset: action.monthOffset },
+          plan
+        );
+        return true;
+
+      case 'calendarPatch': {
+        const title = renderTemplate(action.title, {
+          amount: context.amount,
+          dueDate: context.dueDate,
+          autopayDate: context.autopayDate,
+        });
+        // e.g. a bill whose PDF did not show the amount
+        if (/\{\{\s*\w+\s*\}\}/.test(title)) {
+          logger.warn(
+            `⚠️ Not renaming "${action.eventPrefix}" events, "${title}" is missing values`
+          );
+          return true;
+        }
+        // Without a fixed monthOffset, the reminder sits in the autopay month,
+        // which may be after the month the bill arrives in
+        const month =
+          action.monthOffset === undefined ? context.autopayDate : undefined;
+        await this.processCalendarEvents(
+          action.eventPrefix,
+          { action: 'patch', monthOffset: action.monthOffset, month, title },
+          plan
+        );
+        return true;
+      }
+
+      case 'driveUpload': {
+        const fileData = await this.#fetchDocument(
+          action.source,
+          context,
+          plan
+        );
+        if (!fileData) {
+          return false;
+        }
+        // Bill details let later actions use the amount, e.g. in a calendarPatch title
+        if (fileData.details) {
+          context.amount ??= fileData.details.amountDue ?? undefined;
+          context.dueDate ??= fileData.details.dueDate ?? undefined;
+          context.autopayDate ??= fileData.details.autopayDate ?? undefined;
+          plan.amount ??= context.amount ?? null;
+        }
+        // The ledger files bills under their statement date
+        context.date ??=
+          fileData.date ?? fileData.details?.statementDate ?? undefined;
+        // Bills of additional National Grid accounts go to per-account subfolders
+        const folderPath = fileData.folder
+          ? `${action.folderPath}/${fileData.folder}`
+          : action.folderPath;
+        await this.uploadToDrive(fileData, folderPath, {
+          ...plan,
+          onConflict: action.onConflict,
+          messageId: message?.data?.id,
+        });
+        return true;
+      }
+
+      case 'archiveAttachments': {
+        const attachments = await downloadAttachments(message, this.gmail, {
+          mimeTypes: action.mimeTypes,
+          includeInline: action.includeInline,
+          retryOptions: this.retryOptions,
+        });
+        if (!attachments.length) {
+          logger.warn(`⚠️ No attachments to archive in "${subject}"`);
+          return false;
+        }
+        const date = messageDate(message);
+        for (const [index, attachment] of attachments.entries()) {
+          const fileName = renderAttachmentName(
+            action.fileName ?? DEFAULT_ATTACHMENT_NAME,
+            {
+              provider: plan.provider ?? plan.rule,
+              date,
+              filename: attachment.filename,
+              index: index + 1,
+            }
+          );
+          await this.uploadToDrive(
+            {
+              buffer: attachment.data,
+              fileName,
+              mimeType: attachment.mimeType,
+              date,
+            },
+            action.folderPath,
+            {
+              ...plan,
+              onConflict: action.onConflict,
+              messageId: message?.data?.id,
+            }
+          );
+        }
+        return true;
+      }
+
+      case 'markRead': {
+        const messageId = message?.data?.id;
+        if (!messageId) {
+          logger.info('⁉️ No message ID available, cannot mark as read.');
+          return true;
+        }
+        await this.markMessageAsRead(
+          { from, subject, messageId, labelIds: message.data.labelIds },
+          plan
+        );
+        return true;
+      }
+
+      default:
+        logger.info(`⁉️ Unknown action "${action.type}"`);
+        return true;
+    }
+  }
+
+  /**
+   * Lists the National Grid accounts in NATIONAL_GRID_CREDENTIALS.
+   *
+   * @returns {Promise<Array<Object>>} - Empty if no credentials are configured.
+   */
+  async getNationalGridAccounts() {
+    const raw = this.config.NATIONAL_GRID_CREDENTIALS;
+    if (!raw) {
+      return [];
+    }
+    const { parseNationalGridAccounts } =
+      await import('./NationalGridClient.js');
+    return parseNationalGridAccounts(raw);
+  }
+
+  /**
+   * Returns the National Grid client for an account, creating it on first
+   * use. When NATIONAL_GRID_TOKEN_KEY is set, its tokens are kept encrypted
+   * in Firestore so later runs can refresh instead of logging in again.
+   * Dry runs get their own client that never saves renewed tokens.
+   *
+   * @param {Object} [account] - From `getNationalGridAccounts` (default: the first account).
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Leave the stored tokens untouched (default: DRY_RUN config).
+   * @returns {Promise<NationalGridClient>}
+   */
+  async getNationalGridClient(account = null, { dryRun = this.dryRun } = {}) {
+    // An injected client serves every account
+    if (this.nationalGrid) {
+      return this.nationalGrid;
+    }
+
+    const key = `${account?.accountNumber ?? ''}${dryRun ? ':dry-run' : ''}`;
+    if (!this.nationalGridClients.has(key)) {
+      const { default: NationalGridClient } =
+        await import('./NationalGridClient.js');
+      const secret = this.config.NATIONAL_GRID_TOKEN_KEY;
+      this.nationalGridClients.set(
+        key,
+        new NationalGridClient({
+          account,
+          notifier: this.notifier,
+          dryRun,
+          tokenStore: secret
+            ? createFirestoreTokenStore(this.firestore, secret)
+            : null,
+        })
+      );
+    }
+    return this.nationalGridClients.get(key);
+  }
+
+  /**
+   * Picks the National Grid account a bill email is about, by the account
+   * number it mentions.
+   *
+   * @private
+   * @param {string} text - The email subject and body.
+   * @returns {Promise<Object|null>}
+   */
+  async #nationalGridAccountFor(text) {
+    const accounts = await this.getNationalGridAccounts();
+    if (accounts.length <= 1) {
+      return accounts[0] ?? null;
+    }
+
+    const { findAccountInText } = await import('./NationalGridClient.js');
+    const account = findAccountInText(accounts, text);
+    if (!account) {
+      logger.warn(
+        `⚠️ Could not tell which National Grid account the email is about, using ${accounts[0].accountNumber}`
+      );
+      return accounts[0];
+    }
+    logger.info(
+      `🏠 Email is about National Grid account ${account.accountNumber}`
+    );
+    return account;
+  }
+
+  /**
+   * Arranges for an email to be handled again later because the bill it
+   * announces is not in the portal yet (see `runBillRechecks`).
+   *
+   * @private
+   * @param {Object} context - The email being handled.
+   * @param {Object} reference - The statement the email refers to.
+   * @param {Object} plan - Receives a record of the scheduled re-check.
+   */
+  async #scheduleBillRecheck(context, reference, { dryRun, actions }) {
+    const messageId = context.message?.data?.id;
+    if (!messageId) {
+      logger.warn('⁉️ No message ID available, cannot schedule a re-check.');
+      return;
+    }
+
+    const record = { type: 'scheduleBillRecheck', messageId, reference };
+    if (dryRun) {
+      logger.info(
+        `[DRY RUN] ⏰ Would schedule a re-check for message ${messageId}`
+      );
+      actions?.push(record);
+      return;
+    }
+
+    const scheduled = await scheduleBillRecheck(this.firestore, {
+      messageId,
+      mailbox: this.emailAddress,
+      reference,
+    });
+    actions?.push({
+      ...record,
+      attempts: scheduled?.attempts ?? null,
+      nextCheckAt: scheduled ? new Date(scheduled.nextCheckAt) : null,
+      performedAt: new Date(),
+    });
+    if (!scheduled) {
+      const statement =
+        reference.statementDate ?? `for $${reference.amountDue}`;
+      await this.notifier.notify({
+        level: 'error',
+        title: `National Grid statement ${statement} never arrived`,
+        text: `The portal still does not list the statement announced in message ${messageId} after the last re-check. Download it from the portal by hand.`,
+        link: gmailLink(this.emailAddress, messageId),
+      });
+    }
+  }
+
+  /**
+   * Retrieves the document to archive for a `driveUpload` action.
+   *
+   * @private
+   * @param {string} source - Either "nationalGrid" or "sunrun".
+   * @param {Object} context - The email being handled.
+   * @param {Object} plan - Receives a record of any scheduled re-check.
+   * @returns {Promise<{buffer: Buffer, fileName: string, folder?: string}|null>} - null if there is nothing to upload (yet).
+   */
+  async #fetchDocument(source, context, plan) {
+    if (source === 'nationalGrid') {
+      const text = `${context.subject}\n${context.body}`;
+      const account = await this.#nationalGridAccountFor(text);
+      const nationalGrid = await this.getNationalGridClient(account, {
+        dryRun: plan.dryRun,
+      });
+
+      const { parseBillEmail } = await import('./NationalGridClient.js');
+      const reference = parseBillEmail(text);
+      if (reference.statementDate === null && reference.amountDue === null) {
+        logger.info(
+          '📭 Email does not name a statement, using the latest bill'
+        );
+        return nationalGrid.getCurrentBill();
+      }
+
+      const bill = await nationalGrid.getBill(reference);
+      if (!bill) {
+        await this.#scheduleBillRecheck(context, reference, plan);
+      }
+      return bill;
+    }
+
+    if (source === 'sunrun') {
+      if (!this.sunrun) {
+        const { default: SunrunClient } = await import('./SunrunClient.js');
+        this.sunrun = new SunrunClient({
+          retryOptions: this.retryOptions,
+          notifier: this.notifier,
+        });
+      }
+      return this.sunrun.getBillFromMessage(context.message, this.gmail);
+    }
+
+    throw new Error(`❌ Unknown document source "${source}"`);
+  }
+
+  /**
+   * Uploads a file to Google Drive, tagged with `appProperties` describing
+   * the bill. Nothing is uploaded when a same-named file in the folder already
+   * has identical content. Otherwise `onConflict` decides what happens to it:
+   *
+   * - `overwrite` replaces its content; Drive prunes old revisions over time.
+   * - `versioned` pins the current revision, then replaces the content and
+   *   pins the new revision too, so Drive never prunes either.
+   * - `keepBoth` leaves it alone and uploads the new file as "name (2).ext",
+   *   unless one of the numbered copies already has identical content.
+   *
+   * @param {Object} fileData - `{ buffer, fileName }`, plus an optional `mimeType` (default: PDF), statement `date` and bill `details` that are kept in the action record.
+   * @param {string} folderPath
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Record the upload without calling Drive (default: DRY_RUN config).
+   * @param {Array<Object>} [options.actions] - Receives a record of the upload.
+   * @param {string} [options.onConflict] - One of `DRIVE_CONFLICT_MODES` (default: "overwrite").
+   * @param {string} [options.provider] - Stored in the file's `appProperties`.
+   * @param {number} [options.amount] - Stored in the file's `appProperties` when the bill details have no amount due.
+   * @param {string} [options.messageId] - The Gmail message the file came from, stored in `appProperties`.
+   */
+  async uploadToDrive(
+    fileData,
+    folderPath,
+    {
+      dryRun = this.dryRun,
+      actions,
+      onConflict = 'overwrite',
+      provider,
+      amount,
+      messageId,
+    } = {}
+  ) {
+    if (!DRIVE_CONFLICT_MODES.includes(onConflict)) {
+      throw new Error(`❌ Unknown Drive conflict mode "${onConflict}"`);
+    }
+
+    const record = {
+      type: 'driveUpload',
+      folderPath,
+      fileName: fileData.fileName,
+      size: fileData.buffer.length,
+      ...(fileData.details && { details: fileData.details }),
+    };
+
+    if (dryRun) {
+      logger.info(
+        `[DRY RUN] ☁️ Would upload "${fileData.fileName}" to "${folderPath}"`
+      );
+      actions?.push(record);
+      return;
+    }
+
+    const parentId = await this.#resolveFolder(folderPath, { create: true });
+
+    const appProperties = driveAppProperties({
+      provider,
+      statementDate: fileData.date ?? fileData.details?.statementDate,
+      amount: fileData.details?.amountDue ?? amount,
+      messageId,
+    });
+    const md5Checksum = crypto
+      .createHash('md5')
+      .update(fileData.buffer)
+      .digest('hex');
+    const media = {
+      mimeType: fileData.mimeType ?? 'application/pdf',
+      body: Readable.from(fileData.buffer),
+    };
+
+    try {
+      // Check if file exists
+      const existingFiles = await this.#request('drive.files.list', () =>
+        this.drive.files.list({
+          q: `name = '${escapeQueryValue(fileData.fileName)}' and '${parentId}' in parents and trashed = false`,
+          fields: `files(${DRIVE_FILE_FIELDS})`,
+          ...driveListParams(this.driveId),
+        })
+      );
+
+      let existingFile = existingFiles.data.files[0] ?? null;
+      let fileName = fileData.fileName;
+      if (
+        existingFile &&
+        existingFile.md5Checksum !== md5Checksum &&
+        onConflict === 'keepBoth'
+      ) {
+        // An earlier keepBoth upload may already hold this content
+        const copies = await this.#listNumberedCopies(fileName, parentId);
+        existingFile =
+          copies.find((f) => f.md5Checksum === md5Checksum) ?? null;
+        fileName = existingFile?.name ?? nextCopyName(fileName, copies);
+      }
+
+      if (existingFile?.md5Checksum === md5Checksum) {
+        logger.info(
+          `☁️ "${fileName}" is already in Drive with the same content (ID: ${existingFile.id})`
+        );
+        actions?.push({
+          ...record,
+          fileName,
+          operation: 'unchanged',
+          fileId: existingFile.id,
+          before: existingFile,
+          after: existingFile,
+          performedAt: new Date(),
+        });
+        return;
+      }
+
+      // Uploads are not retried: the media stream can only be read once
+      const commonParams = {
+        media,
+        fields: DRIVE_FILE_FIELDS,
+        supportsAllDrives: true,
+      };
+
+      if (existingFile && onConflict !== 'keepBoth') {
+        if (onConflict === 'versioned') {
+          await this.#pinHeadRevision(existingFile);
+        }
+        // Update existing file
+        const file = await this.drive.files.update({
+          ...commonParams,
+          fileId: existingFile.id,
+          resource: { appProperties },
+          ...(onConflict === 'versioned' && { keepRevisionForever: true }),
+        });
+        logger.notice(
+          `[ACTION] ☁️ Overwrote existing "${fileData.fileName}" in Drive (ID: ${file.data.id})`
+        );
+        actions?.push({
+          ...record,
+          operation: 'update',
+          fileId: file.data.id,
+          before: existingFile,
+          after: file.data,
+          performedAt: new Date(),
+        });
+      } else {
+        // Create new file
+        const file = await this.drive.files.create({
+          ...commonParams,
+          resource: {
+            name: fileName,
+            parents: [parentId],
+            appProperties,
+          },
+          ...(onConflict === 'versioned' && { keepRevisionForever: true }),
+        });
+        logger.notice(
+          `[ACTION] ☁️ Uploaded new "${fileName}" to Drive (ID: ${file.data.id})`
+        );
+        actions?.push({
+          ...record,
+          fileName,
+          operation: 'create',
+          fileId: file.data.id,
+          before: null,
+          after: file.data,
+          performedAt: new Date(),
+        });
+      }
+    } catch (error) {
+      logger.error(`❌ Drive upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a file's current revision to be kept forever, so replacing its
+   * content cannot lead Drive to prune it.
+   *
+   * @private
+   * @param {Object} file - Drive file metadata with `DRIVE_FILE_FIELDS`.
+   * @returns {Promise<void>}
+   */
+  async #pinHeadRevision(file) {
+    if (!file.headRevisionId) {
+      logger.warn(`⚠️ "${file.name}" has no revision to keep (ID: ${file.id})`);
+      return;
+    }
+    await this.#request('drive.revisions.update', () =>
+      this.drive.revisions.update({
+        fileId: file.id,
+        revisionId: file.headRevisionId,
+        requestBody: { keepForever: true },
+        supportsAllDrives: true,
+      })
+    );
+    logger.notice(
+      `[ACTION] 📌 Kept revision ${file.headRevisionId} of "${file.name}" forever`
+    );
+  }
+
+  /**
+   * Lists the "name (n).ext" copies of a file in a Drive folder.
+   *
+   * @private
+   * @param {string} fileName
+   * @param {string} parentId
+   * @returns {Promise<Array<Object>>} - Drive file metadata with `DRIVE_FILE_FIELDS`.
+   */
+  async #listNumberedCopies(fileName, parentId) {
+    const [base] = splitFileName(fileName);
+    const res = await this.#request('drive.files.list', () =>
+      this.drive.files.list({
+        q: `name contains '${escapeQueryValue(base)}' and '${parentId}' in parents and trashed = false`,
+        fields: `files(${DRIVE_FILE_FIELDS})`,
+        ...driveListParams(this.driveId),
+      })
+    );
+    return res.data.files.filter((f) => copyNumber(fileName, f.name) !== null);
+  }
+
+  /**
+   * Lists the names of the files in a Drive folder, without creating any
+   * missing folders along the path.
+   *
+   * @param {string} folderPath - e.g. "House/National Grid Bills".
+   * @returns {Promise<Array<string>>} - Empty if the folder does not exist.
+   */
+  async listDriveFolder(folderPath) {
+    const parentId = await this.#resolveFolder(folderPath);
+    if (!parentId) {
+      return [];
+    }
+
+    const names = [];
+    let pageToken;
+    do {
+      const res = await this.#request('drive.files.list', () =>
+        this.drive.files.list({
+          q: `'${parentId}' in parents and trashed = false`,
+          fields: 'nextPageToken, files(id, name)',
+          ...driveListParams(this.driveId),
+          pageSize: 1000,
+          pageToken,
+        })
+      );
+      names.push(...res.data.files.map((f) => f.name));
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    return names;
+  }
+
+  /**
+   * Resolves a Drive folder path to its ID through the folder cache.
+   *
+   * @private
+   * @param {string} folderPath
+   * @param {Object} [options]
+   * @param {boolean} [options.create] - Create missing folders (default: false).
+   * @returns {Promise<string|null>} - null if the folder does not exist and `create` is off.
+   */
+  async #resolveFolder(folderPath, { create = false } = {}) {
+    // Folder IDs differ between Drive accounts, so each mailbox has its own entries
+    this.folderCache ??= createFolderCache(
+      this.firestore,
+      `${this.emailAddress ?? 'default'}:${this.driveId ?? 'root'}`
+    );
+    try {
+      return await resolveFolderPath(this.drive, folderPath, {
+        create,
+        cache: this.folderCache,
+        driveId: this.driveId,
+        request: (label, request) => this.#request(label, request),
+      });
+    } catch (error) {
+      logger.error(
+        `❌ Error resolving folder "${folderPath}": ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a message as read.
+   *
+   * @param {Object} params
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Record the change without calling Gmail (default: DRY_RUN config).
+   * @param {Array<Object>} [options.actions] - Receives a record of the change.
+   */
+  async markMessageAsRead(
+    { from, subject, messageId, labelIds },
+    { dryRun = this.dryRun, actions } = {}
+  ) {
+    if (dryRun) {
+      logger.info(
+        `[DRY RUN] 📖 Would mark email "${from}" and subject "${subject}" as read.`
+      );
+      actions?.push({ type: 'markRead', messageId });
+      return;
+    }
+
+    const res = await this.#request('gmail.users.messages.modify', () =>
+      this.gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        requestBody: {
+          removeLabelIds: ['UNREAD'],
+        },
+      })
+    );
+    logger.notice(
+      `[ACTION] 📖 Marked email "${from}" and subject "${subject}" as read.`
+    );
+    actions?.push({
+      type: 'markRead',
+      messageId,
+      before: labelIds ? { labelIds } : null,
+      after: res?.data?.labelIds ? { labelIds: res.data.labelIds } : null,
+      performedAt: new Date(),
+    });
+  }
+
+  /**
+   * Updates or deletes calendar events.
+   *
+   * @param {string} eventPrefix
+   * @param {Object} options
+   * @param {string} options.action - "delete" or "patch".
+   * @param {number} [options.monthOffset] - Months from now to search (default: 0).
+   * @param {string} [options.month] - A YYYY-MM-DD date whose month is searched instead, e.g. the autopay date.
+   * @param {string} [options.title] - The new title when patching.
+   * @param {Object} [run]
+   * @param {boolean} [run.dryRun] - Look up matching events but leave them untouched (default: DRY_RUN config).
+   * @param {Array<Object>} [run.actions] - Receives a record per event deleted or patched.
+   */
+  async processCalendarEvents(
+    eventPrefix,
+    { action, monthOffset = 0, month, title },
+    { dryRun = this.dryRun, actions } = {}
+  ) {
+    const now = new Date();
+    const [year, monthIndex] = month
+      ? [Number(month.slice(0, 4)), Number(month.slice(5, 7)) - 1]
+      : [now.getFullYear(), now.getMonth() + monthOffset];
+    const monthStart = new Date(year, monthIndex, 1);
+    const monthEnd = new Date(year, monthIndex + 1, 0, 23, 59, 59);
+
+    try {
+      const calendarList = await this.#request(
+        'calendar.calendarList.list',
+        () => this.calendar.calendarList.list()
+      );
+      const targetCal = calendarList.data.items.find(
+        (c) => c.summary === this.calendarName
+      );
+      if (!targetCal) {
+        logger.info(`No calendar named "${this.calendarName}".`);
+        return false;
+      }
+
+      const eventsRes = await this.#request('calendar.events.list', () =>
+        this.calendar.events.list({
+          calendarId: targetCal.id,
+          timeMin: monthStart.toISOString(),
+          timeMax: monthEnd.toISOString(),
+          singleEvents: true,
+        })
+      );
+
+      const events = eventsRes.data.items.filter((e) =>
+        e.summary.startsWith(eventPrefix)
+      );
+      if (!events.length) {
+        logger.info(`No "${eventPrefix}" reminders this month.`);
+        return false;
+      }
+
+      const prefix = dryRun ? '[DRY RUN]' : '[ACTION]';
+      const logAction = dryRun ? logger.info : logger.notice;
+      for (const e of events) {
+        const actualStart = e.originalStartTime || e.start;
+        const eventDate =
+          actualStart.date ||
+          new Date(actualStart.dateTime).toISOString().split('T')[0];
+        const record = {
+          calendarId: targetCal.id,
+          eventId: e.id,
+          summary: e.summary,
+          date: eventDate,
+        };
+
+        if (action === 'delete') {
+          logAction(`${prefix} 🗑 Deleting "${e.summary}" on ${eventDate}`);
+          if (dryRun) {
+            actions?.push({ type: 'calendarDelete', ...record });
+            continue;
+          }
+          await this.#request('calendar.events.delete', async () => {
+            try {
+              await this.calendar.events.delete({
+                calendarId: targetCal.id,
+                eventId: e.id,
+              });
+            } catch (err) {
+              // A retried delete finds the event already gone
+              if (getHttpStatus(err) !== 410) {
+                throw err;
+              }
+            }
+          });
+          // The full event resource is kept so restore.js can recreate it
+          actions?.push({
+            type: 'calendarDelete',
+            ...record,
+            before: e,
+            after: null,
+            performedAt: new Date(),
+          });
+        } else if (action === 'patch') {
+          logAction(`${prefix} ✏️ Updating "${e.summary}" → "${title}"`);
+          if (dryRun) {
+            actions?.push({ type: 'calendarPatch', ...record, title });
+            continue;
+          }
+          const patched = await this.#request('calendar.events.patch', () =>
+            this.calendar.events.patch({
+              calendarId: targetCal.id,
+              eventId: e.id,
+              requestBody: { summary: title },
+            })
+          );
+          actions?.push({
+            type: 'calendarPatch',
+            ...record,
+            title,
+            before: e,
+            after: patched?.data ?? { ...e, summary: title },
+            performedAt: new Date(),
+          });
+        } else {
+          logger.info(`⁉️ Unknown action "${action}"`);
+        }
+      }
+      return true;
+    } catch (calErr) {
+      logger.error(`❌ Calendar API error: ${calErr.message}`);
+      throw calErr;
+    }
+  }
+}
+
+/**
+ * Parses and validates the MAILBOXES config: a JSON array of
+ * `{ emailAddress, credentials, calendarName?, rulesFile?, watchLabelIds?,
+ * driveId?, spreadsheetId? }`, where `credentials` has the same shape as
+ * GMAIL_OAUTH_CREDENTIALS and `watchLabelIds` is an array of label IDs.
+ */
+function parseMailboxes(json) {
+  const mailboxes = JSON.parse(json);
+  if (!Array.isArray(mailboxes)) {
+    throw new Error('❌ MAILBOXES must be a JSON array');
+  }
+  for (const mailbox of mailboxes) {
+    if (!mailbox.emailAddress || !mailbox.credentials?.refresh_token) {
+      throw new Error(
+        '❌ Every MAILBOXES entry needs an emailAddress and credentials with a refresh_token'
+      );
+    }
+  }
+  return mailboxes;
+}
+
+/**
+ * Builds Drive `appProperties` from the known values. Drive only stores
+ * strings, so numbers are stringified and missing values left out.
+ *
+ * @param {Object} properties
+ * @returns {Object<string, string>}
+ */
+function driveAppProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+// "bill.pdf" → ["bill", ".pdf"]
+function splitFileName(fileName) {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0
+    ? [fileName.slice(0, dot), fileName.slice(dot)]
+    : [fileName, ''];
+}
+
+// The n of a "name (n).ext" copy of fileName, or null for other names
+function copyNumber(fileName, name) {
+  const [base, extension] = splitFileName(fileName);
+  if (!name.startsWith(`${base} (`) || !name.endsWith(`)${extension}`)) {
+    return null;
+  }
+  const n = name.slice(base.length + 2, name.length - extension.length - 1);
+  return /^\d+$/.test(n) ? Number(n) : null;
+}
+
+// The first "name (n).ext" not taken by one of the copies, from n = 2
+function nextCopyName(fileName, copies) {
+  const [base, extension] = splitFileName(fileName);
+  const taken = new Set(copies.map((f) => copyNumber(fileName, f.name)));
+  let n = 2;
+  while (taken.has(n)) {
+    n++;
+  }
+  return `${base} (${n})${extension}`;
+}
+
+/**
+ * Helper to extract email body.
+ */
+function extractEmailBody(message) {
+  const payload = message?.data?.payload;
+  if (!payload) {
+    return '';
+  }
+
+  const decode = (data) => Buffer.from(data, 'base64').toString('utf8');
+
+  // Recursive function to find text content in nested parts
+  const findTextContent = (part) => {
+    // Check if this part has text content directly
+    if (part.mimeType === 'text/plain' && part.body?.data) {
+      return decode(part.body.data);
+    }
+
+    if (part.mimeType === 'text/html' && part.body?.data) {
+      return decode(part.body.data);
+    }
+
+    // Recursively search nested parts
+    if (part.parts) {
+      for (const subPart of part.parts) {
+        const content = findTextContent(subPart);
+        if (content) {
+          return content;
+        }
+      }
+    }
+
+    return '';
+  };
+
+  return findTextContent(payload);
+}
+
+/**
+ * Compares two Gmail history IDs numerically. They may arrive as numbers
+ * (Pub/Sub payloads) or strings (API responses).
+ *
+ * @returns {number} - Negative if `a` is older than `b`, positive if newer, 0 if equal.
+ */
+function compareHistoryIds(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff === 0n ? 0 : diff > 0n ? 1 : -1;
+}
+
+/**
+ * Returns the newer of two Gmail history IDs.
+ */
+function maxHistoryId(a, b) {
+  return compareHistoryIds(a, b) >= 0 ? a : b;
+}
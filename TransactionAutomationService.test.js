@@ -0,0 +1,2788 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import { claimMessage } from './deduplication.js';
+import { TransactionAutomationService } from './TransactionAutomationService.js';
+import NationalGridClient from './NationalGridClient.js';
+import { createMockFirestore } from './test/mockFirestore.js';
+
+// Mock Google APIs (Calendar, Drive, Gmail)
+const mockCalendar = {
+  calendarList: { list: jest.fn() },
+  events: { list: jest.fn(), delete: jest.fn(), patch: jest.fn() },
+};
+const mockDrive = {
+  files: {
+    list: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn().mockResolvedValue({ data: { id: 'updated_file_id' } }),
+  },
+  revisions: { update: jest.fn().mockResolvedValue({ data: {} }) },
+};
+const mockGmail = {
+  users: {
+    messages: { modify: jest.fn() },
+  },
+};
+
+/**
+ * Builds a Pub/Sub CloudEvent carrying a Gmail push notification.
+ */
+function createPushEvent(payload) {
+  return {
+    data: {
+      message: {
+        data: Buffer.from(JSON.stringify(payload)).toString('base64'),
+      },
+    },
+  };
+}
+
+describe('Transaction Handler Logic', () => {
+  let service;
+  let firestore;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    firestore = createMockFirestore();
+
+    // Instantiate service with mocks
+    service = new TransactionAutomationService(
+      {
+        calendar: mockCalendar,
+        drive: mockDrive,
+        gmail: mockGmail,
+        firestore,
+      },
+      {
+        CALENDAR_NAME: 'Test Calendar',
+        GMAIL_OAUTH_CREDENTIALS: '{}',
+        FIRESTORE_COLLECTION: 'gmail-history',
+      }
+    );
+
+    // Default Calendar Mock Behavior
+    mockCalendar.calendarList.list.mockResolvedValue({
+      data: { items: [{ summary: 'Test Calendar', id: 'cal_123' }] },
+    });
+    mockCalendar.events.list.mockResolvedValue({ data: { items: [] } });
+  });
+
+  describe('National Grid', () => {
+    it('downloads bill and uploads to Drive', async () => {
+      // Mock NationalGridClient
+      const mockGetCurrentBill = jest.fn().mockResolvedValue({
+        buffer: Buffer.from('fake-pdf'),
+        fileName: 'bill.pdf',
+      });
+
+      // Re-instantiate with NationalGridClient mock
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          nationalGrid: { getCurrentBill: mockGetCurrentBill },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+
+      // Mock Drive behavior
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_root' }] } }) // House
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_ng' }] } }) // National Grid Bills
+        .mockResolvedValueOnce({ data: { files: [] } }); // check if file exists
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_456' } });
+
+      const result = await service.handleTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockGetCurrentBill).toHaveBeenCalled();
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resource: expect.objectContaining({ name: 'bill.pdf' }),
+        })
+      );
+    });
+
+    it('uses the bill amount and due date in later actions', async () => {
+      const details = {
+        statementDate: '2024-05-14',
+        amountDue: 142.17,
+        dueDate: '2024-06-05',
+        billingPeriod: { fromDate: '2024-04-12', toDate: '2024-05-13' },
+        usage: [{ type: 'ELECTRIC', quantity: 610, unit: 'kWh' }],
+      };
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          nationalGrid: {
+            getCurrentBill: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-pdf'),
+              fileName: 'bill.pdf',
+              details,
+            }),
+          },
+          rules: [
+            {
+              name: 'National Grid bill',
+              provider: 'National Grid',
+              match: { sender: 'nationalgridus.com' },
+              actions: [
+                {
+                  type: 'driveUpload',
+                  source: 'nationalGrid',
+                  folderPath: 'House/National Grid Bills',
+                },
+                {
+                  type: 'calendarPatch',
+                  eventPrefix: 'Pay Electric Bill',
+                  title: 'Electric Bill - ${{amount}} due {{dueDate}}',
+                },
+              ],
+            },
+          ],
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_root' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_ng' }] } })
+        .mockResolvedValueOnce({ data: { files: [] } });
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_456' } });
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_1',
+              summary: 'Pay Electric Bill',
+              start: { date: '2024-06-05' },
+            },
+          ],
+        },
+      });
+
+      const result = await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: { data: { id: 'msg_ng' } },
+      });
+
+      expect(result.amount).toBe(142.17);
+      expect(mockCalendar.events.patch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventId: 'evt_1',
+          requestBody: { summary: 'Electric Bill - $142.17 due 2024-06-05' },
+        })
+      );
+      expect(result.actions[0]).toEqual(
+        expect.objectContaining({ type: 'driveUpload', details })
+      );
+    });
+
+    it('keeps National Grid tokens in Firestore when a token key is set', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          NATIONAL_GRID_TOKEN_KEY: 'secret',
+        }
+      );
+
+      const client = await service.getNationalGridClient();
+      await client.tokenStore.save('1234567890', { refreshToken: 'r' });
+
+      expect(await service.getNationalGridClient()).toBe(client);
+      expect(firestore.collection).toHaveBeenCalledWith('national_grid_tokens');
+      await expect(client.tokenStore.load('1234567890')).resolves.toEqual({
+        refreshToken: 'r',
+      });
+    });
+
+    it('gives dry runs a National Grid client that does not save tokens', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          NATIONAL_GRID_TOKEN_KEY: 'secret',
+        }
+      );
+
+      const client = await service.getNationalGridClient();
+      const dryRunClient = await service.getNationalGridClient(null, {
+        dryRun: true,
+      });
+
+      expect(client.dryRun).toBe(false);
+      expect(dryRunClient).not.toBe(client);
+      expect(dryRunClient.dryRun).toBe(true);
+    });
+
+    it('uploads the bill of the account named in the email to its subfolder', async () => {
+      const getCurrentBill = jest
+        .spyOn(NationalGridClient.prototype, 'getCurrentBill')
+        .mockImplementation(async function () {
+          this.loadCredentials();
+          return {
+            buffer: Buffer.from('fake-pdf'),
+            fileName: 'NG_Bill_2024-05-14.pdf',
+            accountNumber: this.accountNumber,
+            folder: this.folder,
+          };
+        });
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          NATIONAL_GRID_CREDENTIALS: JSON.stringify({
+            signInName: 'me@example.com',
+            password: 'hunter2',
+            subscriptionKey: 'key',
+            accounts: [
+              { accountNumber: '1111122222' },
+              { accountNumber: '3333344444', region: 'massachusetts' },
+            ],
+          }),
+        }
+      );
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_root' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_ng' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_acct' }] } })
+        .mockResolvedValueOnce({ data: { files: [] } });
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_456' } });
+
+      try {
+        const result = await service.runTransaction({
+          from: 'customerservice@nationalgridus.com',
+          subject: 'Your National Grid bill for account ending in 44444',
+          message: {},
+        });
+
+        expect(getCurrentBill.mock.contexts[0].region).toBe('massachusetts');
+        expect(result.actions[0]).toEqual(
+          expect.objectContaining({
+            folderPath: 'House/National Grid Bills/3333344444',
+          })
+        );
+        expect(mockDrive.files.list).toHaveBeenCalledWith(
+          expect.objectContaining({
+            q: expect.stringContaining("name='3333344444'"),
+          })
+        );
+      } finally {
+        getCurrentBill.mockRestore();
+      }
+    });
+
+    // Remove skip to run integration test.
+    it.skip('INTEGRATION: actually downloads bill and uploads to Drive', async () => {
+      // Ensure .env has valid credentials before running this!
+      const realService = new TransactionAutomationService();
+
+      // Search for the most recent National Grid bill email
+      const searchResponse = await realService.gmail.users.messages.list({
+        userId: 'me',
+        q: 'subject:"national grid bill"',
+        maxResults: 1,
+      });
+
+      if (!searchResponse?.data?.messages?.length) {
+        throw new Error(
+          'No National Grid bill emails found in Gmail. Send yourself a test email first.'
+        );
+      }
+
+      const messageId = searchResponse.data.messages[0].id;
+      const msg = await realService.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+      });
+
+      const subject =
+        msg.data.payload.headers.find((h) => h.name === 'Subject')?.value || '';
+      const from =
+        msg.data.payload.headers.find((h) => h.name === 'From')?.value || '';
+
+      const result = await realService.handleTransaction({
+        from,
+        subject,
+        message: msg,
+      });
+
+      expect(result).toBe(true);
+    }, 10000); // Increased timeout for real network requests
+  });
+
+  describe('Sunrun', () => {
+    it('extracts PDF attachment and uploads to Drive', async () => {
+      // Mock Gmail attachment extraction
+      const mockAttachmentData = Buffer.from('fake-sunrun-pdf');
+      mockGmail.users.messages = {
+        ...mockGmail.users.messages,
+        attachments: {
+          get: jest.fn().mockResolvedValue({
+            data: {
+              data: mockAttachmentData.toString('base64'),
+            },
+          }),
+        },
+      };
+
+      // Mock Drive behavior
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_house' }] } }) // House
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_sunrun' }] } }) // Sunrun Bills
+        .mockResolvedValueOnce({ data: { files: [] } }); // check if file exists
+      mockDrive.files.create.mockResolvedValue({
+        data: { id: 'sunrun_file_123' },
+      });
+
+      const result = await service.handleTransaction({
+        from: 'billing@sunrun.com',
+        subject: 'Your Sunrun Bill is Ready',
+        message: {
+          data: {
+            id: 'msg_sunrun_123',
+            payload: {
+              headers: [
+                { name: 'Date', value: 'Wed, 15 Nov 2023 10:00:00 -0500' },
+              ],
+              parts: [
+                {
+                  mimeType: 'application/pdf',
+                  filename: 'sunrun_bill.pdf',
+                  body: { attachmentId: 'att_123' },
+                },
+              ],
+            },
+          },
+        },
+      });
+
+      expect(result).toBe(true);
+      expect(mockGmail.users.messages.attachments.get).toHaveBeenCalledWith({
+        userId: 'me',
+        messageId: 'msg_sunrun_123',
+        id: 'att_123',
+      });
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resource: expect.objectContaining({
+            name: expect.stringMatching(/^Sunrun_Bill_\d{4}-\d{2}-\d{2}\.pdf$/),
+          }),
+        })
+      );
+    });
+
+    it('patches the withdrawal reminder with the billed amount', async () => {
+      const getBillFromMessage = jest.fn().mockResolvedValue({
+        buffer: Buffer.from('fake-sunrun-pdf'),
+        fileName: 'Sunrun_Bill_2025-11-14.pdf',
+        details: { amountDue: 93.08, autopayDate: '2025-12-10' },
+      });
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          sunrun: { getBillFromMessage },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_house' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_sunrun' }] } })
+        .mockResolvedValueOnce({ data: { files: [] } });
+      mockDrive.files.create.mockResolvedValue({
+        data: { id: 'sunrun_file_123' },
+      });
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_sunrun',
+              summary: 'Sunrun withdrawal',
+              start: { date: '2025-12-10' },
+            },
+          ],
+        },
+      });
+
+      const result = await service.runTransaction({
+        from: 'billing@sunrun.com',
+        subject: 'Your Sunrun Bill is Ready',
+        message: { data: { id: 'msg_sunrun_123' } },
+      });
+
+      expect(result.amount).toBe(93.08);
+      expect(mockCalendar.events.patch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventId: 'evt_sunrun',
+          requestBody: { summary: 'Sunrun withdrawal - $93.08' },
+        })
+      );
+    });
+
+    it('looks for the withdrawal reminder in the autopay month', async () => {
+      const now = new Date();
+      const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 10);
+      const autopayDate = `${nextMonth.getFullYear()}-${String(nextMonth.getMonth() + 1).padStart(2, '0')}-10`;
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          sunrun: {
+            getBillFromMessage: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-sunrun-pdf'),
+              fileName: 'Sunrun_Bill.pdf',
+              details: { amountDue: 93.08, autopayDate },
+            }),
+          },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list.mockResolvedValue({
+        data: { files: [{ id: 'folder' }] },
+      });
+      mockDrive.files.update.mockResolvedValue({ data: { id: 'file' } });
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_sunrun',
+              summary: 'Sunrun withdrawal',
+              start: { date: autopayDate },
+            },
+          ],
+        },
+      });
+
+      await service.runTransaction({
+        from: 'billing@sunrun.com',
+        subject: 'Your Sunrun Bill is Ready',
+        message: { data: { id: 'msg_sunrun_123' } },
+      });
+
+      const { timeMin, timeMax } = mockCalendar.events.list.mock.calls[0][0];
+      expect(new Date(timeMin)).toEqual(
+        new Date(nextMonth.getFullYear(), nextMonth.getMonth(), 1)
+      );
+      expect(new Date(timeMax).getMonth()).toBe(nextMonth.getMonth());
+      expect(mockCalendar.events.patch).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventId: 'evt_sunrun',
+          requestBody: { summary: 'Sunrun withdrawal - $93.08' },
+        })
+      );
+    });
+
+    it('leaves the withdrawal reminder alone when the amount is unknown', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          sunrun: {
+            getBillFromMessage: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-sunrun-pdf'),
+              fileName: 'Sunrun_Bill_2025-11-14.pdf',
+              details: null,
+            }),
+          },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list.mockResolvedValue({
+        data: { files: [{ id: 'folder' }] },
+      });
+      mockDrive.files.update.mockResolvedValue({ data: { id: 'file' } });
+
+      const result = await service.runTransaction({
+        from: 'billing@sunrun.com',
+        subject: 'Your Sunrun Bill is Ready',
+        message: { data: { id: 'msg_sunrun_123' } },
+      });
+
+      expect(result.processed).toBe(true);
+      expect(mockCalendar.events.list).not.toHaveBeenCalled();
+      expect(mockCalendar.events.patch).not.toHaveBeenCalled();
+    });
+
+    // Remove skip to run integration test.
+    it.skip('INTEGRATION: actually extracts PDF and uploads to Drive', async () => {
+      // Ensure .env has valid credentials before running this!
+      const realService = new TransactionAutomationService();
+
+      // Search for the most recent Sunrun bill email
+      const searchResponse = await realService.gmail.users.messages.list({
+        userId: 'me',
+        q: 'subject:"your sunrun bill"',
+        maxResults: 1,
+      });
+
+      if (!searchResponse?.data?.messages?.length) {
+        throw new Error(
+          'No Sunrun bill emails found in Gmail. Send yourself a test email first.'
+        );
+      }
+
+      const messageId = searchResponse.data.messages[0].id;
+      const msg = await realService.gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+      });
+
+      const subject =
+        msg.data.payload.headers.find((h) => h.name === 'Subject')?.value || '';
+      const from =
+        msg.data.payload.headers.find((h) => h.name === 'From')?.value || '';
+
+      const result = await realService.handleTransaction({
+        from,
+        subject,
+        message: msg,
+      });
+
+      expect(result).toBe(true);
+    }, 30000); // Increased timeout for real network requests
+  });
+
+  describe('Attachment archiving', () => {
+    const rules = [
+      {
+        name: 'Water Bill',
+        provider: 'City Water',
+        match: { sender: 'billing@citywater.example' },
+        actions: [
+          {
+            type: 'archiveAttachments',
+            folderPath: 'House/Water Bills',
+            fileName: '{{provider}} {{date}} {{filename}}',
+          },
+          { type: 'markRead' },
+        ],
+      },
+    ];
+    const message = {
+      data: {
+        id: 'msg_water',
+        internalDate: String(Date.parse('2025-03-04T15:00:00Z')),
+        payload: {
+          parts: [
+            { mimeType: 'text/plain', body: { data: 'SGk=' } },
+            {
+              mimeType: 'application/pdf',
+              filename: 'statement.pdf',
+              body: { attachmentId: 'att_pdf' },
+            },
+            {
+              mimeType: 'application/octet-stream',
+              filename: 'meter.jpg',
+              body: { data: Buffer.from('jpg').toString('base64') },
+            },
+            {
+              mimeType: 'application/zip',
+              filename: 'extras.zip',
+              body: { attachmentId: 'att_zip' },
+            },
+          ],
+        },
+      },
+    };
+
+    beforeEach(() => {
+      mockGmail.users.messages.attachments = {
+        get: jest.fn().mockResolvedValue({
+          data: { data: Buffer.from('pdf').toString('base64') },
+        }),
+      };
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          rules,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+    });
+
+    afterEach(() => {
+      delete mockGmail.users.messages.attachments;
+    });
+
+    it('uploads every matching attachment under its templated name', async () => {
+      mockDrive.files.list.mockImplementation(async ({ q }) => ({
+        data: {
+          files: q.includes('vnd.google-apps.folder') ? [{ id: 'f' }] : [],
+        },
+      }));
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'new' } });
+
+      const result = await service.runTransaction({
+        from: 'billing@citywater.example',
+        subject: 'Your March statement',
+        message,
+      });
+
+      expect(result.processed).toBe(true);
+      expect(mockGmail.users.messages.attachments.get).toHaveBeenCalledTimes(1);
+      expect(
+        mockDrive.files.create.mock.calls.map(([req]) => [
+          req.resource.name,
+          req.media.mimeType,
+        ])
+      ).toEqual([
+        ['City Water 2025-03-04 statement.pdf', 'application/pdf'],
+        ['City Water 2025-03-04 meter.jpg', 'image/jpeg'],
+      ]);
+      expect(mockGmail.users.messages.modify).toHaveBeenCalled();
+    });
+
+    it('stops when the email has nothing to archive', async () => {
+      const result = await service.runTransaction({
+        from: 'billing@citywater.example',
+        subject: 'Your March statement',
+        message: { data: { id: 'msg_water', payload: { parts: [] } } },
+      });
+
+      expect(result.processed).toBe(false);
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Capital One', () => {
+    it('deletes "Pay AT&T" event', async () => {
+      // Override the default empty list behavior for this specific test
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            { id: 'evt_1', summary: 'Pay AT&T', start: { date: '2023-01-01' } },
+          ],
+        },
+      });
+
+      const result = await service.handleTransaction({
+        from: 'capitalone@capitalone.com',
+        subject: 'Withdrawal Notice',
+        message: {
+          data: {
+            payload: {
+              mimeType: 'text/plain',
+              body: {
+                data: Buffer.from('ATT has initiated a withdrawal').toString(
+                  'base64'
+                ),
+              },
+            },
+          },
+        },
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.delete).toHaveBeenCalledWith(
+        expect.objectContaining({
+          calendarId: 'cal_123',
+          eventId: 'evt_1',
+        })
+      );
+    });
+
+    it('ignores unknown withdrawal', async () => {
+      const result = await service.handleTransaction({
+        from: 'capitalone@capitalone.com',
+        subject: 'Withdrawal Notice',
+        message: {
+          data: {
+            payload: {
+              mimeType: 'text/plain',
+              body: {
+                data: Buffer.from('Unknown Merchant has initiated').toString(
+                  'base64'
+                ),
+              },
+            },
+          },
+        },
+      });
+      expect(result).toBe(false);
+      expect(mockCalendar.events.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Amex', () => {
+    it('deletes "Pay Amex" event for next month', async () => {
+      mockCalendar.events.list.mockImplementation(() =>
+        Promise.resolve({
+          data: {
+            items: [
+              {
+                id: 'evt_amex',
+                summary: 'Pay Amex',
+                start: { date: '2023-02-01' },
+              },
+            ],
+          },
+        })
+      );
+
+      const result = await service.handleTransaction({
+        from: 'AmericanExpress@welcome.americanexpress.com',
+        subject: 'We received your payment',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.delete).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventId: 'evt_amex',
+        })
+      );
+    });
+  });
+
+  describe('Chase', () => {
+    it('deletes "Pay Chase" event for a scheduled card payment', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_chase',
+              summary: 'Pay Chase',
+              start: { date: '2023-02-10' },
+            },
+            {
+              id: 'evt_other',
+              summary: 'Pay Amex',
+              start: { date: '2023-02-12' },
+            },
+          ],
+        },
+      });
+
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'Your credit card payment is scheduled',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.delete).toHaveBeenCalledTimes(1);
+      expect(mockCalendar.events.delete).toHaveBeenCalledWith(
+        expect.objectContaining({ eventId: 'evt_chase' })
+      );
+    });
+
+    it('deletes "Comcast / Xfinity Withdrawal" when amount is in range', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_comcast',
+              summary: 'Comcast / Xfinity Withdrawal',
+              start: { date: '2023-01-20' },
+            },
+          ],
+        },
+      });
+
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $150.25 transaction with COMCAST / XFINITY',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.delete).toHaveBeenCalledWith(
+        expect.objectContaining({ eventId: 'evt_comcast' })
+      );
+    });
+
+    it('skips Comcast transactions outside the expected range', async () => {
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $950.00 transaction with COMCAST / XFINITY',
+        message: {},
+      });
+
+      expect(result).toBe(false);
+      expect(mockCalendar.events.list).not.toHaveBeenCalled();
+    });
+
+    it('patches "Pay Gas Bill" with the Eversource amount', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_gas',
+              summary: 'Pay Gas Bill',
+              start: { date: '2023-01-25' },
+            },
+          ],
+        },
+      });
+
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $1,087.40 transaction with SPI*EVERSOURCE',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.patch).toHaveBeenCalledWith({
+        calendarId: 'cal_123',
+        eventId: 'evt_gas',
+        requestBody: { summary: 'Gas Bill - $1087.4' },
+      });
+    });
+  });
+
+  describe('Google API retries', () => {
+    it('retries rate-limited calendar calls with backoff', async () => {
+      service.retryOptions = { ...service.retryOptions, sleep: jest.fn() };
+      const rateLimited = new Error('Rate Limit Exceeded');
+      rateLimited.code = 403;
+      rateLimited.errors = [{ reason: 'rateLimitExceeded' }];
+      mockCalendar.events.list
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValueOnce({
+          data: {
+            items: [
+              {
+                id: 'evt_chase',
+                summary: 'Pay Chase',
+                start: { date: '2023-01-15' },
+              },
+            ],
+          },
+        });
+
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'Your credit card payment is scheduled',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+      expect(mockCalendar.events.list).toHaveBeenCalledTimes(2);
+      expect(service.retryOptions.sleep).toHaveBeenCalledTimes(1);
+      expect(mockCalendar.events.delete).toHaveBeenCalledWith({
+        calendarId: 'cal_123',
+        eventId: 'evt_chase',
+      });
+    });
+
+    it('treats an already-deleted event as deleted', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_chase',
+              summary: 'Pay Chase',
+              start: { date: '2023-01-15' },
+            },
+          ],
+        },
+      });
+      const gone = new Error('Resource has been deleted');
+      gone.code = 410;
+      mockCalendar.events.delete.mockRejectedValueOnce(gone);
+
+      const result = await service.handleTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'Your credit card payment is scheduled',
+        message: {},
+      });
+
+      expect(result).toBe(true);
+    });
+  });
+
+  describe('Mark as read', () => {
+    it('marks the message as read after its rule actions succeed', async () => {
+      const result = await service.handleTransaction({
+        from: 'AmericanExpress@welcome.americanexpress.com',
+        subject: 'We received your payment',
+        message: { data: { id: 'msg_amex' } },
+      });
+
+      expect(result).toBe(true);
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg_amex',
+        requestBody: { removeLabelIds: ['UNREAD'] },
+      });
+    });
+
+    it('does not mark unmatched messages as read', async () => {
+      const result = await service.handleTransaction({
+        from: 'newsletter@example.com',
+        subject: 'Weekly digest',
+        message: { data: { id: 'msg_news' } },
+      });
+
+      expect(result).toBe(false);
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Gmail history processing', () => {
+    let mockFirestore;
+
+    beforeEach(() => {
+      mockFirestore = createMockFirestore({
+        'gmail-history': { 'me@example.com': { lastHistoryId: '100' } },
+      });
+      mockGmail.users.history = { list: jest.fn() };
+      mockGmail.users.messages.get = jest.fn().mockResolvedValue({
+        data: {
+          payload: {
+            headers: [
+              { name: 'From', value: 'newsletter@example.com' },
+              { name: 'Subject', value: 'Weekly digest' },
+            ],
+          },
+        },
+      });
+
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore: mockFirestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          GMAIL_HISTORY_LABEL_ID: 'INBOX',
+        }
+      );
+    });
+
+    const historyDoc = () =>
+      mockFirestore.store.get('gmail-history').get('me@example.com');
+
+    it('processes every history page and checkpoints after each', async () => {
+      mockGmail.users.history.list
+        .mockResolvedValueOnce({
+          data: {
+            history: [
+              { id: '150', messagesAdded: [{ message: { id: 'm1' } }] },
+            ],
+            nextPageToken: 'page_2',
+            historyId: '210',
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            history: [
+              { id: '190', messagesAdded: [{ message: { id: 'm2' } }] },
+            ],
+            historyId: '210',
+          },
+        });
+
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 })
+      );
+
+      expect(mockGmail.users.history.list).toHaveBeenCalledTimes(2);
+      expect(mockGmail.users.history.list).toHaveBeenNthCalledWith(1, {
+        userId: 'me',
+        startHistoryId: '100',
+        historyTypes: ['messageAdded'],
+        labelId: 'INBOX',
+      });
+      expect(mockGmail.users.history.list).toHaveBeenNthCalledWith(2, {
+        userId: 'me',
+        startHistoryId: '100',
+        historyTypes: ['messageAdded'],
+        labelId: 'INBOX',
+        pageToken: 'page_2',
+      });
+      expect(mockGmail.users.messages.get).toHaveBeenCalledTimes(2);
+      expect(
+        mockFirestore.writes
+          .filter((w) => w.collection === 'gmail-history')
+          .map((w) => w.data.lastHistoryId)
+      ).toEqual(['150', '210', '210']);
+      expect(historyDoc().lastHistoryId).toBe('210');
+    });
+
+    it('keeps the last completed page checkpoint when a later page fails', async () => {
+      mockGmail.users.history.list
+        .mockResolvedValueOnce({
+          data: {
+            history: [
+              { id: '150', messagesAdded: [{ message: { id: 'm1' } }] },
+            ],
+            nextPageToken: 'page_2',
+            historyId: '210',
+          },
+        })
+        .mockRejectedValueOnce(new Error('socket hang up'));
+
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 })
+      );
+
+      expect(historyDoc().lastHistoryId).toBe('150');
+    });
+
+    it('recovers messages from the gap when the historyId has expired', async () => {
+      const lastRun = Date.parse('2024-03-01T12:00:00Z');
+      mockFirestore.store.get('gmail-history').set('me@example.com', {
+        lastHistoryId: '100',
+        lastSuccessfulRunAt: lastRun,
+      });
+      mockFirestore.store.set(
+        'processed_messages',
+        new Map([['m_done', { timestamp: lastRun }]])
+      );
+
+      const expired = new Error('Requested entity was not found.');
+      expired.response = { status: 404 };
+      mockGmail.users.history.list.mockRejectedValue(expired);
+      mockGmail.users.getProfile = jest
+        .fn()
+        .mockResolvedValue({ data: { historyId: '500' } });
+      mockGmail.users.messages.list = jest
+        .fn()
+        .mockResolvedValueOnce({
+          data: {
+            messages: [{ id: 'm_gap1' }, { id: 'm_done' }],
+            nextPageToken: 'page_2',
+          },
+        })
+        .mockResolvedValueOnce({ data: { messages: [{ id: 'm_gap2' }] } });
+
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 })
+      );
+
+      expect(mockGmail.users.messages.list).toHaveBeenNthCalledWith(1, {
+        userId: 'me',
+        q: `after:${lastRun / 1000}`,
+        labelIds: ['INBOX'],
+      });
+      expect(mockGmail.users.messages.list).toHaveBeenNthCalledWith(2, {
+        userId: 'me',
+        q: `after:${lastRun / 1000}`,
+        labelIds: ['INBOX'],
+        pageToken: 'page_2',
+      });
+      // Already-processed messages go through dedup and are skipped
+      expect(
+        mockGmail.users.messages.get.mock.calls.map(([p]) => p.id)
+      ).toEqual(['m_gap1', 'm_gap2']);
+      expect(historyDoc().lastHistoryId).toBe('500');
+      expect(historyDoc().lastSuccessfulRunAt).toBeGreaterThan(lastRun);
+    });
+
+    it('resets the baseline without recovery when no last run is recorded', async () => {
+      const invalid = new Error('Invalid startHistoryId');
+      invalid.response = { status: 400 };
+      mockGmail.users.history.list.mockRejectedValue(invalid);
+      mockGmail.users.getProfile = jest
+        .fn()
+        .mockResolvedValue({ data: { historyId: '500' } });
+      mockGmail.users.messages.list = jest.fn();
+
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 })
+      );
+
+      expect(mockGmail.users.messages.list).not.toHaveBeenCalled();
+      expect(historyDoc().lastHistoryId).toBe('500');
+    });
+
+    it('skips notifications that are not newer than the stored historyId', async () => {
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 99 })
+      );
+
+      expect(mockGmail.users.history.list).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Multiple mailboxes', () => {
+    let mockFirestore;
+
+    /**
+     * Builds Gmail and Calendar mocks for one mailbox whose history holds a
+     * single Chase card payment email.
+     */
+    const createMailboxServices = (calendarName) => ({
+      gmail: {
+        users: {
+          history: {
+            list: jest.fn().mockResolvedValue({
+              data: {
+                history: [
+                  { id: '150', messagesAdded: [{ message: { id: 'm1' } }] },
+                ],
+                historyId: '210',
+              },
+            }),
+          },
+          messages: {
+            get: jest.fn().mockResolvedValue({
+              data: {
+                id: 'm1',
+                payload: {
+                  headers: [
+                    { name: 'From', value: 'no.reply.alerts@chase.com' },
+                    {
+                      name: 'Subject',
+                      value: 'Your credit card payment is scheduled',
+                    },
+                  ],
+                },
+              },
+            }),
+            modify: jest.fn(),
+          },
+        },
+      },
+      calendar: {
+        calendarList: {
+          list: jest.fn().mockResolvedValue({
+            data: {
+              items: [{ summary: calendarName, id: `${calendarName}_id` }],
+            },
+          }),
+        },
+        events: {
+          list: jest.fn().mockResolvedValue({
+            data: {
+              items: [
+                {
+                  id: 'evt_chase',
+                  summary: 'Pay Chase',
+                  start: { date: '2023-01-15' },
+                },
+              ],
+            },
+          }),
+          delete: jest.fn(),
+        },
+      },
+      drive: mockDrive,
+    });
+
+    const mailboxConfig = JSON.stringify([
+      {
+        emailAddress: 'Alice@example.com',
+        credentials: { refresh_token: 'alice_token' },
+        calendarName: 'Alice Bills',
+      },
+      {
+        emailAddress: 'bob@example.com',
+        credentials: { refresh_token: 'bob_token' },
+        calendarName: 'Bob Bills',
+      },
+    ]);
+
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+      mockFirestore = createMockFirestore({
+        'gmail-history': {
+          'alice@example.com': { lastHistoryId: '100' },
+          'bob@example.com': { lastHistoryId: '100' },
+        },
+      });
+      alice = createMailboxServices('Alice Bills');
+      bob = createMailboxServices('Bob Bills');
+
+      service = new TransactionAutomationService(
+        {
+          firestore: mockFirestore,
+          mailboxes: { 'alice@example.com': alice, 'bob@example.com': bob },
+        },
+        { FIRESTORE_COLLECTION: 'gmail-history', MAILBOXES: mailboxConfig }
+      );
+    });
+
+    it('routes each notification to the clients and calendar of its mailbox', async () => {
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'bob@example.com', historyId: 200 })
+      );
+
+      expect(alice.gmail.users.history.list).not.toHaveBeenCalled();
+      expect(bob.gmail.users.history.list).toHaveBeenCalled();
+      expect(bob.calendar.events.delete).toHaveBeenCalledWith({
+        calendarId: 'Bob Bills_id',
+        eventId: 'evt_chase',
+      });
+      expect(
+        mockFirestore.store.get('gmail-history').get('bob@example.com')
+          .lastHistoryId
+      ).toBe('210');
+      expect(
+        mockFirestore.store.get('gmail-history').get('alice@example.com')
+          .lastHistoryId
+      ).toBe('100');
+    });
+
+    it('matches mailbox addresses case-insensitively', () => {
+      expect(service.mailboxFor('alice@EXAMPLE.com').calendarName).toBe(
+        'Alice Bills'
+      );
+    });
+
+    it('ignores notifications for unregistered mailboxes', async () => {
+      await service.handleEvent(
+        createPushEvent({ emailAddress: 'eve@example.com', historyId: 200 })
+      );
+
+      expect(alice.gmail.users.history.list).not.toHaveBeenCalled();
+      expect(bob.gmail.users.history.list).not.toHaveBeenCalled();
+      expect(
+        mockFirestore.store.get('gmail-history').has('eve@example.com')
+      ).toBe(false);
+    });
+
+    it('rejects mailboxes without credentials', () => {
+      expect(
+        () =>
+          new TransactionAutomationService(
+            { firestore: mockFirestore },
+            {
+              FIRESTORE_COLLECTION: 'gmail-history',
+              MAILBOXES: JSON.stringify([{ emailAddress: 'a@example.com' }]),
+            }
+          )
+      ).toThrow('needs an emailAddress and credentials');
+    });
+  });
+
+  describe('Gmail watch renewal', () => {
+    let mockFirestore;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const historyDoc = (email = 'me@example.com') =>
+      mockFirestore.store.get('gmail-history').get(email);
+    const createWatchService = (config = {}) =>
+      new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore: mockFirestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          GMAIL_WATCH_TOPIC: 'projects/p/topics/gmail',
+          GMAIL_WATCH_LABEL_IDS: 'INBOX, Label_bills',
+          ...config,
+        }
+      );
+
+    beforeEach(() => {
+      mockFirestore = createMockFirestore({ 'gmail-history': {} });
+      mockGmail.users.getProfile = jest
+        .fn()
+        .mockResolvedValue({ data: { emailAddress: 'me@example.com' } });
+      mockGmail.users.watch = jest.fn().mockResolvedValue({
+        data: { historyId: '900', expiration: String(Date.now() + 7 * DAY) },
+      });
+      service = createWatchService();
+    });
+
+    it('starts a watch and seeds the history baseline for a new mailbox', async () => {
+      const result = await service.renewWatch();
+
+      expect(mockGmail.users.watch).toHaveBeenCalledWith({
+        userId: 'me',
+        requestBody: {
+          topicName: 'projects/p/topics/gmail',
+          labelIds: ['INBOX', 'Label_bills'],
+          labelFilterBehavior: 'include',
+        },
+      });
+      expect(result).toMatchObject({
+        emailAddress: 'me@example.com',
+        renewed: true,
+        historyId: '900',
+      });
+      expect(historyDoc()).toMatchObject({
+        lastHistoryId: '900',
+        watchHistoryId: '900',
+        watchExpiration: expect.any(Number),
+      });
+    });
+
+    it('keeps the stored lastHistoryId when renewing', async () => {
+      mockFirestore.store.get('gmail-history').set('me@example.com', {
+        lastHistoryId: '500',
+        watchExpiration: Date.now() + DAY,
+      });
+
+      await service.renewWatch();
+
+      expect(historyDoc().lastHistoryId).toBe('500');
+      expect(historyDoc().watchHistoryId).toBe('900');
+    });
+
+    it('leaves watches alone until they are close to expiring', async () => {
+      mockFirestore.store
+        .get('gmail-history')
+        .set('me@example.com', { watchExpiration: Date.now() + 5 * DAY });
+
+      const result = await service.renewWatch();
+      expect(result.renewed).toBe(false);
+      expect(mockGmail.users.watch).not.toHaveBeenCalled();
+
+      await service.renewWatch({ force: true });
+      expect(mockGmail.users.watch).toHaveBeenCalledTimes(1);
+    });
+
+    it('renews every registered mailbox and reports failures separately', async () => {
+      const aliceGmail = {
+        users: {
+          watch: jest.fn().mockRejectedValue(new Error('Invalid topic')),
+        },
+      };
+      const bobGmail = {
+        users: {
+          watch: jest.fn().mockResolvedValue({
+            data: { historyId: '42', expiration: String(Date.now() + 7 * DAY) },
+          }),
+        },
+      };
+      service = new TransactionAutomationService(
+        {
+          firestore: mockFirestore,
+          mailboxes: {
+            'alice@example.com': {
+              gmail: aliceGmail,
+              calendar: mockCalendar,
+              drive: mockDrive,
+            },
+            'bob@example.com': {
+              gmail: bobGmail,
+              calendar: mockCalendar,
+              drive: mockDrive,
+            },
+          },
+        },
+        {
+          FIRESTORE_COLLECTION: 'gmail-history',
+          GMAIL_WATCH_TOPIC: 'projects/p/topics/gmail',
+          MAILBOXES: JSON.stringify([
+            {
+              emailAddress: 'alice@example.com',
+              credentials: { refresh_token: 'a' },
+            },
+            {
+              emailAddress: 'bob@example.com',
+              credentials: { refresh_token: 'b' },
+              watchLabelIds: ['INBOX'],
+            },
+          ]),
+        }
+      );
+
+      const results = await service.renewWatches();
+
+      expect(results).toEqual([
+        {
+          emailAddress: 'alice@example.com',
+          renewed: false,
+          error: 'Invalid topic',
+        },
+        expect.objectContaining({
+          emailAddress: 'bob@example.com',
+          renewed: true,
+        }),
+      ]);
+      expect(
+        bobGmail.users.watch.mock.calls[0][0].requestBody.labelIds
+      ).toEqual(['INBOX']);
+      expect(historyDoc('bob@example.com').lastHistoryId).toBe('42');
+    });
+
+    it('requires a topic', async () => {
+      service = createWatchService({ GMAIL_WATCH_TOPIC: undefined });
+
+      await expect(service.renewWatch()).rejects.toThrow('GMAIL_WATCH_TOPIC');
+    });
+  });
+
+  describe('Retries and dead-lettering', () => {
+    let mockFirestore;
+
+    const processedDoc = (id) =>
+      mockFirestore.store.get('processed_messages')?.get(id);
+    const deadLetterDoc = (id) =>
+      mockFirestore.store.get('dead_letter_messages')?.get(id);
+    const historyDoc = () =>
+      mockFirestore.store.get('gmail-history').get('me@example.com');
+    const notify = () =>
+      service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 })
+      );
+    const unavailable = () => {
+      const e = new Error('Backend Error');
+      e.response = { status: 503 };
+      return e;
+    };
+
+    beforeEach(() => {
+      mockFirestore = createMockFirestore({
+        'gmail-history': { 'me@example.com': { lastHistoryId: '100' } },
+      });
+      mockGmail.users.history = {
+        list: jest.fn().mockResolvedValue({
+          data: {
+            history: [
+              { id: '150', messagesAdded: [{ message: { id: 'm_chase' } }] },
+            ],
+            historyId: '210',
+          },
+        }),
+      };
+      mockGmail.users.messages.get = jest.fn().mockResolvedValue({
+        data: {
+          id: 'm_chase',
+          payload: {
+            headers: [
+              { name: 'From', value: 'no.reply.alerts@chase.com' },
+              {
+                name: 'Subject',
+                value: 'Your credit card payment is scheduled',
+              },
+            ],
+          },
+        },
+      });
+
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore: mockFirestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          MAX_MESSAGE_ATTEMPTS: '3',
+          // Leave retries to Pub/Sub redelivery
+          API_MAX_RETRIES: '0',
+        }
+      );
+    });
+
+    it('fails the invocation on a transient error so Pub/Sub redelivers', async () => {
+      mockCalendar.events.list.mockRejectedValueOnce(unavailable());
+
+      await expect(notify()).rejects.toThrow('Backend Error');
+
+      expect(processedDoc('m_chase')).toMatchObject({
+        status: 'failed',
+        attempts: 1,
+        lastError: 'Backend Error',
+      });
+      // The page is not checkpointed, so the redelivery sees the message again
+      expect(historyDoc().lastHistoryId).toBe('100');
+
+      await notify();
+
+      expect(processedDoc('m_chase')).toMatchObject({
+        status: 'succeeded',
+        attempts: 2,
+      });
+      expect(historyDoc().lastHistoryId).toBe('210');
+      expect(deadLetterDoc('m_chase')).toBeUndefined();
+    });
+
+    it('dead-letters a message after the last allowed attempt', async () => {
+      mockFirestore.store.set(
+        'processed_messages',
+        new Map([['m_chase', { status: 'failed', attempts: 2 }]])
+      );
+      mockCalendar.events.list.mockRejectedValueOnce(unavailable());
+
+      await notify();
+
+      expect(processedDoc('m_chase')).toMatchObject({
+        status: 'failed',
+        attempts: 3,
+        deadLetteredAt: expect.any(Number),
+      });
+      expect(deadLetterDoc('m_chase')).toMatchObject({
+        messageId: 'm_chase',
+        attempts: 3,
+        error: 'Backend Error',
+        errorCode: 503,
+      });
+      expect(historyDoc().lastHistoryId).toBe('210');
+    });
+
+    it('dead-letters non-transient errors without retrying', async () => {
+      const invalid = new Error('Invalid event');
+      invalid.response = { status: 400 };
+      mockCalendar.events.list.mockRejectedValueOnce(invalid);
+
+      await notify();
+
+      expect(deadLetterDoc('m_chase')).toMatchObject({
+        attempts: 1,
+        error: 'Invalid event',
+      });
+
+      // Later notifications covering the same message leave it parked
+      mockFirestore.store.get('gmail-history').set('me@example.com', {
+        lastHistoryId: '100',
+      });
+      await notify();
+
+      expect(mockCalendar.events.list).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends a notification when a message is dead-lettered', async () => {
+      service.notifier = { notify: jest.fn().mockResolvedValue({}) };
+      const invalid = new Error('Invalid event');
+      invalid.response = { status: 400 };
+      mockCalendar.events.list.mockRejectedValueOnce(invalid);
+
+      await notify();
+
+      expect(service.notifier.notify).toHaveBeenCalledWith({
+        level: 'error',
+        title: 'Gave up on message m_chase',
+        text: expect.stringContaining('npm run replay -- m_chase'),
+        link: 'https://mail.google.com/mail/u/0/#all/m_chase',
+      });
+    });
+
+    it('leaves messages alone while another invocation holds the lease', async () => {
+      mockFirestore.store.set(
+        'processed_messages',
+        new Map([
+          [
+            'm_chase',
+            {
+              status: 'pending',
+              attempts: 1,
+              leaseExpiresAt: Date.now() + 60_000,
+            },
+          ],
+        ])
+      );
+
+      await expect(notify()).rejects.toThrow('another invocation');
+
+      expect(mockGmail.users.messages.get).not.toHaveBeenCalled();
+      expect(processedDoc('m_chase').attempts).toBe(1);
+      expect(historyDoc().lastHistoryId).toBe('100');
+    });
+
+    it('processes a message on redelivery after its invocation crashed', async () => {
+      // The first invocation claims the message, then dies before finishing
+      await claimMessage(mockFirestore, 'm_chase');
+
+      // Redelivered while the dead invocation's lease is still live
+      await expect(notify()).rejects.toThrow('another invocation');
+      expect(historyDoc().lastHistoryId).toBe('100');
+
+      // Redelivered again once the lease has expired
+      const now = Date.now();
+      const clock = jest
+        .spyOn(Date, 'now')
+        .mockReturnValue(now + 11 * 60 * 1000);
+      try {
+        await notify();
+      } finally {
+        clock.mockRestore();
+      }
+
+      expect(processedDoc('m_chase')).toMatchObject({
+        status: 'succeeded',
+        attempts: 2,
+      });
+      expect(historyDoc().lastHistoryId).toBe('210');
+    });
+
+    it('reclaims a message whose lease expired mid-run', async () => {
+      mockFirestore.store.set(
+        'processed_messages',
+        new Map([
+          [
+            'm_chase',
+            {
+              status: 'pending',
+              attempts: 1,
+              leaseExpiresAt: Date.now() - 1,
+            },
+          ],
+        ])
+      );
+
+      await notify();
+
+      expect(processedDoc('m_chase')).toMatchObject({
+        status: 'succeeded',
+        attempts: 2,
+      });
+    });
+  });
+
+  describe('National Grid bill re-checks', () => {
+    let getBill;
+
+    const billEmail = {
+      data: {
+        id: 'msg_ng',
+        payload: {
+          mimeType: 'text/plain',
+          headers: [
+            { name: 'From', value: 'customerservice@nationalgridus.com' },
+            { name: 'Subject', value: 'Your National Grid bill is ready' },
+          ],
+          body: {
+            data: Buffer.from(
+              'Bill Date: 05/14/2024\nAmount Due: $142.17'
+            ).toString('base64'),
+          },
+        },
+      },
+    };
+
+    beforeEach(() => {
+      getBill = jest.fn().mockResolvedValue(null);
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: {
+            users: {
+              messages: {
+                modify: jest.fn(),
+                get: jest.fn().mockResolvedValue(billEmail),
+              },
+            },
+          },
+          firestore,
+          nationalGrid: { getBill },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+    });
+
+    it('schedules a re-check when the portal does not have the statement yet', async () => {
+      const result = await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: billEmail,
+      });
+
+      expect(getBill).toHaveBeenCalledWith({
+        statementDate: '2024-05-14',
+        amountDue: 142.17,
+      });
+      expect(result.processed).toBe(false);
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+      expect(firestore.store.get('pending_bill_checks').get('msg_ng')).toEqual(
+        expect.objectContaining({
+          attempts: 1,
+          reference: { statementDate: '2024-05-14', amountDue: 142.17 },
+        })
+      );
+      expect(result.actions).toEqual([
+        expect.objectContaining({ type: 'scheduleBillRecheck', attempts: 1 }),
+      ]);
+    });
+
+    it('uploads the bill once a due re-check finds it', async () => {
+      await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: billEmail,
+      });
+      firestore.store.get('pending_bill_checks').get('msg_ng').nextCheckAt =
+        Date.now() - 1;
+      getBill.mockResolvedValue({
+        buffer: Buffer.from('fake-pdf'),
+        fileName: 'NG_Bill_2024-05-14.pdf',
+      });
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_root' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_ng' }] } })
+        .mockResolvedValueOnce({ data: { files: [] } });
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_456' } });
+
+      const results = await service.runBillRechecks();
+
+      expect(results).toEqual([{ messageId: 'msg_ng', found: true }]);
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resource: expect.objectContaining({ name: 'NG_Bill_2024-05-14.pdf' }),
+        })
+      );
+      expect(firestore.store.get('pending_bill_checks').has('msg_ng')).toBe(
+        false
+      );
+    });
+
+    it('sends a notification when the re-checks run out', async () => {
+      service.notifier = { notify: jest.fn().mockResolvedValue({}) };
+      firestore.store.set(
+        'pending_bill_checks',
+        new Map([['msg_ng', { messageId: 'msg_ng', attempts: 5 }]])
+      );
+
+      const result = await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: billEmail,
+      });
+
+      expect(result.actions).toEqual([
+        expect.objectContaining({
+          type: 'scheduleBillRecheck',
+          attempts: null,
+        }),
+      ]);
+      expect(firestore.store.get('pending_bill_checks').has('msg_ng')).toBe(
+        false
+      );
+      expect(service.notifier.notify).toHaveBeenCalledWith({
+        level: 'error',
+        title: 'National Grid statement 2024-05-14 never arrived',
+        text: expect.stringContaining('msg_ng'),
+        link: 'https://mail.google.com/mail/u/0/#all/msg_ng',
+      });
+    });
+
+    it('leaves re-checks that are not due yet alone', async () => {
+      await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: billEmail,
+      });
+
+      await expect(service.runBillRechecks()).resolves.toEqual([]);
+      expect(getBill).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Drive uploads', () => {
+    const fileData = {
+      buffer: Buffer.from('fake-pdf'),
+      fileName: 'bill.pdf',
+      date: '2024-01-05',
+      details: { amountDue: 87.4 },
+    };
+    let existing;
+
+    beforeEach(() => {
+      existing = [];
+      mockDrive.files.list.mockImplementation(async ({ q }) => {
+        if (q.includes('vnd.google-apps.folder')) {
+          return { data: { files: [{ id: 'folder' }] } };
+        }
+        const [, op, name] = q.match(/name (=|contains) '([^']*)'/);
+        return {
+          data: {
+            files: existing.filter((f) =>
+              op === '=' ? f.name === name : f.name.includes(name)
+            ),
+          },
+        };
+      });
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_new' } });
+      mockDrive.files.update.mockResolvedValue({ data: { id: 'file_old' } });
+    });
+
+    it('tags new files with the bill metadata and MIME type', async () => {
+      await service.uploadToDrive(
+        { ...fileData, mimeType: 'image/png' },
+        'Bills',
+        { provider: 'National Grid', messageId: 'msg_1' }
+      );
+
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          media: expect.objectContaining({ mimeType: 'image/png' }),
+          resource: {
+            name: 'bill.pdf',
+            parents: ['folder'],
+            appProperties: {
+              provider: 'National Grid',
+              statementDate: '2024-01-05',
+              amount: '87.4',
+              messageId: 'msg_1',
+            },
+          },
+        })
+      );
+    });
+
+    it('skips the upload when Drive already has the same content', async () => {
+      const md5Checksum = crypto
+        .createHash('md5')
+        .update(fileData.buffer)
+        .digest('hex');
+      existing = [{ id: 'file_old', name: 'bill.pdf', md5Checksum }];
+      const actions = [];
+
+      await service.uploadToDrive(fileData, 'Bills', { actions });
+
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+      expect(mockDrive.files.update).not.toHaveBeenCalled();
+      expect(actions[0]).toMatchObject({
+        operation: 'unchanged',
+        fileId: 'file_old',
+      });
+    });
+
+    it('overwrites changed files and keeps the old revision when versioned', async () => {
+      existing = [
+        {
+          id: 'file_old',
+          name: 'bill.pdf',
+          md5Checksum: 'aaa',
+          headRevisionId: 'rev_1',
+        },
+      ];
+
+      await service.uploadToDrive(fileData, 'Bills', {
+        onConflict: 'versioned',
+      });
+
+      expect(mockDrive.revisions.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fileId: 'file_old',
+          revisionId: 'rev_1',
+          requestBody: { keepForever: true },
+        })
+      );
+      expect(
+        mockDrive.revisions.update.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockDrive.files.update.mock.invocationCallOrder[0]);
+      expect(mockDrive.files.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fileId: 'file_old',
+          keepRevisionForever: true,
+        })
+      );
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps the first revision of new files forever when versioned', async () => {
+      await service.uploadToDrive(fileData, 'Bills', {
+        onConflict: 'versioned',
+      });
+
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({ keepRevisionForever: true })
+      );
+    });
+
+    it('does not upload another copy of content a numbered copy has in keepBoth mode', async () => {
+      const md5Checksum = crypto
+        .createHash('md5')
+        .update(fileData.buffer)
+        .digest('hex');
+      existing = [
+        { id: 'file_1', name: 'bill.pdf', md5Checksum: 'aaa' },
+        { id: 'file_2', name: 'bill (2).pdf', md5Checksum },
+        { id: 'file_3', name: 'old bill (3).pdf', md5Checksum: 'ccc' },
+      ];
+      const actions = [];
+
+      await service.uploadToDrive(fileData, 'Bills', {
+        onConflict: 'keepBoth',
+        actions,
+      });
+
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+      expect(actions[0]).toMatchObject({
+        operation: 'unchanged',
+        fileName: 'bill (2).pdf',
+        fileId: 'file_2',
+      });
+    });
+
+    it('uploads a numbered copy next to a changed file in keepBoth mode', async () => {
+      existing = [
+        { id: 'file_1', name: 'bill.pdf', md5Checksum: 'aaa' },
+        { id: 'file_2', name: 'bill (2).pdf', md5Checksum: 'bbb' },
+        { id: 'file_3', name: 'old bill (3).pdf', md5Checksum: 'ccc' },
+      ];
+      const actions = [];
+
+      await service.uploadToDrive(fileData, 'Bills', {
+        onConflict: 'keepBoth',
+        actions,
+      });
+
+      expect(mockDrive.files.update).not.toHaveBeenCalled();
+      expect(mockDrive.files.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          resource: expect.objectContaining({ name: 'bill (3).pdf' }),
+        })
+      );
+      expect(actions[0]).toMatchObject({
+        operation: 'create',
+        fileName: 'bill (3).pdf',
+      });
+    });
+
+    it('archives into the shared drive set in DRIVE_ID', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          DRIVE_ID: 'shared_1',
+        }
+      );
+      mockDrive.files.list.mockResolvedValueOnce({ data: { files: [] } });
+      mockDrive.files.create.mockResolvedValueOnce({
+        data: { id: 'folder_bills' },
+      });
+
+      await service.uploadToDrive(fileData, 'Bills');
+
+      expect(mockDrive.files.list).toHaveBeenCalledWith(
+        expect.objectContaining({
+          q: expect.stringContaining("'shared_1' in parents"),
+          driveId: 'shared_1',
+        })
+      );
+      expect(mockDrive.files.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          supportsAllDrives: true,
+          resource: expect.objectContaining({ parents: ['folder_bills'] }),
+        })
+      );
+    });
+
+    it('rejects unknown conflict modes', async () => {
+      await expect(
+        service.uploadToDrive(fileData, 'Bills', { onConflict: 'merge' })
+      ).rejects.toThrow('Unknown Drive conflict mode "merge"');
+    });
+  });
+
+  describe('Bill ledger', () => {
+    const ledgerEntry = (messageId) =>
+      firestore.store.get('bill_ledger')?.get(messageId);
+
+    it('records payments under the date of the email', async () => {
+      mockCalendar.events.list.mockResolvedValue({ data: { items: [] } });
+
+      await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $1,087.40 transaction with SPI*EVERSOURCE',
+        message: {
+          data: {
+            id: 'msg_gas',
+            internalDate: String(Date.parse('2025-02-03T14:00:00Z')),
+          },
+        },
+      });
+
+      expect(ledgerEntry('msg_gas')).toMatchObject({
+        provider: 'Eversource',
+        amount: 1087.4,
+        date: '2025-02-03',
+        kind: 'payment',
+        driveFileId: null,
+      });
+    });
+
+    it('records payment confirmations without an amount', async () => {
+      mockCalendar.events.list.mockResolvedValue({ data: { items: [] } });
+
+      await service.runTransaction({
+        from: 'AmericanExpress@welcome.americanexpress.com',
+        subject: 'We received your payment',
+        message: {
+          data: {
+            id: 'msg_amex',
+            internalDate: String(Date.parse('2025-02-03T14:00:00Z')),
+          },
+        },
+      });
+
+      expect(ledgerEntry('msg_amex')).toMatchObject({
+        provider: 'American Express',
+        amount: null,
+        date: '2025-02-03',
+        kind: 'payment',
+      });
+    });
+
+    it('records bills under their statement date with the Drive file', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          nationalGrid: {
+            getCurrentBill: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-pdf'),
+              fileName: 'NG_Bill_2024-01-05.pdf',
+              date: '2024-01-05',
+              details: { statementDate: '2024-01-05', amountDue: 87.4 },
+            }),
+          },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list.mockImplementation(async ({ q }) => ({
+        data: {
+          files: q.includes('vnd.google-apps.folder') ? [{ id: 'f' }] : [],
+        },
+      }));
+      mockDrive.files.create.mockResolvedValue({ data: { id: 'file_bill' } });
+
+      await service.runTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: { data: { id: 'msg_ng' } },
+      });
+
+      expect(ledgerEntry('msg_ng')).toMatchObject({
+        provider: 'National Grid',
+        amount: 87.4,
+        date: '2024-01-05',
+        kind: 'bill',
+        driveFileId: 'file_bill',
+      });
+    });
+
+    it('leaves the ledger alone in dry-run mode', async () => {
+      await service.runTransaction(
+        {
+          from: 'no.reply.alerts@chase.com',
+          subject: 'You made a $1,087.40 transaction with SPI*EVERSOURCE',
+          message: { data: { id: 'msg_gas' } },
+        },
+        { dryRun: true }
+      );
+
+      expect(ledgerEntry('msg_gas')).toBeUndefined();
+    });
+  });
+
+  describe('Sheets export', () => {
+    let sheets;
+
+    beforeEach(() => {
+      sheets = {
+        spreadsheets: {
+          get: jest.fn().mockResolvedValue({
+            data: { sheets: [{ properties: { title: 'Transactions' } }] },
+          }),
+          batchUpdate: jest.fn(),
+          values: {
+            get: jest.fn().mockResolvedValue({ data: {} }),
+            update: jest.fn(),
+            append: jest.fn(),
+          },
+        },
+      };
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          sheets,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          SHEETS_SPREADSHEET_ID: 'ss_1',
+        }
+      );
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_gas',
+              summary: 'Pay Gas Bill',
+              start: { date: '2025-02-25' },
+            },
+          ],
+        },
+      });
+    });
+
+    it('appends a row for each processed transaction', async () => {
+      await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $87.40 transaction with SPI*EVERSOURCE',
+        message: {
+          data: {
+            id: 'msg_gas',
+            internalDate: String(Date.parse('2025-02-03T14:00:00Z')),
+          },
+        },
+      });
+
+      expect(sheets.spreadsheets.values.append).toHaveBeenCalledWith(
+        expect.objectContaining({
+          spreadsheetId: 'ss_1',
+          requestBody: {
+            values: [
+              [
+                '2025-02-03',
+                'Eversource',
+                87.4,
+                'Renamed "Pay Gas Bill" to "Gas Bill - $87.4"; Marked read',
+                '',
+                'https://mail.google.com/mail/u/0/#all/msg_gas',
+                'msg_gas',
+              ],
+            ],
+          },
+        })
+      );
+    });
+
+    it('keeps processing when the export fails', async () => {
+      sheets.spreadsheets.get.mockRejectedValue(new Error('Forbidden'));
+
+      const result = await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $87.40 transaction with SPI*EVERSOURCE',
+        message: { data: { id: 'msg_gas' } },
+      });
+
+      expect(result.processed).toBe(true);
+      expect(sheets.spreadsheets.values.append).not.toHaveBeenCalled();
+    });
+
+    it('does not export dry runs or unmatched emails', async () => {
+      await service.runTransaction(
+        {
+          from: 'no.reply.alerts@chase.com',
+          subject: 'You made a $87.40 transaction with SPI*EVERSOURCE',
+          message: { data: { id: 'msg_gas' } },
+        },
+        { dryRun: true }
+      );
+      await service.runTransaction({
+        from: 'someone@example.com',
+        subject: 'Hello',
+        message: { data: { id: 'msg_other' } },
+      });
+
+      expect(sheets.spreadsheets.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Amount anomalies', () => {
+    beforeEach(() => {
+      mockGmail.users.getProfile = jest
+        .fn()
+        .mockResolvedValue({ data: { emailAddress: 'me@example.com' } });
+      mockGmail.users.labels = {
+        list: jest.fn().mockResolvedValue({
+          data: { labels: [{ id: 'Label_alerts', name: 'Bill Alerts' }] },
+        }),
+        create: jest.fn(),
+      };
+      mockGmail.users.messages.insert = jest
+        .fn()
+        .mockResolvedValue({ data: { id: 'alert_1' } });
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_gas',
+              summary: 'Pay Gas Bill',
+              start: { date: '2025-02-25' },
+            },
+          ],
+        },
+      });
+      // Earlier Eversource payments around $100
+      firestore.store.set(
+        'bill_ledger',
+        new Map(
+          [98, 102, 100, 95, 105].map((amount, i) => [
+            `msg_${i}`,
+            {
+              messageId: `msg_${i}`,
+              provider: 'Eversource',
+              amount,
+              date: `2024-0${i + 1}-15`,
+            },
+          ])
+        )
+      );
+    });
+
+    afterEach(() => {
+      delete mockGmail.users.getProfile;
+      delete mockGmail.users.labels;
+      delete mockGmail.users.messages.insert;
+    });
+
+    it('files an alert for an unusual amount and still processes it', async () => {
+      const result = await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $412.00 transaction with SPI*EVERSOURCE',
+        message: { data: { id: 'msg_gas' } },
+      });
+
+      expect(result.processed).toBe(true);
+      expect(mockCalendar.events.patch).toHaveBeenCalled();
+      expect(mockGmail.users.messages.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          requestBody: expect.objectContaining({
+            labelIds: ['INBOX', 'UNREAD', 'Label_alerts'],
+          }),
+        })
+      );
+      expect(result.actions[0]).toMatchObject({
+        type: 'anomalyAlert',
+        provider: 'Eversource',
+        amount: 412,
+        skipped: false,
+        alertMessageId: 'alert_1',
+      });
+    });
+
+    it('does not alert on a usual amount', async () => {
+      const result = await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $101.00 transaction with SPI*EVERSOURCE',
+        message: { data: { id: 'msg_gas' } },
+      });
+
+      expect(result.processed).toBe(true);
+      expect(mockGmail.users.messages.insert).not.toHaveBeenCalled();
+    });
+
+    it('alerts and skips Comcast amounts outside the expected range', async () => {
+      const result = await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $950.00 transaction with COMCAST / XFINITY',
+        message: { data: { id: 'msg_comcast' } },
+      });
+
+      expect(result.processed).toBe(false);
+      expect(mockCalendar.events.list).not.toHaveBeenCalled();
+      expect(result.actions).toEqual([
+        expect.objectContaining({
+          type: 'anomalyAlert',
+          reason: '$950 is above the expected maximum of $200',
+          skipped: true,
+        }),
+      ]);
+    });
+
+    it('alerts but still processes in-range Comcast amounts unlike the history', async () => {
+      const ledger = firestore.store.get('bill_ledger');
+      for (const i of [1, 2, 3]) {
+        ledger.set(`msg_comcast_${i}`, {
+          messageId: `msg_comcast_${i}`,
+          provider: 'Comcast',
+          amount: 139.99,
+          date: `2024-0${i}-20`,
+        });
+      }
+
+      const result = await service.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $165.00 transaction with COMCAST / XFINITY',
+        message: { data: { id: 'msg_comcast' } },
+      });
+
+      expect(result.processed).toBe(true);
+      expect(mockCalendar.events.list).toHaveBeenCalled();
+      expect(mockGmail.users.messages.modify).toHaveBeenCalled();
+      expect(result.actions[0]).toMatchObject({
+        type: 'anomalyAlert',
+        reason: expect.stringContaining('standard deviations'),
+        skipped: false,
+      });
+    });
+
+    it('only records the alert in dry-run mode', async () => {
+      const result = await service.runTransaction(
+        {
+          from: 'no.reply.alerts@chase.com',
+          subject: 'You made a $412.00 transaction with SPI*EVERSOURCE',
+          message: { data: { id: 'msg_gas' } },
+        },
+        { dryRun: true }
+      );
+
+      expect(mockGmail.users.messages.insert).not.toHaveBeenCalled();
+      expect(result.actions[0]).toMatchObject({ type: 'anomalyAlert' });
+    });
+  });
+
+  describe('Notifications', () => {
+    let notifier;
+
+    const createService = (config = {}) =>
+      new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          notifier,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          ...config,
+        }
+      );
+    const payGasBill = (svc) =>
+      svc.runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $101.00 transaction with SPI*EVERSOURCE',
+        message: { data: { id: 'msg_gas' } },
+      });
+
+    beforeEach(() => {
+      notifier = { notify: jest.fn().mockResolvedValue({ webhook: null }) };
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_gas',
+              summary: 'Pay Gas Bill',
+              start: { date: '2025-02-25' },
+            },
+          ],
+        },
+      });
+    });
+
+    it('sends a summary of the actions taken when NOTIFY_ACTIONS is set', async () => {
+      await payGasBill(createService({ NOTIFY_ACTIONS: 'true' }));
+
+      expect(notifier.notify).toHaveBeenCalledWith({
+        level: 'info',
+        title: 'Processed Eversource: $101',
+        text: expect.stringContaining('Pay Gas Bill'),
+        link: 'https://mail.google.com/mail/u/0/#all/msg_gas',
+      });
+    });
+
+    it('only reports failures and alerts by default', async () => {
+      await payGasBill(createService());
+
+      expect(notifier.notify).not.toHaveBeenCalled();
+    });
+
+    it('records alerts that only reached the webhook', async () => {
+      const result = await createService().runTransaction({
+        from: 'no.reply.alerts@chase.com',
+        subject: 'You made a $950.00 transaction with COMCAST / XFINITY',
+        message: { data: { id: 'msg_comcast' } },
+      });
+
+      expect(notifier.notify).toHaveBeenCalledWith(
+        expect.objectContaining({
+          level: 'warning',
+          title: 'Unusual Comcast amount: $950',
+        })
+      );
+      expect(result.actions[0]).toMatchObject({
+        type: 'anomalyAlert',
+        alertMessageId: null,
+      });
+    });
+
+    it('hands the notifier to National Grid clients', async () => {
+      const client = await createService().getNationalGridClient({
+        accountNumber: '1234567890',
+      });
+
+      expect(client.notifier).toBe(notifier);
+    });
+
+    it('requires a URL for the webhook notifier', () => {
+      notifier = undefined;
+
+      expect(() => createService({ NOTIFIERS: 'gmail,webhook' })).toThrow(
+        'NOTIFY_WEBHOOK_URL'
+      );
+      expect(
+        createService({
+          NOTIFIERS: 'webhook',
+          NOTIFY_WEBHOOK_URL: 'https://hooks.example.com/T000',
+        }).notifier.types
+      ).toEqual(['webhook']);
+    });
+  });
+
+  describe('Dry run', () => {
+    it('returns the intended calendar actions without touching the calendar', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_gas',
+              summary: 'Pay Gas Bill',
+              start: { date: '2023-01-25' },
+            },
+          ],
+        },
+      });
+
+      const plan = await service.handleTransaction(
+        {
+          from: 'no.reply.alerts@chase.com',
+          subject: 'You made a $87.40 transaction with SPI*EVERSOURCE',
+          message: { data: { id: 'msg_gas' } },
+        },
+        { dryRun: true }
+      );
+
+      expect(plan).toEqual({
+        dryRun: true,
+        processed: true,
+        rule: 'Eversource payment',
+        provider: 'Eversource',
+        amount: 87.4,
+        actions: [
+          {
+            type: 'calendarPatch',
+            calendarId: 'cal_123',
+            eventId: 'evt_gas',
+            summary: 'Pay Gas Bill',
+            date: '2023-01-25',
+            title: 'Gas Bill - $87.4',
+          },
+          { type: 'markRead', messageId: 'msg_gas' },
+        ],
+      });
+      expect(mockCalendar.events.patch).not.toHaveBeenCalled();
+      expect(mockGmail.users.messages.modify).not.toHaveBeenCalled();
+    });
+
+    it('plans Drive uploads without calling Drive', async () => {
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          nationalGrid: {
+            getCurrentBill: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-pdf'),
+              fileName: 'NG_Bill_2024-01-05.pdf',
+            }),
+          },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+          DRY_RUN: 'true',
+        }
+      );
+
+      const plan = await service.handleTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: {},
+      });
+
+      expect(plan.actions).toEqual([
+        {
+          type: 'driveUpload',
+          folderPath: 'House/National Grid Bills',
+          fileName: 'NG_Bill_2024-01-05.pdf',
+          size: 8,
+        },
+      ]);
+      expect(mockDrive.files.list).not.toHaveBeenCalled();
+      expect(mockDrive.files.create).not.toHaveBeenCalled();
+      expect(mockDrive.files.update).not.toHaveBeenCalled();
+    });
+
+    it('returns the event plan and leaves Firestore untouched', async () => {
+      const mockFirestore = createMockFirestore({
+        'gmail-history': { 'me@example.com': { lastHistoryId: '100' } },
+      });
+      mockGmail.users.history = {
+        list: jest.fn().mockResolvedValue({
+          data: {
+            history: [
+              { id: '150', messagesAdded: [{ message: { id: 'm_amex' } }] },
+            ],
+            historyId: '210',
+          },
+        }),
+      };
+      mockGmail.users.messages.get = jest.fn().mockResolvedValue({
+        data: {
+          id: 'm_amex',
+          payload: {
+            headers: [
+              {
+                name: 'From',
+                value: 'AmericanExpress@welcome.americanexpress.com',
+              },
+              { name: 'Subject', value: 'We received your payment' },
+            ],
+          },
+        },
+      });
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_amex',
+              summary: 'Pay Amex',
+              start: { date: '2023-02-01' },
+            },
+          ],
+        },
+      });
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore: mockFirestore,
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+
+      const plan = await service.handleEvent(
+        createPushEvent({ emailAddress: 'me@example.com', historyId: 200 }),
+        { dryRun: true }
+      );
+
+      expect(plan.dryRun).toBe(true);
+      expect(plan.messages).toHaveLength(1);
+      expect(plan.messages[0]).toMatchObject({
+        messageId: 'm_amex',
+        rule: 'Amex card payment',
+        processed: true,
+        actions: [
+          { type: 'calendarDelete', eventId: 'evt_amex' },
+          { type: 'markRead', messageId: 'm_amex' },
+        ],
+      });
+      expect(mockCalendar.events.delete).not.toHaveBeenCalled();
+      expect(mockFirestore.writes).toEqual([]);
+      expect(mockFirestore.store.has('processed_messages')).toBe(false);
+    });
+  });
+
+  describe('Audit trail', () => {
+    const auditRecord = (messageId) =>
+      firestore.store.get('audit_log')?.get(messageId);
+
+    it('records calendar deletions with the event state before deletion', async () => {
+      const event = {
+        id: 'evt_amex',
+        summary: 'Pay Amex',
+        start: { date: '2023-02-01' },
+        description: 'Autopay reminder',
+      };
+      mockCalendar.events.list.mockResolvedValue({ data: { items: [event] } });
+      mockGmail.users.messages.modify.mockResolvedValue({
+        data: { labelIds: ['INBOX'] },
+      });
+
+      await service.handleTransaction({
+        from: 'AmericanExpress@welcome.americanexpress.com',
+        subject: 'We received your payment',
+        message: { data: { id: 'msg_amex', labelIds: ['INBOX', 'UNREAD'] } },
+      });
+
+      const record = auditRecord('msg_amex');
+      expect(record).toMatchObject({
+        messageId: 'msg_amex',
+        rule: 'Amex card payment',
+        provider: 'American Express',
+        subject: 'We received your payment',
+      });
+      expect(record.createdAt).toBeInstanceOf(Date);
+      expect(record.actions).toEqual([
+        {
+          type: 'calendarDelete',
+          calendarId: 'cal_123',
+          eventId: 'evt_amex',
+          summary: 'Pay Amex',
+          date: '2023-02-01',
+          before: event,
+          after: null,
+          performedAt: expect.any(Date),
+        },
+        {
+          type: 'markRead',
+          messageId: 'msg_amex',
+          before: { labelIds: ['INBOX', 'UNREAD'] },
+          after: { labelIds: ['INBOX'] },
+          performedAt: expect.any(Date),
+        },
+      ]);
+    });
+
+    it('records Drive overwrites with the previous file metadata', async () => {
+      const previous = { id: 'file_old', name: 'bill.pdf', md5Checksum: 'aaa' };
+      service = new TransactionAutomationService(
+        {
+          calendar: mockCalendar,
+          drive: mockDrive,
+          gmail: mockGmail,
+          firestore,
+          nationalGrid: {
+            getCurrentBill: jest.fn().mockResolvedValue({
+              buffer: Buffer.from('fake-pdf'),
+              fileName: 'bill.pdf',
+            }),
+          },
+        },
+        {
+          CALENDAR_NAME: 'Test Calendar',
+          GMAIL_OAUTH_CREDENTIALS: '{}',
+          FIRESTORE_COLLECTION: 'gmail-history',
+        }
+      );
+      mockDrive.files.list
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_root' }] } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'folder_ng' }] } })
+        .mockResolvedValueOnce({ data: { files: [previous] } });
+      mockDrive.files.update.mockResolvedValueOnce({
+        data: { id: 'file_old', name: 'bill.pdf', md5Checksum: 'bbb' },
+      });
+
+      await service.handleTransaction({
+        from: 'customerservice@nationalgridus.com',
+        subject: 'Your National Grid bill is ready',
+        message: { data: { id: 'msg_ng' } },
+      });
+
+      expect(auditRecord('msg_ng').actions[0]).toMatchObject({
+        type: 'driveUpload',
+        operation: 'update',
+        folderPath: 'House/National Grid Bills',
+        before: previous,
+        after: { md5Checksum: 'bbb' },
+      });
+    });
+
+    it('does not write audit records in dry-run mode', async () => {
+      mockCalendar.events.list.mockResolvedValue({
+        data: {
+          items: [
+            {
+              id: 'evt_amex',
+              summary: 'Pay Amex',
+              start: { date: '2023-02-01' },
+            },
+          ],
+        },
+      });
+
+      await service.handleTransaction(
+        {
+          from: 'AmericanExpress@welcome.americanexpress.com',
+          subject: 'We received your payment',
+          message: { data: { id: 'msg_amex' } },
+        },
+        { dryRun: true }
+      );
+
+      expect(auditRecord('msg_amex')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { logger } from './logger.js';
+
+export const DEFAULT_ALERT_LABEL = 'Bill Alerts';
+
+/**
+ * Builds a link that opens a message in Gmail. With the mailbox address it
+ * opens in the right account when several are signed in.
+ *
+ * @param {string|null} emailAddress - The mailbox, or null for the first signed-in account.
+ * @param {string} messageId - The Gmail message ID.
+ * @returns {string}
+ */
+export function gmailLink(emailAddress, messageId) {
+  return `https://mail.google.com/mail/u/${emailAddress ?? 0}/#all/${messageId}`;
+}
+
+/**
+ * Puts an alert email in the mailbox's own inbox under a label, creating the
+ * label if needed. The message is inserted rather than sent, so it never
+ * leaves the account.
+ *
+ * @param {Object} gmail - The Gmail API service instance.
+ * @param {Object} alert
+ * @param {string} alert.to - The mailbox's address, shown as sender and recipient.
+ * @param {string} alert.subject
+ * @param {string} alert.text - Plain text body.
+ * @param {string} [alert.labelName] - Label to file the alert under (default: "Bill Alerts").
+ * @param {Function} [alert.request] - Wraps each idempotent API call, e.g. with retries: `(label, fn) => fn()`.
+ * @returns {Promise<string>} - The Gmail message ID of the alert.
+ */
+export async function sendGmailAlert(
+  gmail,
+  {
+    to,
+    subject,
+    text,
+    labelName = DEFAULT_ALERT_LABEL,
+    request = (label, fn) => fn(),
+  }
+) {
+  const labelId = await findOrCreateLabel(gmail, labelName, request);
+  const raw = Buffer.from(
+    [
+      `From: ${to}`,
+      `To: ${to}`,
+      `Subject: ${encodeHeader(subject)}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(text, 'utf8').toString('base64'),
+    ].join('\r\n')
+  ).toString('base64url');
+
+  // Not retried: a timed-out insert may still have added the message
+  const res = await gmail.users.messages.insert({
+    userId: 'me',
+    internalDateSource: 'receivedTime',
+    requestBody: { raw, labelIds: ['INBOX', 'UNREAD', labelId] },
+  });
+  logger.notice(
+    `[ACTION] 🚨 Filed alert "${subject}" under "${labelName}" (ID: ${res.data.id})`
+  );
+  return res.data.id;
+}
+
+async function findOrCreateLabel(gmail, name, request) {
+  const res = await request('gmail.users.labels.list', () =>
+    gmail.users.labels.list({ userId: 'me' })
+  );
+  const existing = res.data.labels?.find((l) => l.name === name);
+  if (existing) {
+    return existing.id;
+  }
+
+  const created = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show',
+    },
+  });
+  logger.notice(`[ACTION] 🏷️ Created Gmail label "${name}"`);
+  return created.data.id;
+}
+
+// RFC 2047 encoding, so emoji and dashes survive in the subject line
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
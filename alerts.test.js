@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import { gmailLink, sendGmailAlert } from './alerts.js';
+
+describe('sendGmailAlert()', () => {
+  let gmail;
+
+  beforeEach(() => {
+    gmail = {
+      users: {
+        labels: {
+          list: jest.fn().mockResolvedValue({
+            data: { labels: [{ id: 'Label_1', name: 'Bill Alerts' }] },
+          }),
+          create: jest.fn().mockResolvedValue({ data: { id: 'Label_2' } }),
+        },
+        messages: {
+          insert: jest.fn().mockResolvedValue({ data: { id: 'alert_1' } }),
+        },
+      },
+    };
+  });
+
+  const decode = (raw) => Buffer.from(raw, 'base64url').toString('utf8');
+
+  it('files the alert in the inbox under the label', async () => {
+    const id = await sendGmailAlert(gmail, {
+      to: 'me@example.com',
+      subject: 'Unusual Comcast amount',
+      text: 'Please check.',
+    });
+
+    expect(id).toBe('alert_1');
+    expect(gmail.users.labels.create).not.toHaveBeenCalled();
+    const { requestBody } = gmail.users.messages.insert.mock.calls[0][0];
+    expect(requestBody.labelIds).toEqual(['INBOX', 'UNREAD', 'Label_1']);
+    const raw = decode(requestBody.raw);
+    expect(raw).toContain('To: me@example.com\r\n');
+    expect(raw).toContain('Subject: Unusual Comcast amount\r\n');
+    expect(raw).toContain(Buffer.from('Please check.').toString('base64'));
+  });
+
+  it('creates a missing label and encodes non-ASCII subjects', async () => {
+    await sendGmailAlert(gmail, {
+      to: 'me@example.com',
+      subject: '⚠️ Unusual amount',
+      text: 'Please check.',
+      labelName: 'Alerts',
+    });
+
+    expect(gmail.users.labels.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        requestBody: expect.objectContaining({ name: 'Alerts' }),
+      })
+    );
+    const { requestBody } = gmail.users.messages.insert.mock.calls[0][0];
+    expect(requestBody.labelIds).toContain('Label_2');
+    expect(decode(requestBody.raw)).toContain(
+      `Subject: =?UTF-8?B?${Buffer.from('⚠️ Unusual amount').toString('base64')}?=`
+    );
+  });
+});
+
+describe('gmailLink()', () => {
+  it('opens the message in the mailbox when it is known', () => {
+    expect(gmailLink('alice@example.com', 'msg_1')).toBe(
+      'https://mail.google.com/mail/u/alice@example.com/#all/msg_1'
+    );
+    expect(gmailLink(null, 'msg_1')).toBe(
+      'https://mail.google.com/mail/u/0/#all/msg_1'
+    );
+  });
+});
@@ -0,0 +1,88 @@
+export const ANOMALY_METHODS = ['stddev', 'change'];
+
+export const DEFAULT_ANOMALY_OPTIONS = Object.freeze({
+  method: 'stddev',
+  // Standard deviations from the mean, or fractional change from the last amount
+  threshold: { stddev: 3, change: 0.5 },
+  minHistory: 3,
+  lookback: 12,
+});
+
+// Flat-rate bills have no spread; treat 5% of the mean as the smallest one
+const MIN_STDDEV_RATIO = 0.05;
+
+/**
+ * Decides whether an amount is out of line with a provider's earlier ones.
+ *
+ * - `stddev` flags amounts more than `threshold` standard deviations from the
+ *   mean of the history, once there are `minHistory` amounts.
+ * - `change` flags amounts that differ from the most recent one by more than
+ *   `threshold` (0.5 = 50%).
+ *
+ * `min` and `max`, when given, are checked regardless of history. Amounts
+ * outside them are marked `outOfRange`.
+ *
+ * @param {number} amount
+ * @param {Array<number>} history - Earlier amounts, newest first.
+ * @param {Object} [options]
+ * @param {string} [options.method] - "stddev" (default) or "change".
+ * @param {number} [options.threshold] - Default: 3 for "stddev", 0.5 for "change".
+ * @param {number} [options.minHistory] - Amounts needed before "stddev" applies (default: 3).
+ * @param {number} [options.min] - Smallest acceptable amount.
+ * @param {number} [options.max] - Largest acceptable amount.
+ * @returns {{reason: string, outOfRange: boolean}|null} - Why the amount is unusual, or null if it looks normal.
+ */
+export function detectAnomaly(amount, history, options = {}) {
+  const {
+    method = DEFAULT_ANOMALY_OPTIONS.method,
+    threshold = DEFAULT_ANOMALY_OPTIONS.threshold[method],
+    minHistory = DEFAULT_ANOMALY_OPTIONS.minHistory,
+    min,
+    max,
+  } = options;
+  if (!ANOMALY_METHODS.includes(method)) {
+    throw new Error(`❌ Unknown anomaly method "${method}"`);
+  }
+
+  if (min !== undefined && amount < min) {
+    return {
+      reason: `$${amount} is below the expected minimum of $${min}`,
+      outOfRange: true,
+    };
+  }
+  if (max !== undefined && amount > max) {
+    return {
+      reason: `$${amount} is above the expected maximum of $${max}`,
+      outOfRange: true,
+    };
+  }
+
+  if (method === 'change') {
+    const [previous] = history;
+    if (!previous) {
+      return null;
+    }
+    const change = (amount - previous) / previous;
+    return Math.abs(change) > threshold
+      ? {
+          reason: `$${amount} is ${Math.round(Math.abs(change) * 100)}% ${change > 0 ? 'more' : 'less'} than the previous $${previous}`,
+          outOfRange: false,
+        }
+      : null;
+  }
+
+  if (history.length < minHistory) {
+    return null;
+  }
+  const mean = history.reduce((sum, a) => sum + a, 0) / history.length;
+  const variance =
+    history.reduce((sum, a) => sum + (a - mean) ** 2, 0) / history.length;
+  const stddev = Math.max(Math.sqrt(variance), mean * MIN_STDDEV_RATIO);
+  const deviations = Math.abs(amount - mean) / stddev;
+  return deviations > threshold
+    ? {
+        reason: `$${amount} is ${deviations.toFixed(1)} standard deviations from the average of $${mean.toFixed(2)} over the last ${history.length} amounts`,
+        outOfRange: false,
+      }
+    : null;
+}
@@ -0,0 +1,55 @@
+import { detectAnomaly } from './anomalies.js';
+
+describe('detectAnomaly()', () => {
+  const history = [98, 102, 100, 95, 105];
+
+  it('accepts amounts close to the average', () => {
+    expect(detectAnomaly(108, history)).toBeNull();
+  });
+
+  it('flags amounts several standard deviations from the average', () => {
+    expect(detectAnomaly(180, history)).toEqual({
+      reason: expect.stringContaining('standard deviations from the average'),
+      outOfRange: false,
+    });
+  });
+
+  it('waits for enough history before judging by the average', () => {
+    expect(detectAnomaly(500, [100, 100])).toBeNull();
+  });
+
+  it('allows a little change from a flat amount', () => {
+    const flat = [93.08, 93.08, 93.08];
+
+    expect(detectAnomaly(95, flat)).toBeNull();
+    expect(detectAnomaly(120, flat)).not.toBeNull();
+  });
+
+  it('flags large changes from the previous amount', () => {
+    expect(detectAnomaly(140, [90, 200], { method: 'change' })).toEqual({
+      reason: '$140 is 56% more than the previous $90',
+      outOfRange: false,
+    });
+    expect(
+      detectAnomaly(70, [90], { method: 'change', threshold: 0.25 })
+    ).toBeNull();
+    expect(detectAnomaly(140, [], { method: 'change' })).toBeNull();
+  });
+
+  it('checks min and max without any history', () => {
+    expect(detectAnomaly(950, [], { min: 100, max: 200 })).toEqual({
+      reason: '$950 is above the expected maximum of $200',
+      outOfRange: true,
+    });
+    expect(detectAnomaly(50, [], { min: 100 })).toEqual({
+      reason: '$50 is below the expected minimum of $100',
+      outOfRange: true,
+    });
+  });
+
+  it('rejects unknown methods', () => {
+    expect(() => detectAnomaly(1, history, { method: 'median' })).toThrow(
+      'Unknown anomaly method "median"'
+    );
+  });
+});
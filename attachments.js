@@ -0,0 +1,163 @@
+import { logger } from './logger.js';
+import { withRetry } from './retry.js';
+import { renderTemplate } from './ruleEngine.js';
+
+// Bills and statements; rules can ask for other types
+export const DEFAULT_ATTACHMENT_TYPES = Object.freeze([
+  'application/pdf',
+  'image/*',
+  'text/csv',
+]);
+
+export const DEFAULT_ATTACHMENT_NAME = '{{provider}}_{{date}}_{{filename}}';
+
+// Mail clients often send attachments as application/octet-stream
+const TYPES_BY_EXTENSION = {
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  heic: 'image/heic',
+};
+
+/**
+ * Finds the attachment parts of a Gmail message whose type is in
+ * `mimeTypes`, in message order. Parts shown inside the email body, such as
+ * logos and signature images, are left out unless `includeInline` is set.
+ *
+ * @param {Object} payload - `message.data.payload`.
+ * @param {Array<string>} [mimeTypes] - Exact types or wildcards such as "image/*".
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInline] - Also find parts with `Content-Disposition: inline` or a `Content-ID`.
+ * @returns {Array<Object>} - The matching message parts.
+ */
+export function findAttachments(
+  payload,
+  mimeTypes = DEFAULT_ATTACHMENT_TYPES,
+  { includeInline = false } = {}
+) {
+  const found = [];
+  const visit = (part) => {
+    // Inline data comes from parsed .eml files
+    if (
+      (part.body?.attachmentId || part.body?.data) &&
+      (part.filename || part.mimeType === 'application/pdf') &&
+      (includeInline || !isInlinePart(part)) &&
+      mimeTypes.some((pattern) => typeMatches(attachmentType(part), pattern))
+    ) {
+      found.push(part);
+    }
+    part.parts?.forEach(visit);
+  };
+  (payload?.parts ?? []).forEach(visit);
+  return found;
+}
+
+/**
+ * Downloads the matching attachments of a Gmail message.
+ *
+ * @param {Object} message - The Gmail message object.
+ * @param {Object} gmailService - The Gmail API service instance.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.mimeTypes] - Attachment types to download (default: PDF, images and CSV).
+ * @param {number} [options.limit] - Stop after this many attachments.
+ * @param {boolean} [options.includeInline] - Also download parts shown inside the email body (see `findAttachments`).
+ * @param {Object} [options.retryOptions] - Overrides for `withRetry`.
+ * @returns {Promise<Array<{data: Buffer, filename: string, mimeType: string}>>}
+ */
+export async function downloadAttachments(
+  message,
+  gmailService,
+  {
+    mimeTypes = DEFAULT_ATTACHMENT_TYPES,
+    limit = Infinity,
+    includeInline = false,
+    retryOptions,
+  } = {}
+) {
+  const parts = findAttachments(message.data.payload, mimeTypes, {
+    includeInline,
+  }).slice(0, limit);
+
+  const attachments = [];
+  for (const part of parts) {
+    let data = part.body.data;
+    if (part.body.attachmentId) {
+      const attachment = await withRetry(
+        () =>
+          gmailService.users.messages.attachments.get({
+            userId: 'me',
+            messageId: message.data.id,
+            id: part.body.attachmentId,
+          }),
+        { ...retryOptions, label: 'gmail.users.messages.attachments.get' }
+      );
+      data = attachment.data.data;
+    }
+    attachments.push({
+      data: Buffer.from(data, 'base64'),
+      filename: part.filename || 'attachment.pdf',
+      mimeType: attachmentType(part),
+    });
+  }
+  logger.debug(`📎 Downloaded ${attachments.length} attachment(s)`);
+  return attachments;
+}
+
+/**
+ * Names an archived attachment. The template can use `{{provider}}`,
+ * `{{date}}` (YYYY-MM-DD), `{{filename}}` (the original name) and
+ * `{{index}}` (1-based position among the archived attachments).
+ *
+ * @param {string} template - e.g. "{{provider}}_{{date}}_{{filename}}".
+ * @param {Object} vars
+ * @returns {string}
+ */
+export function renderAttachmentName(template, vars) {
+  // Drive allows slashes, but they would read like folders
+  return renderTemplate(template, vars).replace(/[/\\]/g, '-');
+}
+
+/**
+ * Returns the date a Gmail message was received, as YYYY-MM-DD.
+ *
+ * @param {Object} message - The Gmail message object.
+ * @returns {string}
+ */
+export function messageDate(message) {
+  const dateHeader = message?.data?.payload?.headers?.find(
+    (h) => h.name === 'Date'
+  )?.value;
+  const date = message?.data?.internalDate
+    ? new Date(Number(message.data.internalDate))
+    : new Date(dateHeader ?? Date.now());
+  return (Number.isNaN(date.getTime()) ? new Date() : date)
+    .toISOString()
+    .split('T')[0];
+}
+
+function attachmentType(part) {
+  if (part.mimeType && part.mimeType !== 'application/octet-stream') {
+    return part.mimeType;
+  }
+  const extension = part.filename?.split('.').pop().toLowerCase();
+  return TYPES_BY_EXTENSION[extension] ?? part.mimeType;
+}
+
+// Body images are referenced by Content-ID or marked for inline display
+function isInlinePart(part) {
+  const header = (name) =>
+    part.headers?.find((h) => h.name.toLowerCase() === name)?.value;
+  return (
+    /^\s*inline\b/i.test(header('content-disposition') ?? '') ||
+    header('content-id') !== undefined
+  );
+}
+
+function typeMatches(mimeType, pattern) {
+  return pattern.endsWith('/*')
+    ? mimeType?.startsWith(pattern.slice(0, -1))
+    : mimeType === pattern;
+}
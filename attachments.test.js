@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import {
+  downloadAttachments,
+  findAttachments,
+  messageDate,
+  renderAttachmentName,
+} from './attachments.js';
+
+describe('attachments', () => {
+  const payload = {
+    parts: [
+      { mimeType: 'text/html', body: { data: 'PGI+' } },
+      {
+        mimeType: 'multipart/mixed',
+        parts: [
+          {
+            mimeType: 'application/pdf',
+            filename: 'bill.pdf',
+            body: { attachmentId: 'att_1' },
+          },
+          {
+            mimeType: 'text/csv',
+            filename: 'usage.csv',
+            body: { data: Buffer.from('a,b').toString('base64') },
+          },
+        ],
+      },
+      {
+        mimeType: 'image/png',
+        filename: 'logo.png',
+        headers: [
+          { name: 'Content-Disposition', value: 'inline; filename="logo.png"' },
+        ],
+        body: { attachmentId: 'att_2' },
+      },
+      {
+        mimeType: 'image/gif',
+        filename: 'signature.gif',
+        headers: [{ name: 'Content-ID', value: '<sig@example.com>' }],
+        body: { attachmentId: 'att_3' },
+      },
+      {
+        mimeType: 'image/jpeg',
+        filename: 'meter.jpg',
+        headers: [
+          {
+            name: 'Content-Disposition',
+            value: 'attachment; filename="meter.jpg"',
+          },
+        ],
+        body: { attachmentId: 'att_4' },
+      },
+    ],
+  };
+
+  describe('findAttachments()', () => {
+    it('finds PDF, image and CSV attachments in nested parts', () => {
+      expect(findAttachments(payload).map((p) => p.filename)).toEqual([
+        'bill.pdf',
+        'usage.csv',
+        'meter.jpg',
+      ]);
+    });
+
+    it('skips inline images unless asked to include them', () => {
+      expect(
+        findAttachments(payload, ['image/*']).map((p) => p.filename)
+      ).toEqual(['meter.jpg']);
+      expect(
+        findAttachments(payload, ['image/*'], { includeInline: true }).map(
+          (p) => p.filename
+        )
+      ).toEqual(['logo.png', 'signature.gif', 'meter.jpg']);
+    });
+
+    it('filters by exact and wildcard types', () => {
+      expect(
+        findAttachments(payload, ['text/csv', 'image/*']).map((p) => p.filename)
+      ).toEqual(['usage.csv', 'meter.jpg']);
+    });
+
+    it('guesses the type of octet-stream attachments from the extension', () => {
+      const parts = findAttachments({
+        parts: [
+          {
+            mimeType: 'application/octet-stream',
+            filename: 'Statement.PDF',
+            body: { attachmentId: 'att' },
+          },
+        ],
+      });
+
+      expect(parts).toHaveLength(1);
+    });
+  });
+
+  describe('downloadAttachments()', () => {
+    it('downloads attachments and decodes inline ones', async () => {
+      const gmail = {
+        users: {
+          messages: {
+            attachments: {
+              get: jest.fn().mockResolvedValue({
+                data: { data: Buffer.from('pdf').toString('base64') },
+              }),
+            },
+          },
+        },
+      };
+
+      const attachments = await downloadAttachments(
+        { data: { id: 'msg_1', payload } },
+        gmail,
+        { mimeTypes: ['application/pdf', 'text/csv'] }
+      );
+
+      expect(gmail.users.messages.attachments.get).toHaveBeenCalledWith({
+        userId: 'me',
+        messageId: 'msg_1',
+        id: 'att_1',
+      });
+      expect(attachments).toEqual([
+        {
+          data: Buffer.from('pdf'),
+          filename: 'bill.pdf',
+          mimeType: 'application/pdf',
+        },
+        {
+          data: Buffer.from('a,b'),
+          filename: 'usage.csv',
+          mimeType: 'text/csv',
+        },
+      ]);
+    });
+  });
+
+  describe('renderAttachmentName()', () => {
+    it('fills in the template and keeps the name a single path segment', () => {
+      expect(
+        renderAttachmentName('{{provider}}_{{date}}_{{filename}}', {
+          provider: 'Water/Sewer',
+          date: '2025-03-04',
+          filename: 'bill.pdf',
+        })
+      ).toBe('Water-Sewer_2025-03-04_bill.pdf');
+    });
+  });
+
+  describe('messageDate()', () => {
+    it('prefers the received time over the Date header', () => {
+      expect(
+        messageDate({
+          data: {
+            internalDate: String(Date.parse('2025-03-04T12:00:00Z')),
+            payload: {
+              headers: [{ name: 'Date', value: 'Mon, 1 Jan 2024 00:00:00' }],
+            },
+          },
+        })
+      ).toBe('2025-03-04');
+      expect(
+        messageDate({
+          data: {
+            payload: {
+              headers: [
+                { name: 'Date', value: 'Tue, 2 Jan 2024 12:00:00 +0000' },
+              ],
+            },
+          },
+        })
+      ).toBe('2024-01-02');
+    });
+  });
+});
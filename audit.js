@@ -0,0 +1,106 @@
+import { logger } from './logger.js';
+
+export const AUDIT_COLLECTION = 'audit_log';
+
+/**
+ * Appends the actions taken for an email to its audit record. Records are
+ * keyed by Gmail message ID, so reprocessing the same email adds to its
+ * existing record rather than creating a new one.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} entry
+ * @param {string} entry.messageId - The Gmail message ID.
+ * @param {string} entry.rule - Name of the matched rule.
+ * @param {string} [entry.provider] - The rule's provider, used for querying.
+ * @param {string} [entry.from] - Sender header of the email.
+ * @param {string} [entry.subject] - Subject header of the email.
+ * @param {number|null} [entry.amount] - Amount extracted from the email.
+ * @param {Array<Object>} entry.actions - Action records including `before`/`after` state and `performedAt`.
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEntry(
+  firestore,
+  { messageId, rule, provider = null, from, subject, amount = null, actions }
+) {
+  const docRef = firestore.collection(AUDIT_COLLECTION).doc(messageId);
+  const docSnap = await docRef.get();
+  const existing = docSnap.exists ? docSnap.data() : null;
+  const now = new Date();
+
+  await docRef.set({
+    messageId,
+    rule,
+    provider,
+    from,
+    subject,
+    amount,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    actions: [...(existing?.actions ?? []), ...actions],
+  });
+  logger.debug(
+    `🧾 Recorded ${actions.length} audit action(s) for message ${messageId}`
+  );
+}
+
+/**
+ * Retrieves the audit record for a single email.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} messageId - The Gmail message ID.
+ * @returns {Promise<Object|null>} - The audit record, or null if nothing was recorded.
+ */
+export async function getAuditEntry(firestore, messageId) {
+  const docSnap = await firestore
+    .collection(AUDIT_COLLECTION)
+    .doc(messageId)
+    .get();
+  return docSnap.exists ? normalizeEntry(docSnap.data()) : null;
+}
+
+/**
+ * Lists audit records, oldest first, optionally filtered by when they were
+ * created and by provider. Filtering on both requires a Firestore composite
+ * index on (provider, createdAt).
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} [filters]
+ * @param {Date} [filters.start] - Inclusive lower bound on `createdAt`.
+ * @param {Date} [filters.end] - Exclusive upper bound on `createdAt`.
+ * @param {string} [filters.provider] - Only records for this provider.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAuditEntries(
+  firestore,
+  { start, end, provider } = {}
+) {
+  let query = firestore.collection(AUDIT_COLLECTION);
+  if (provider) {
+    query = query.where('provider', '==', provider);
+  }
+  if (start) {
+    query = query.where('createdAt', '>=', start);
+  }
+  if (end) {
+    query = query.where('createdAt', '<', end);
+  }
+
+  const snapshot = await query.orderBy('createdAt').get();
+  return snapshot.docs.map((doc) => normalizeEntry(doc.data()));
+}
+
+/**
+ * Converts Firestore Timestamps back into Dates.
+ */
+function normalizeEntry(entry) {
+  const toDate = (value) => value?.toDate?.() ?? value;
+  return {
+    ...entry,
+    createdAt: toDate(entry.createdAt),
+    updatedAt: toDate(entry.updatedAt),
+    actions: (entry.actions ?? []).map((action) => ({
+      ...action,
+      performedAt: toDate(action.performedAt),
+    })),
+  };
+}
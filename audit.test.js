@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import { getAuditEntry, listAuditEntries, recordAuditEntry } from './audit.js';
+
+describe('Audit Trail', () => {
+  let mockFirestore;
+  let mockCollection;
+  let mockDoc;
+  let mockQuery;
+
+  beforeEach(() => {
+    mockDoc = {
+      get: jest.fn().mockResolvedValue({ exists: false }),
+      set: jest.fn(),
+    };
+    mockQuery = {
+      where: jest.fn(() => mockQuery),
+      orderBy: jest.fn(() => mockQuery),
+      get: jest.fn().mockResolvedValue({ docs: [] }),
+    };
+    mockCollection = {
+      doc: jest.fn().mockReturnValue(mockDoc),
+      where: jest.fn(() => mockQuery),
+      orderBy: jest.fn(() => mockQuery),
+    };
+    mockFirestore = {
+      collection: jest.fn((name) => {
+        if (name === 'audit_log') {
+          return mockCollection;
+        }
+        throw new Error(`Unexpected collection: ${name}`);
+      }),
+    };
+  });
+
+  describe('recordAuditEntry()', () => {
+    const action = {
+      type: 'calendarDelete',
+      eventId: 'evt_1',
+      before: { id: 'evt_1', summary: 'Pay Chase' },
+      after: null,
+      performedAt: new Date('2024-05-01T12:00:00Z'),
+    };
+
+    it('creates a record keyed by Gmail message ID', async () => {
+      await recordAuditEntry(mockFirestore, {
+        messageId: 'msg_123',
+        rule: 'Chase card payment',
+        provider: 'Chase',
+        from: 'no.reply.alerts@chase.com',
+        subject: 'Your credit card payment is scheduled',
+        actions: [action],
+      });
+
+      expect(mockCollection.doc).toHaveBeenCalledWith('msg_123');
+      expect(mockDoc.set).toHaveBeenCalledWith({
+        messageId: 'msg_123',
+        rule: 'Chase card payment',
+        provider: 'Chase',
+        from: 'no.reply.alerts@chase.com',
+        subject: 'Your credit card payment is scheduled',
+        amount: null,
+        createdAt: expect.any(Date),
+        updatedAt: expect.any(Date),
+        actions: [action],
+      });
+    });
+
+    it('appends to an existing record and keeps its creation time', async () => {
+      const createdAt = new Date('2024-04-30T08:00:00Z');
+      const earlier = { type: 'markRead', messageId: 'msg_123' };
+      mockDoc.get.mockResolvedValue({
+        exists: true,
+        data: () => ({ createdAt, actions: [earlier] }),
+      });
+
+      await recordAuditEntry(mockFirestore, {
+        messageId: 'msg_123',
+        rule: 'Chase card payment',
+        actions: [action],
+      });
+
+      const written = mockDoc.set.mock.calls[0][0];
+      expect(written.createdAt).toBe(createdAt);
+      expect(written.actions).toEqual([earlier, action]);
+    });
+  });
+
+  describe('getAuditEntry()', () => {
+    it('returns null when nothing was recorded', async () => {
+      expect(await getAuditEntry(mockFirestore, 'msg_404')).toBeNull();
+    });
+
+    it('converts Firestore timestamps to dates', async () => {
+      const when = new Date('2024-05-01T12:00:00Z');
+      const timestamp = { toDate: () => when };
+      mockDoc.get.mockResolvedValue({
+        exists: true,
+        data: () => ({
+          messageId: 'msg_123',
+          createdAt: timestamp,
+          updatedAt: timestamp,
+          actions: [{ type: 'markRead', performedAt: timestamp }],
+        }),
+      });
+
+      const entry = await getAuditEntry(mockFirestore, 'msg_123');
+
+      expect(entry.createdAt).toBe(when);
+      expect(entry.actions[0].performedAt).toBe(when);
+    });
+  });
+
+  describe('listAuditEntries()', () => {
+    it('filters by provider and date range, oldest first', async () => {
+      const start = new Date('2024-05-01');
+      const end = new Date('2024-06-01');
+      mockQuery.get.mockResolvedValue({
+        docs: [{ data: () => ({ messageId: 'msg_1', provider: 'Chase' }) }],
+      });
+
+      const entries = await listAuditEntries(mockFirestore, {
+        start,
+        end,
+        provider: 'Chase',
+      });
+
+      expect(mockCollection.where).toHaveBeenCalledWith(
+        'provider',
+        '==',
+        'Chase'
+      );
+      expect(mockQuery.where).toHaveBeenCalledWith('createdAt', '>=', start);
+      expect(mockQuery.where).toHaveBeenCalledWith('createdAt', '<', end);
+      expect(mockQuery.orderBy).toHaveBeenCalledWith('createdAt');
+      expect(entries).toEqual([
+        expect.objectContaining({ messageId: 'msg_1', provider: 'Chase' }),
+      ]);
+    });
+
+    it('lists everything when no filters are given', async () => {
+      await listAuditEntries(mockFirestore);
+
+      expect(mockCollection.where).not.toHaveBeenCalled();
+      expect(mockCollection.orderBy).toHaveBeenCalledWith('createdAt');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Archives the National Grid bill history to Drive, skipping statements that
+ * are already in the folder.
+ *
+ * Usage:
+ *   node backfill.js [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--folder <path>] [--account <number>] [--dry-run] [--mailbox <email>]
+ *
+ * --since    Earliest statement date to archive (default: two years ago).
+ * --until    Latest statement date to archive, inclusive (default: the newest bill).
+ * --folder   Drive folder to archive into (default: the National Grid driveUpload rule's folder).
+ * --account  Only backfill this National Grid account (default: every account).
+ * --dry-run  Download the bills and report what would be uploaded without touching Drive.
+ * --mailbox  Which MAILBOXES entry's Drive to use; required when MAILBOXES is set.
+ */
+
+import 'dotenv/config';
+import { logger } from './logger.js';
+
+export const DEFAULT_BILL_FOLDER = 'House/National Grid Bills';
+
+/**
+ * Finds the Drive folder the rules archive National Grid bills into.
+ *
+ * @param {Array<Object>} rules
+ * @returns {string}
+ */
+export function billFolderFromRules(rules) {
+  const action = rules
+    .flatMap((rule) => rule.actions ?? [])
+    .find(
+      (action) =>
+        action.type === 'driveUpload' && action.source === 'nationalGrid'
+    );
+  return action?.folderPath ?? DEFAULT_BILL_FOLDER;
+}
+
+/**
+ * Downloads every National Grid statement in the date range that is not yet
+ * in the Drive folder and uploads it through `uploadToDrive`. Each configured
+ * account is backfilled in turn, into its own subfolder when it has one.
+ *
+ * @param {TransactionAutomationService} service
+ * @param {Object} [options]
+ * @param {string} [options.from] - Earliest statement date (YYYY-MM-DD).
+ * @param {string} [options.to] - Latest statement date, inclusive (YYYY-MM-DD).
+ * @param {string} [options.folderPath] - Drive folder (default: from the rules).
+ * @param {string} [options.accountNumber] - Only backfill this account.
+ * @param {boolean} [options.dryRun] - Report uploads without touching Drive or the stored National Grid tokens.
+ * @returns {Promise<{downloaded: Array<string>, skipped: Array<string>, failed: Array<Object>, actions: Array<Object>}>} - File paths (relative to `folderPath`) by outcome.
+ */
+export async function backfillNationalGridBills(
+  service,
+  {
+    from,
+    to,
+    folderPath = billFolderFromRules(service.rules),
+    accountNumber,
+    dryRun = false,
+  } = {}
+) {
+  let accounts = await service.getNationalGridAccounts();
+  if (accountNumber) {
+    accounts = accounts.filter((a) => a.accountNumber === accountNumber);
+    if (!accounts.length) {
+      throw new Error(
+        `❌ Account ${accountNumber} not found in NATIONAL_GRID_CREDENTIALS`
+      );
+    }
+  }
+
+  const result = { downloaded: [], skipped: [], failed: [], actions: [] };
+  for (const account of accounts.length ? accounts : [null]) {
+    const folder = account?.folder;
+    const accountFolder = folder ? `${folderPath}/${folder}` : folderPath;
+    const inFolder = (fileName) =>
+      folder ? `${folder}/${fileName}` : fileName;
+
+    const nationalGrid = await service.getNationalGridClient(account, {
+      dryRun,
+    });
+    const archived = new Set(await service.listDriveFolder(accountFolder));
+    logger.info(`📂 ${archived.size} file(s) already in "${accountFolder}"`);
+
+    const summary = await nationalGrid.backfillBills({
+      from,
+      to,
+      skip: (fileName) => archived.has(fileName),
+      onBill: (bill) =>
+        service.uploadToDrive(bill, accountFolder, {
+          dryRun,
+          actions: result.actions,
+          provider: 'National Grid',
+        }),
+    });
+    result.downloaded.push(...summary.downloaded.map(inFolder));
+    result.skipped.push(...summary.skipped.map(inFolder));
+    result.failed.push(
+      ...summary.failed.map((f) => ({ ...f, fileName: inFolder(f.fileName) }))
+    );
+  }
+  return result;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const dryRun = args.includes('--dry-run');
+  const mailbox = valueOf('--mailbox');
+
+  const { TransactionAutomationService } =
+    await import('./TransactionAutomationService.js');
+  const service = new TransactionAutomationService().mailboxFor(mailbox);
+  if (!service) {
+    console.error(`❌ No mailbox registered for ${mailbox}`);
+    process.exit(1);
+  }
+  backfillNationalGridBills(service, {
+    from: valueOf('--since'),
+    to: valueOf('--until'),
+    folderPath: valueOf('--folder'),
+    accountNumber: valueOf('--account'),
+    dryRun,
+  })
+    .then(({ downloaded, skipped, failed }) => {
+      console.log(
+        `${dryRun ? '🧪 Would upload' : '✅ Uploaded'} ${downloaded.length}, skipped ${skipped.length}, failed ${failed.length}`
+      );
+      for (const { fileName, error } of failed) {
+        console.log(`  ❌ ${fileName}: ${error}`);
+      }
+      if (failed.length) {
+        process.exitCode = 1;
+      }
+    })
+    .catch((e) => {
+      console.error(e);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,224 @@
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_BILL_FOLDER,
+  backfillNationalGridBills,
+  billFolderFromRules,
+} from './backfill.js';
+import NationalGridClient from './NationalGridClient.js';
+import { TransactionAutomationService } from './TransactionAutomationService.js';
+
+describe('National Grid backfill', () => {
+  let service;
+  let nationalGrid;
+  let drive;
+
+  const history = [
+    { statementDate: '2024-03-14' },
+    { statementDate: '2024-02-13' },
+    { statementDate: '2024-01-12' },
+  ];
+
+  beforeEach(() => {
+    drive = {
+      files: {
+        // Folders resolve by name, the bill folder already holds January
+        list: jest.fn(async ({ q }) => {
+          if (q.includes("name='House'")) {
+            return { data: { files: [{ id: 'folder_house' }] } };
+          }
+          if (q.includes("name='National Grid Bills'")) {
+            return { data: { files: [{ id: 'folder_ng' }] } };
+          }
+          if (q.startsWith("'folder_ng' in parents")) {
+            return {
+              data: { files: [{ id: 'f1', name: 'NG_Bill_2024-01-12.pdf' }] },
+            };
+          }
+          return { data: { files: [] } };
+        }),
+        create: jest.fn(async ({ resource }) => ({
+          data: { id: `id_${resource.name}` },
+        })),
+      },
+    };
+
+    nationalGrid = new NationalGridClient();
+    nationalGrid.accessToken = 'token';
+    nationalGrid.accessTokenExpiresAt = Date.now() + 60 * 60 * 1000;
+    jest.spyOn(nationalGrid, 'getBillHistory').mockResolvedValue([...history]);
+    jest
+      .spyOn(nationalGrid, 'getBillPdf')
+      .mockImplementation(async ({ statementDate }) => ({
+        buffer: Buffer.from('pdf'),
+        fileName: `NG_Bill_${statementDate}.pdf`,
+        date: statementDate,
+      }));
+
+    service = new TransactionAutomationService(
+      { drive, nationalGrid, firestore: {}, gmail: {}, calendar: {} },
+      {
+        CALENDAR_NAME: 'Test Calendar',
+        GMAIL_OAUTH_CREDENTIALS: '{}',
+        FIRESTORE_COLLECTION: 'gmail-history',
+      }
+    );
+  });
+
+  it('uploads the bills missing from Drive, oldest first', async () => {
+    const result = await backfillNationalGridBills(service);
+
+    expect(result.skipped).toEqual(['NG_Bill_2024-01-12.pdf']);
+    expect(result.downloaded).toEqual([
+      'NG_Bill_2024-02-13.pdf',
+      'NG_Bill_2024-03-14.pdf',
+    ]);
+    expect(nationalGrid.getBillPdf).toHaveBeenCalledTimes(2);
+    expect(drive.files.create.mock.calls.map(([req]) => req.resource)).toEqual([
+      {
+        name: 'NG_Bill_2024-02-13.pdf',
+        parents: ['folder_ng'],
+        appProperties: {
+          provider: 'National Grid',
+          statementDate: '2024-02-13',
+        },
+      },
+      {
+        name: 'NG_Bill_2024-03-14.pdf',
+        parents: ['folder_ng'],
+        appProperties: {
+          provider: 'National Grid',
+          statementDate: '2024-03-14',
+        },
+      },
+    ]);
+  });
+
+  it('limits the backfill to the date range', async () => {
+    const result = await backfillNationalGridBills(service, {
+      from: '2024-01-01',
+      to: '2024-02-28',
+    });
+
+    expect(nationalGrid.getBillHistory).toHaveBeenCalledWith({
+      since: '2024-01-01',
+    });
+    expect(result.downloaded).toEqual(['NG_Bill_2024-02-13.pdf']);
+  });
+
+  it('does not upload anything in dry-run mode', async () => {
+    const result = await backfillNationalGridBills(service, { dryRun: true });
+
+    expect(drive.files.create).not.toHaveBeenCalled();
+    expect(result.actions.map((a) => a.fileName)).toEqual([
+      'NG_Bill_2024-02-13.pdf',
+      'NG_Bill_2024-03-14.pdf',
+    ]);
+  });
+
+  it('reports failed downloads and carries on', async () => {
+    nationalGrid.getBillPdf.mockRejectedValueOnce(
+      new Error('❌ Failed to retrieve bill PDF: 500')
+    );
+
+    const result = await backfillNationalGridBills(service);
+
+    expect(result.failed).toEqual([
+      {
+        fileName: 'NG_Bill_2024-02-13.pdf',
+        error: '❌ Failed to retrieve bill PDF: 500',
+      },
+    ]);
+    expect(result.downloaded).toEqual(['NG_Bill_2024-03-14.pdf']);
+  });
+
+  it('treats a missing Drive folder as empty without creating it', async () => {
+    drive.files.list.mockResolvedValue({ data: { files: [] } });
+
+    await expect(service.listDriveFolder('House/Missing')).resolves.toEqual([]);
+    expect(drive.files.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('National Grid backfill with several accounts', () => {
+  let spies;
+
+  beforeEach(() => {
+    spies = [
+      jest
+        .spyOn(NationalGridClient.prototype, 'login')
+        .mockImplementation(async function () {
+          this.loadCredentials();
+          this.accessToken = 'token';
+          this.accessTokenExpiresAt = Date.now() + 60 * 60 * 1000;
+        }),
+      jest
+        .spyOn(NationalGridClient.prototype, 'getBillHistory')
+        .mockResolvedValue([{ statementDate: '2024-03-14' }]),
+      jest
+        .spyOn(NationalGridClient.prototype, 'getBillPdf')
+        .mockImplementation(async function ({ statementDate }) {
+          return {
+            buffer: Buffer.from('pdf'),
+            fileName: `NG_Bill_${statementDate}.pdf`,
+            folder: this.folder,
+          };
+        }),
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach((spy) => spy.mockRestore());
+  });
+
+  it('backfills each account into its own subfolder', async () => {
+    const service = new TransactionAutomationService(
+      { drive: {}, firestore: {}, gmail: {}, calendar: {} },
+      {
+        CALENDAR_NAME: 'Test Calendar',
+        GMAIL_OAUTH_CREDENTIALS: '{}',
+        FIRESTORE_COLLECTION: 'gmail-history',
+        NATIONAL_GRID_CREDENTIALS: JSON.stringify({
+          signInName: 'me@example.com',
+          password: 'hunter2',
+          subscriptionKey: 'key',
+          accounts: [
+            { accountNumber: '1111122222', folder: 'Home' },
+            { accountNumber: '3333344444', region: 'massachusetts' },
+          ],
+        }),
+      }
+    );
+    jest
+      .spyOn(service, 'listDriveFolder')
+      .mockImplementation(async (folderPath) =>
+        folderPath.endsWith('/Home') ? ['NG_Bill_2024-03-14.pdf'] : []
+      );
+    jest.spyOn(service, 'uploadToDrive').mockResolvedValue();
+
+    const result = await backfillNationalGridBills(service);
+
+    expect(result.skipped).toEqual(['Home/NG_Bill_2024-03-14.pdf']);
+    expect(result.downloaded).toEqual(['3333344444/NG_Bill_2024-03-14.pdf']);
+    expect(service.uploadToDrive).toHaveBeenCalledWith(
+      expect.objectContaining({ folder: '3333344444' }),
+      'House/National Grid Bills/3333344444',
+      expect.anything()
+    );
+  });
+});
+
+describe('billFolderFromRules()', () => {
+  it('uses the folder of the National Grid driveUpload action', () => {
+    const rules = [
+      {
+        actions: [
+          { type: 'driveUpload', source: 'sunrun', folderPath: 'Sunrun' },
+          { type: 'driveUpload', source: 'nationalGrid', folderPath: 'NG' },
+        ],
+      },
+    ];
+
+    expect(billFolderFromRules(rules)).toBe('NG');
+    expect(billFolderFromRules([])).toBe(DEFAULT_BILL_FOLDER);
+  });
+});
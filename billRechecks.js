@@ -0,0 +1,89 @@
+import { logger } from './logger.js';
+
+export const BILL_RECHECK_COLLECTION = 'pending_bill_checks';
+
+// Wait before each re-check; the portal usually catches up within a day
+export const DEFAULT_RECHECK_DELAYS_MS = Object.freeze([
+  60 * 60 * 1000,
+  3 * 60 * 60 * 1000,
+  6 * 60 * 60 * 1000,
+  12 * 60 * 60 * 1000,
+  24 * 60 * 60 * 1000,
+]);
+
+/**
+ * Schedules (or reschedules) another look for a bill that an email announced
+ * but the portal did not have yet. Each call for the same email counts as a
+ * failed check and pushes the next one further out. Once the delays run out
+ * the re-check is dropped.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} check
+ * @param {string} check.messageId - The Gmail message ID of the bill email.
+ * @param {string|null} [check.mailbox] - The mailbox the email arrived in.
+ * @param {Object} [check.reference] - What identifies the statement, e.g. `{ statementDate, amountDue }`.
+ * @param {Object} [options]
+ * @param {Array<number>} [options.delaysMs] - Wait before each re-check.
+ * @returns {Promise<{attempts: number, nextCheckAt: number}|null>} - null once the re-checks are exhausted.
+ */
+export async function scheduleBillRecheck(
+  firestore,
+  { messageId, mailbox = null, reference = {} },
+  { delaysMs = DEFAULT_RECHECK_DELAYS_MS } = {}
+) {
+  const docRef = firestore.collection(BILL_RECHECK_COLLECTION).doc(messageId);
+  const docSnap = await docRef.get();
+  const existing = docSnap.exists ? docSnap.data() : null;
+  const attempts = (existing?.attempts ?? 0) + 1;
+
+  if (attempts > delaysMs.length) {
+    await docRef.delete();
+    logger.error(
+      `❌ Gave up waiting for the bill from message ${messageId} after ${attempts - 1} re-checks`
+    );
+    return null;
+  }
+
+  const now = Date.now();
+  const nextCheckAt = now + delaysMs[attempts - 1];
+  await docRef.set({
+    messageId,
+    mailbox,
+    reference,
+    attempts,
+    createdAt: existing?.createdAt ?? now,
+    updatedAt: now,
+    nextCheckAt,
+  });
+  logger.info(
+    `⏰ Scheduled bill re-check ${attempts}/${delaysMs.length} for message ${messageId} at ${new Date(nextCheckAt).toISOString()}`
+  );
+  return { attempts, nextCheckAt };
+}
+
+/**
+ * Lists the re-checks that are due.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {number} [now] - Current time in ms.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDueBillRechecks(firestore, now = Date.now()) {
+  const snapshot = await firestore
+    .collection(BILL_RECHECK_COLLECTION)
+    .where('nextCheckAt', '<=', now)
+    .get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Removes a re-check once its bill has been found.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} messageId - The Gmail message ID of the bill email.
+ * @returns {Promise<void>}
+ */
+export async function completeBillRecheck(firestore, messageId) {
+  await firestore.collection(BILL_RECHECK_COLLECTION).doc(messageId).delete();
+  logger.debug(`📝 Completed bill re-check for message ${messageId}`);
+}
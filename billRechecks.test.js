@@ -0,0 +1,75 @@
+import {
+  BILL_RECHECK_COLLECTION,
+  completeBillRecheck,
+  listDueBillRechecks,
+  scheduleBillRecheck,
+} from './billRechecks.js';
+import { createMockFirestore } from './test/mockFirestore.js';
+
+describe('Bill re-checks', () => {
+  let docs;
+  let firestore;
+
+  beforeEach(() => {
+    firestore = createMockFirestore();
+    docs = firestore.docs(BILL_RECHECK_COLLECTION);
+  });
+
+  it('backs off further with every re-check of the same email', async () => {
+    const reference = { statementDate: '2024-05-14', amountDue: null };
+    const start = Date.now();
+
+    const first = await scheduleBillRecheck(
+      firestore,
+      { messageId: 'msg_1', mailbox: 'me@example.com', reference },
+      { delaysMs: [1000, 5000] }
+    );
+    const second = await scheduleBillRecheck(
+      firestore,
+      { messageId: 'msg_1', mailbox: 'me@example.com', reference },
+      { delaysMs: [1000, 5000] }
+    );
+
+    expect(firestore.collection).toHaveBeenCalledWith(BILL_RECHECK_COLLECTION);
+    expect(first.attempts).toBe(1);
+    expect(first.nextCheckAt).toBeGreaterThanOrEqual(start + 1000);
+    expect(second.attempts).toBe(2);
+    expect(second.nextCheckAt).toBeGreaterThanOrEqual(start + 5000);
+    expect(docs.get('msg_1')).toEqual(
+      expect.objectContaining({
+        mailbox: 'me@example.com',
+        reference,
+        attempts: 2,
+        createdAt: expect.any(Number),
+      })
+    );
+  });
+
+  it('gives up once the delays run out', async () => {
+    await scheduleBillRecheck(
+      firestore,
+      { messageId: 'msg_1' },
+      { delaysMs: [1000] }
+    );
+
+    await expect(
+      scheduleBillRecheck(
+        firestore,
+        { messageId: 'msg_1' },
+        { delaysMs: [1000] }
+      )
+    ).resolves.toBeNull();
+    expect(docs.has('msg_1')).toBe(false);
+  });
+
+  it('lists only the re-checks that are due and removes completed ones', async () => {
+    docs.set('due', { messageId: 'due', nextCheckAt: 1000 });
+    docs.set('later', { messageId: 'later', nextCheckAt: 5000 });
+
+    const due = await listDueBillRechecks(firestore, 2000);
+    await completeBillRecheck(firestore, 'due');
+
+    expect(due.map((c) => c.messageId)).toEqual(['due']);
+    expect([...docs.keys()]).toEqual(['later']);
+  });
+});
@@ -1,27 +1,200 @@
+import { logger } from './logger.js';
+
+export const PROCESSED_COLLECTION = 'processed_messages';
+export const DEAD_LETTER_COLLECTION = 'dead_letter_messages';
+
+export const MessageStatus = Object.freeze({
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+});
+
+export const DEFAULT_MAX_ATTEMPTS = 5;
+// Longer than the 9 minute maximum timeout of an event-driven function, so a
+// lease only expires once the invocation holding it is certainly gone.
+export const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+// 7 days matches the max retention of Google Cloud Pub/Sub messages.
+// This ensures we never re-process a message even after a week-long outage.
+const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
- * Checks if a message has already been processed and marks it as processed if not.
- * Uses a Firestore document with a TTL to track processed message IDs.
+ * Claims a message for processing. The processing record moves through
+ * `pending` → `succeeded` or `failed`, counting attempts on the way:
+ *
+ * - A new message, a `failed` one, or a `pending` one whose lease has expired
+ *   (the invocation handling it crashed or timed out) is claimed, and its
+ *   attempt count goes up by one.
+ * - A `succeeded` or dead-lettered message is never claimed again.
+ * - A `pending` message with a live lease is being handled by another
+ *   invocation and is left alone, with `leased` set. That invocation may
+ *   still crash, so callers must not treat the message as done.
+ * - A message that already used up `maxAttempts` without reporting back is
+ *   dead-lettered instead of being claimed.
  *
  * @param {Firestore} firestore - The Firestore instance.
  * @param {string} messageId - The unique ID of the Gmail message.
- * @returns {Promise<boolean>} - Returns `true` if the message is new and successfully marked as processed, `false` if it was already processed.
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts allowed before a message is dead-lettered.
+ * @param {number} [options.leaseMs] - How long a claim blocks other invocations.
+ * @returns {Promise<{claimed: boolean, attempts: number, reason?: string, leased?: boolean}>} - `reason` explains why a message was not claimed.
  */
-export async function checkAndMarkMessageProcessed(firestore, messageId) {
-  const docRef = firestore.collection('processed_messages').doc(messageId);
-  try {
-    // Try to create the document. Fails if it already exists.
-    await docRef.create({
-      timestamp: Date.now(),
-      // 7 days matches the max retention of Google Cloud Pub/Sub messages.
-      // This ensures we never re-process a message even after a week-long outage.
-      ttl: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days TTL
-    });
-    return true;
-  } catch (e) {
-    if (e.code === 6) {
-      // ALREADY_EXISTS
-      return false;
+export async function claimMessage(
+  firestore,
+  messageId,
+  { maxAttempts = DEFAULT_MAX_ATTEMPTS, leaseMs = DEFAULT_LEASE_MS } = {}
+) {
+  const docRef = firestore.collection(PROCESSED_COLLECTION).doc(messageId);
+
+  const claim = await firestore.runTransaction(async (tx) => {
+    const docSnap = await tx.get(docRef);
+    const existing = docSnap.exists ? docSnap.data() : null;
+    const now = Date.now();
+    const attempts = existing?.attempts ?? 0;
+
+    if (existing) {
+      // Records written before attempts were tracked only mean "done"
+      if (!existing.status || existing.status === MessageStatus.SUCCEEDED) {
+        return { claimed: false, attempts, reason: 'already processed' };
+      }
+      if (existing.deadLetteredAt) {
+        return { claimed: false, attempts, reason: 'dead-lettered' };
+      }
+      if (
+        existing.status === MessageStatus.PENDING &&
+        existing.leaseExpiresAt > now
+      ) {
+        return {
+          claimed: false,
+          attempts,
+          reason: 'in progress elsewhere',
+          leased: true,
+        };
+      }
+      if (attempts >= maxAttempts) {
+        const lastError =
+          existing.lastError ??
+          `Gave up after ${attempts} attempts without completing`;
+        tx.set(docRef, {
+          ...existing,
+          status: MessageStatus.FAILED,
+          deadLetteredAt: now,
+          ttl: now + TTL_MS,
+        });
+        tx.set(firestore.collection(DEAD_LETTER_COLLECTION).doc(messageId), {
+          messageId,
+          attempts,
+          error: lastError,
+          errorCode: existing.lastErrorCode ?? null,
+          firstAttemptAt: existing.firstAttemptAt ?? null,
+          deadLetteredAt: now,
+        });
+        return { claimed: false, attempts, reason: 'dead-lettered' };
+      }
     }
-    throw e;
+
+    tx.set(docRef, {
+      ...existing,
+      status: MessageStatus.PENDING,
+      attempts: attempts + 1,
+      firstAttemptAt: existing?.firstAttemptAt ?? now,
+      lastAttemptAt: now,
+      leaseExpiresAt: now + leaseMs,
+      ttl: now + TTL_MS,
+    });
+    return { claimed: true, attempts: attempts + 1 };
+  });
+
+  if (claim.claimed) {
+    logger.debug(
+      `📝 Claimed message ${messageId} (attempt ${claim.attempts}/${maxAttempts})`
+    );
+  } else {
+    logger.debug(`📝 Not claiming message ${messageId}: ${claim.reason}`);
+  }
+  return claim;
+}
+
+/**
+ * Marks a claimed message as successfully processed so it is never handled
+ * again.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} messageId - The unique ID of the Gmail message.
+ * @returns {Promise<void>}
+ */
+export async function markMessageSucceeded(firestore, messageId) {
+  const now = Date.now();
+  await firestore
+    .collection(PROCESSED_COLLECTION)
+    .doc(messageId)
+    .set(
+      {
+        status: MessageStatus.SUCCEEDED,
+        completedAt: now,
+        leaseExpiresAt: null,
+        ttl: now + TTL_MS,
+      },
+      { merge: true }
+    );
+  logger.debug(`📝 Marked message ${messageId} as processed`);
+}
+
+/**
+ * Records a failed attempt. Unless `deadLetter` is set the message can be
+ * claimed again when Pub/Sub redelivers; otherwise it is parked in the
+ * dead-letter collection with the error for manual inspection.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} messageId - The unique ID of the Gmail message.
+ * @param {Error} error - The error that ended the attempt.
+ * @param {Object} options
+ * @param {number} options.attempts - Attempts made so far, including this one.
+ * @param {boolean} options.deadLetter - Whether to stop retrying the message.
+ * @returns {Promise<void>}
+ */
+export async function markMessageFailed(
+  firestore,
+  messageId,
+  error,
+  { attempts, deadLetter }
+) {
+  const now = Date.now();
+  const failure = {
+    lastError: error.message,
+    lastErrorCode: error.code ?? error.response?.status ?? null,
+  };
+
+  await firestore
+    .collection(PROCESSED_COLLECTION)
+    .doc(messageId)
+    .set(
+      {
+        status: MessageStatus.FAILED,
+        attempts,
+        leaseExpiresAt: null,
+        ...failure,
+        ...(deadLetter && { deadLetteredAt: now }),
+        ttl: now + TTL_MS,
+      },
+      { merge: true }
+    );
+
+  if (deadLetter) {
+    await firestore
+      .collection(DEAD_LETTER_COLLECTION)
+      .doc(messageId)
+      .set({
+        messageId,
+        attempts,
+        error: failure.lastError,
+        errorCode: failure.lastErrorCode,
+        stack: error.stack ?? null,
+        deadLetteredAt: now,
+      });
+    logger.debug(`📝 Moved message ${messageId} to the dead-letter collection`);
+  } else {
+    logger.debug(
+      `📝 Marked message ${messageId} as failed (attempt ${attempts})`
+    );
   }
 }
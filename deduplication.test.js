@@ -1,65 +1,228 @@
-import { checkAndMarkMessageProcessed } from './deduplication.js';
+import {
+  claimMessage,
+  markMessageFailed,
+  markMessageSucceeded,
+} from './deduplication.js';
 import { jest } from '@jest/globals';
 
 describe('Deduplication Logic', () => {
   let mockFirestore;
-  let mockCollection;
-  let mockDoc;
+  let mockCollections;
+  let mockDocs;
+  let mockTransaction;
 
-  beforeEach(() => {
-    mockDoc = {
-      create: jest.fn(),
+  /**
+   * Returns the mock document `id` in `collection`, seeded with `data`.
+   */
+  const seed = (collection, id, data) => {
+    const key = `${collection}/${id}`;
+    mockDocs[key] = {
+      key,
+      data,
+      get: jest.fn(async () => ({
+        exists: mockDocs[key].data !== undefined,
+        data: () => mockDocs[key].data,
+      })),
+      set: jest.fn(),
     };
-    mockCollection = {
-      doc: jest.fn().mockReturnValue(mockDoc),
+    return mockDocs[key];
+  };
+
+  beforeEach(() => {
+    mockDocs = {};
+    mockCollections = {};
+    for (const name of ['processed_messages', 'dead_letter_messages']) {
+      mockCollections[name] = {
+        doc: jest.fn((id) => mockDocs[`${name}/${id}`] ?? seed(name, id)),
+      };
+    }
+    mockTransaction = {
+      get: jest.fn((ref) => ref.get()),
+      set: jest.fn(),
     };
     mockFirestore = {
       collection: jest.fn((name) => {
-        if (name === 'processed_messages') {
-          return mockCollection;
+        if (mockCollections[name]) {
+          return mockCollections[name];
         }
         throw new Error(`Unexpected collection: ${name}`);
       }),
+      runTransaction: jest.fn((fn) => fn(mockTransaction)),
     };
   });
 
-  describe('checkAndMarkMessageProcessed()', () => {
-    it('returns true for new message (success)', async () => {
-      mockDoc.create.mockResolvedValue({ writeTime: Date.now() });
+  const writtenTo = (collection, id) =>
+    mockTransaction.set.mock.calls.find(
+      ([ref]) => ref.key === `${collection}/${id}`
+    )?.[1];
 
-      const result = await checkAndMarkMessageProcessed(
-        mockFirestore,
+  describe('claimMessage()', () => {
+    it('claims a new message as pending with a lease', async () => {
+      const claim = await claimMessage(mockFirestore, 'msg_123', {
+        leaseMs: 60_000,
+      });
+
+      expect(claim).toEqual({ claimed: true, attempts: 1 });
+      expect(mockCollections.processed_messages.doc).toHaveBeenCalledWith(
         'msg_123'
       );
+      const record = writtenTo('processed_messages', 'msg_123');
+      expect(record).toMatchObject({ status: 'pending', attempts: 1 });
+      expect(record.leaseExpiresAt - record.lastAttemptAt).toBe(60_000);
+    });
+
+    it('skips messages that already succeeded', async () => {
+      seed('processed_messages', 'msg_123', {
+        status: 'succeeded',
+        attempts: 1,
+      });
+
+      const claim = await claimMessage(mockFirestore, 'msg_123');
+
+      expect(claim).toEqual({
+        claimed: false,
+        attempts: 1,
+        reason: 'already processed',
+      });
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+
+    it('treats records from before attempts were tracked as processed', async () => {
+      seed('processed_messages', 'msg_123', { timestamp: Date.now() });
 
-      expect(result).toBe(true);
-      expect(mockFirestore.collection).toHaveBeenCalledWith(
-        'processed_messages'
+      const claim = await claimMessage(mockFirestore, 'msg_123');
+
+      expect(claim.claimed).toBe(false);
+    });
+
+    it('skips pending messages whose lease is still held', async () => {
+      seed('processed_messages', 'msg_123', {
+        status: 'pending',
+        attempts: 1,
+        leaseExpiresAt: Date.now() + 60_000,
+      });
+
+      const claim = await claimMessage(mockFirestore, 'msg_123');
+
+      expect(claim).toMatchObject({
+        claimed: false,
+        reason: 'in progress elsewhere',
+        leased: true,
+      });
+    });
+
+    it('reclaims failed messages and counts the attempt', async () => {
+      seed('processed_messages', 'msg_123', {
+        status: 'failed',
+        attempts: 2,
+        firstAttemptAt: 1000,
+        lastError: 'Backend Error',
+      });
+
+      const claim = await claimMessage(mockFirestore, 'msg_123');
+
+      expect(claim).toEqual({ claimed: true, attempts: 3 });
+      expect(writtenTo('processed_messages', 'msg_123')).toMatchObject({
+        status: 'pending',
+        attempts: 3,
+        firstAttemptAt: 1000,
+      });
+    });
+
+    it('dead-letters messages that used up their attempts without finishing', async () => {
+      seed('processed_messages', 'msg_123', {
+        status: 'pending',
+        attempts: 3,
+        leaseExpiresAt: Date.now() - 1,
+      });
+
+      const claim = await claimMessage(mockFirestore, 'msg_123', {
+        maxAttempts: 3,
+      });
+
+      expect(claim).toEqual({
+        claimed: false,
+        attempts: 3,
+        reason: 'dead-lettered',
+      });
+      expect(writtenTo('processed_messages', 'msg_123')).toMatchObject({
+        status: 'failed',
+        deadLetteredAt: expect.any(Number),
+      });
+      expect(writtenTo('dead_letter_messages', 'msg_123')).toMatchObject({
+        messageId: 'msg_123',
+        attempts: 3,
+        error: 'Gave up after 3 attempts without completing',
+      });
+    });
+
+    it('throws error for other failures', async () => {
+      mockFirestore.runTransaction.mockRejectedValue(
+        new Error('Connection failed')
+      );
+
+      await expect(claimMessage(mockFirestore, 'msg_123')).rejects.toThrow(
+        'Connection failed'
       );
-      expect(mockCollection.doc).toHaveBeenCalledWith('msg_123');
-      expect(mockDoc.create).toHaveBeenCalled();
     });
+  });
 
-    it('returns false for duplicate message (already exists)', async () => {
-      const e = new Error('Document already exists');
-      e.code = 6; // ALREADY_EXISTS code
-      mockDoc.create.mockRejectedValue(e);
+  describe('markMessageSucceeded()', () => {
+    it('marks the message as succeeded', async () => {
+      await markMessageSucceeded(mockFirestore, 'msg_123');
 
-      const result = await checkAndMarkMessageProcessed(
-        mockFirestore,
-        'msg_123'
+      expect(mockDocs['processed_messages/msg_123'].set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'succeeded',
+          leaseExpiresAt: null,
+        }),
+        { merge: true }
       );
+    });
+  });
 
-      expect(result).toBe(false);
+  describe('markMessageFailed()', () => {
+    const error = Object.assign(new Error('Backend Error'), {
+      response: { status: 503 },
     });
 
-    it('throws error for other failures', async () => {
-      const e = new Error('Connection failed');
-      mockDoc.create.mockRejectedValue(e);
+    it('leaves retryable failures claimable', async () => {
+      await markMessageFailed(mockFirestore, 'msg_123', error, {
+        attempts: 1,
+        deadLetter: false,
+      });
 
-      await expect(
-        checkAndMarkMessageProcessed(mockFirestore, 'msg_123')
-      ).rejects.toThrow('Connection failed');
+      expect(mockDocs['processed_messages/msg_123'].set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'failed',
+          attempts: 1,
+          lastError: 'Backend Error',
+          lastErrorCode: 503,
+        }),
+        { merge: true }
+      );
+      expect(mockDocs['dead_letter_messages/msg_123']).toBeUndefined();
+    });
+
+    it('parks dead-lettered messages with the error', async () => {
+      await markMessageFailed(mockFirestore, 'msg_123', error, {
+        attempts: 5,
+        deadLetter: true,
+      });
+
+      expect(mockDocs['processed_messages/msg_123'].set).toHaveBeenCalledWith(
+        expect.objectContaining({ deadLetteredAt: expect.any(Number) }),
+        { merge: true }
+      );
+      expect(mockDocs['dead_letter_messages/msg_123'].set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageId: 'msg_123',
+          attempts: 5,
+          error: 'Backend Error',
+          errorCode: 503,
+          stack: expect.any(String),
+        })
+      );
     });
   });
 });
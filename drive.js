@@ -0,0 +1,223 @@
+import { getHttpStatus } from './errors.js';
+import { logger } from './logger.js';
+
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+export const FOLDER_CACHE_COLLECTION = 'drive_folders';
+
+/**
+ * Escapes a value for use inside a single-quoted Drive query literal, e.g.
+ * `name = '${escapeQueryValue(name)}'`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Extra `files.list` parameters for searching My Drive or a shared drive.
+ *
+ * @param {string|null} [driveId] - Shared drive ID, or null for My Drive.
+ * @returns {Object}
+ */
+export function driveListParams(driveId = null) {
+  return driveId
+    ? {
+        corpora: 'drive',
+        driveId,
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+      }
+    : { spaces: 'drive' };
+}
+
+/**
+ * Creates a cache of folder IDs by path, kept in memory and in Firestore so
+ * later runs can skip listing each folder level. Firestore failures are
+ * logged and treated as cache misses; the cache is only an optimization.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} scope - Separates the folders of different Drive accounts and shared drives.
+ * @returns {{get: function(string): Promise<{folderId: string, persisted: boolean}|null>, set: function(string, string): Promise<void>, forget: function(string): Promise<void>}}
+ */
+export function createFolderCache(firestore, scope) {
+  const memory = new Map();
+  const docFor = (path) =>
+    firestore
+      .collection(FOLDER_CACHE_COLLECTION)
+      .doc(encodeURIComponent(`${scope}/${path}`));
+
+  return {
+    async get(path) {
+      if (memory.has(path)) {
+        return { folderId: memory.get(path), persisted: false };
+      }
+      try {
+        const docSnap = await docFor(path).get();
+        if (!docSnap.exists) {
+          return null;
+        }
+        const { folderId } = docSnap.data();
+        memory.set(path, folderId);
+        return { folderId, persisted: true };
+      } catch (error) {
+        logger.warn(
+          `⚠️ Could not read cached folder "${path}": ${error.message}`
+        );
+        return null;
+      }
+    },
+
+    async set(path, folderId) {
+      memory.set(path, folderId);
+      try {
+        await docFor(path).set({
+          scope,
+          path,
+          folderId,
+          updatedAt: new Date(),
+        });
+      } catch (error) {
+        logger.warn(`⚠️ Could not cache folder "${path}": ${error.message}`);
+      }
+    },
+
+    async forget(path) {
+      memory.delete(path);
+      try {
+        await docFor(path).delete();
+      } catch (error) {
+        logger.warn(
+          `⚠️ Could not remove cached folder "${path}": ${error.message}`
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Finds a folder by name. When several folders share the name, the oldest
+ * one wins, so every run picks the same folder.
+ *
+ * @param {Object} drive - The Drive API service instance.
+ * @param {string} name
+ * @param {string|null} parentId - Parent folder ID, or null for the root.
+ * @param {Object} [options]
+ * @param {string|null} [options.driveId] - Shared drive ID, or null for My Drive.
+ * @param {Function} [options.request] - Wraps each API call, e.g. with retries: `(label, fn) => fn()`.
+ * @returns {Promise<string|null>} - The folder ID, or null if there is none.
+ */
+export async function findFolder(
+  drive,
+  name,
+  parentId,
+  { driveId = null, request = (label, fn) => fn() } = {}
+) {
+  const parent = parentId ?? driveId ?? 'root';
+  const res = await request('drive.files.list', () =>
+    drive.files.list({
+      q: `mimeType='${FOLDER_MIME_TYPE}' and name='${escapeQueryValue(name)}' and trashed=false and '${escapeQueryValue(parent)}' in parents`,
+      fields: 'files(id, name, createdTime)',
+      orderBy: 'createdTime',
+      ...driveListParams(driveId),
+    })
+  );
+
+  const [folder, ...duplicates] = res.data.files;
+  if (duplicates.length) {
+    logger.warn(
+      `⚠️ Found ${duplicates.length + 1} folders named "${name}", using the oldest (ID: ${folder.id})`
+    );
+  }
+  return folder?.id ?? null;
+}
+
+/**
+ * Resolves a "/" separated folder path to a folder ID, creating missing
+ * folders when `create` is set. Every level is cached. IDs cached by an
+ * earlier run are checked before use, since the folder may have been
+ * deleted or trashed since.
+ *
+ * @param {Object} drive - The Drive API service instance.
+ * @param {string} folderPath - e.g. "House/National Grid Bills".
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Create missing folders (default: false).
+ * @param {Object} [options.cache] - A cache from `createFolderCache`.
+ * @param {string|null} [options.driveId] - Shared drive ID, or null for My Drive.
+ * @param {Function} [options.request] - Wraps each API call, e.g. with retries.
+ * @returns {Promise<string|null>} - The folder ID, or null if it does not exist and `create` is off.
+ */
+export async function resolveFolderPath(
+  drive,
+  folderPath,
+  {
+    create = false,
+    cache = null,
+    driveId = null,
+    request = (label, fn) => fn(),
+  } = {}
+) {
+  let parentId = null; // root
+  let path = '';
+  for (const name of folderPath.split('/').filter(Boolean)) {
+    path = path ? `${path}/${name}` : name;
+
+    const cached = await cache?.get(path);
+    if (
+      cached &&
+      (!cached.persisted ||
+        (await isLiveFolder(drive, cached.folderId, request)))
+    ) {
+      parentId = cached.folderId;
+      continue;
+    }
+    if (cached) {
+      logger.info(`📁 Cached folder "${path}" is gone, looking it up again`);
+      await cache.forget(path);
+    }
+
+    let folderId = await findFolder(drive, name, parentId, {
+      driveId,
+      request,
+    });
+    if (!folderId) {
+      if (!create) {
+        return null;
+      }
+      // Not retried: a create that timed out may still have succeeded
+      const file = await drive.files.create({
+        resource: {
+          name,
+          mimeType: FOLDER_MIME_TYPE,
+          parents: [parentId ?? driveId ?? 'root'],
+        },
+        fields: 'id',
+        supportsAllDrives: true,
+      });
+      folderId = file.data.id;
+      logger.notice(`[ACTION] 📁 Created folder "${name}" (ID: ${folderId})`);
+    }
+    await cache?.set(path, folderId);
+    parentId = folderId;
+  }
+  return parentId;
+}
+
+async function isLiveFolder(drive, folderId, request) {
+  try {
+    const res = await request('drive.files.get', () =>
+      drive.files.get({
+        fileId: folderId,
+        fields: 'id, trashed',
+        supportsAllDrives: true,
+      })
+    );
+    return !res.data.trashed;
+  } catch (error) {
+    if (getHttpStatus(error) === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,167 @@
+import { jest } from '@jest/globals';
+import {
+  FOLDER_CACHE_COLLECTION,
+  createFolderCache,
+  escapeQueryValue,
+  findFolder,
+  resolveFolderPath,
+} from './drive.js';
+import { createMockFirestore } from './test/mockFirestore.js';
+
+/**
+ * Drive stand-in holding folders as `{ id, name, parent }`.
+ */
+function createMockDrive(folders = []) {
+  let nextId = 1;
+  return {
+    folders,
+    files: {
+      list: jest.fn(async ({ q }) => {
+        const [, name] = q.match(/name='((?:[^'\\]|\\.)*)'/);
+        const [, parent] = q.match(/'([^']*)' in parents/);
+        const unescaped = name.replace(/\\(.)/g, '$1');
+        return {
+          data: {
+            files: folders.filter(
+              (f) => f.name === unescaped && f.parent === parent && !f.trashed
+            ),
+          },
+        };
+      }),
+      create: jest.fn(async ({ resource }) => {
+        const folder = {
+          id: `folder_${nextId++}`,
+          name: resource.name,
+          parent: resource.parents[0],
+        };
+        folders.push(folder);
+        return { data: { id: folder.id } };
+      }),
+      get: jest.fn(async ({ fileId }) => {
+        const folder = folders.find((f) => f.id === fileId);
+        if (!folder) {
+          const error = new Error('File not found');
+          error.code = 404;
+          throw error;
+        }
+        return { data: { id: folder.id, trashed: Boolean(folder.trashed) } };
+      }),
+    },
+  };
+}
+
+describe('escapeQueryValue()', () => {
+  it('escapes quotes and backslashes', () => {
+    expect(escapeQueryValue("Bob's Bills")).toBe("Bob\\'s Bills");
+    expect(escapeQueryValue('a\\b')).toBe('a\\\\b');
+  });
+});
+
+describe('findFolder()', () => {
+  it('finds folders whose names contain apostrophes', async () => {
+    const drive = createMockDrive([
+      { id: 'f1', name: "Bob's Bills", parent: 'root' },
+    ]);
+
+    await expect(findFolder(drive, "Bob's Bills", null)).resolves.toBe('f1');
+  });
+
+  it('picks the oldest of several folders with the same name', async () => {
+    const drive = createMockDrive();
+    drive.files.list.mockResolvedValue({
+      data: { files: [{ id: 'oldest' }, { id: 'newer' }] },
+    });
+
+    await expect(findFolder(drive, 'House', null)).resolves.toBe('oldest');
+    expect(drive.files.list).toHaveBeenCalledWith(
+      expect.objectContaining({ orderBy: 'createdTime' })
+    );
+  });
+
+  it('searches the shared drive when one is given', async () => {
+    const drive = createMockDrive([
+      { id: 'f1', name: 'House', parent: 'shared_1' },
+    ]);
+
+    await expect(
+      findFolder(drive, 'House', null, { driveId: 'shared_1' })
+    ).resolves.toBe('f1');
+    expect(drive.files.list).toHaveBeenCalledWith(
+      expect.objectContaining({
+        corpora: 'drive',
+        driveId: 'shared_1',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      })
+    );
+  });
+});
+
+describe('resolveFolderPath()', () => {
+  it('creates missing folders only when asked to', async () => {
+    const drive = createMockDrive([
+      { id: 'f1', name: 'House', parent: 'root' },
+    ]);
+
+    await expect(resolveFolderPath(drive, 'House/Water')).resolves.toBeNull();
+    expect(drive.files.create).not.toHaveBeenCalled();
+
+    const folderId = await resolveFolderPath(drive, 'House/Water', {
+      create: true,
+    });
+    expect(drive.folders.find((f) => f.id === folderId)).toEqual({
+      id: folderId,
+      name: 'Water',
+      parent: 'f1',
+    });
+  });
+
+  it('reuses cached folder IDs instead of listing each level', async () => {
+    const drive = createMockDrive([
+      { id: 'f1', name: 'House', parent: 'root' },
+      { id: 'f2', name: 'Water', parent: 'f1' },
+    ]);
+    const cache = createFolderCache(createMockFirestore(), 'me');
+
+    await resolveFolderPath(drive, 'House/Water', { cache });
+    drive.files.list.mockClear();
+
+    await expect(
+      resolveFolderPath(drive, 'House/Water', { cache })
+    ).resolves.toBe('f2');
+    expect(drive.files.list).not.toHaveBeenCalled();
+    expect(drive.files.get).not.toHaveBeenCalled();
+  });
+
+  it('checks folder IDs cached by an earlier run and drops stale ones', async () => {
+    const firestore = createMockFirestore();
+    const drive = createMockDrive([
+      { id: 'f1', name: 'House', parent: 'root' },
+      { id: 'f2', name: 'Water', parent: 'f1', trashed: true },
+      { id: 'f3', name: 'Water', parent: 'f1' },
+    ]);
+    await createFolderCache(firestore, 'me').set('House', 'f1');
+    await createFolderCache(firestore, 'me').set('House/Water', 'f2');
+
+    const folderId = await resolveFolderPath(drive, 'House/Water', {
+      cache: createFolderCache(firestore, 'me'),
+    });
+
+    expect(folderId).toBe('f3');
+    expect(drive.files.get).toHaveBeenCalledTimes(2);
+    expect(
+      [...firestore.docs(FOLDER_CACHE_COLLECTION).values()].find(
+        (d) => d.path === 'House/Water'
+      )
+    ).toMatchObject({ folderId: 'f3' });
+  });
+
+  it('keeps the folders of different scopes apart', async () => {
+    const firestore = createMockFirestore();
+    await createFolderCache(firestore, 'alice').set('House', 'f_alice');
+
+    await expect(
+      createFolderCache(firestore, 'bob').get('House')
+    ).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Converts a raw RFC 822 message (e.g. a saved `.eml` file) into the shape
+ * returned by `gmail.users.messages.get` with `format: 'full'`, so it can be
+ * fed through the same handlers as live mail.
+ *
+ * Unlike the Gmail API, attachment bodies are always inlined as `body.data`
+ * rather than referenced by `attachmentId`.
+ *
+ * @param {Buffer|string} raw - The raw message.
+ * @param {Object} [options]
+ * @param {string} [options.id] - Message ID to report (omitted by default, since local messages cannot be modified in Gmail).
+ * @returns {{data: Object}} - A Gmail API style message response.
+ */
+export function parseEml(raw, { id } = {}) {
+  // latin1 maps every byte to one char, so binary parts survive the round trip
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+  const payload = parsePart(source, '');
+
+  return {
+    data: {
+      ...(id && { id }),
+      labelIds: [],
+      snippet: '',
+      payload,
+    },
+  };
+}
+
+/**
+ * Parses a single MIME entity, recursing into multipart bodies.
+ *
+ * @param {string} source - The entity as a latin1 string.
+ * @param {string} partId - Gmail-style part ID ("" for the root, then "0", "0.1", ...).
+ * @returns {Object}
+ */
+function parsePart(source, partId) {
+  const separator = source.match(/\r?\n\r?\n/);
+  const headerBlock = separator ? source.slice(0, separator.index) : source;
+  const bodyBlock = separator
+    ? source.slice(separator.index + separator[0].length)
+    : '';
+
+  const headers = parseHeaders(headerBlock);
+  const header = (name) =>
+    headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value;
+
+  const contentType = parseHeaderParams(header('Content-Type') || 'text/plain');
+  const disposition = parseHeaderParams(header('Content-Disposition') || '');
+  const mimeType = contentType.value.toLowerCase();
+  const filename = disposition.params.filename || contentType.params.name || '';
+
+  if (mimeType.startsWith('multipart/') && contentType.params.boundary) {
+    const parts = splitMultipart(bodyBlock, contentType.params.boundary).map(
+      (part, i) => parsePart(part, partId ? `${partId}.${i}` : String(i))
+    );
+    return {
+      partId,
+      mimeType,
+      filename,
+      headers,
+      body: { size: 0 },
+      parts,
+    };
+  }
+
+  const data = decodeBody(
+    bodyBlock,
+    (header('Content-Transfer-Encoding') || '7bit').toLowerCase()
+  );
+  return {
+    partId,
+    mimeType,
+    filename,
+    headers,
+    body: { size: data.length, data: data.toString('base64url') },
+  };
+}
+
+/**
+ * Splits a header block into unfolded, decoded `{name, value}` pairs.
+ */
+function parseHeaders(block) {
+  const headers = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length) {
+      // Folded continuation of the previous header
+      headers[headers.length - 1].value += ` ${line.trim()}`;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push({
+        name: line.slice(0, colon).trim(),
+        value: line.slice(colon + 1).trim(),
+      });
+    }
+  }
+  return headers.map(({ name, value }) => ({
+    name,
+    value: decodeEncodedWords(value),
+  }));
+}
+
+/**
+ * Parses `value; key=val; key2="val 2"` into its parts.
+ */
+function parseHeaderParams(headerValue) {
+  const [value, ...rest] = headerValue.split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      const key = param.slice(0, eq).trim().toLowerCase();
+      params[key] = param
+        .slice(eq + 1)
+        .trim()
+        .replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return { value: value.trim(), params };
+}
+
+/**
+ * Returns the raw entities between multipart boundaries, dropping the
+ * preamble and epilogue.
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current !== null) {
+        parts.push(current.join('\n'));
+      }
+      if (line.startsWith(`${delimiter}--`)) {
+        return parts;
+      }
+      current = [];
+    } else if (current !== null) {
+      current.push(line);
+    }
+  }
+
+  if (current !== null) {
+    parts.push(current.join('\n'));
+  }
+  return parts;
+}
+
+/**
+ * Reverses the Content-Transfer-Encoding of a body.
+ */
+function decodeBody(body, encoding) {
+  if (encoding === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  }
+  if (encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  return Buffer.from(body, 'latin1');
+}
+
+function decodeQuotedPrintable(text) {
+  const unfolded = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < unfolded.length; i++) {
+    const hex = unfolded.slice(i + 1, i + 3);
+    if (unfolded[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(unfolded.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decodes RFC 2047 encoded words such as `=?UTF-8?B?...?=` in header values.
+ */
+function decodeEncodedWords(value) {
+  // Header bytes were read as latin1; restore any raw UTF-8 first
+  const text = Buffer.from(value, 'latin1').toString('utf8');
+  return text
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, enc, data) => {
+      const bytes =
+        enc.toUpperCase() === 'B'
+          ? Buffer.from(data, 'base64')
+          : decodeQuotedPrintable(data.replace(/_/g, ' '));
+      try {
+        return new TextDecoder(charset).decode(bytes);
+      } catch {
+        return bytes.toString('utf8');
+      }
+    });
+}
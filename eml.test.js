@@ -0,0 +1,90 @@
+import { parseEml } from './eml.js';
+
+const header = (part, name) => part.headers.find((h) => h.name === name)?.value;
+
+describe('parseEml()', () => {
+  it('parses a single-part message into the Gmail payload shape', () => {
+    const raw = [
+      'From: Chase <no.reply.alerts@chase.com>',
+      'Subject: You made a $87.40 transaction with',
+      '  SPI*EVERSOURCE',
+      'Content-Type: text/plain; charset="utf-8"',
+      '',
+      'Your transaction is complete.',
+    ].join('\r\n');
+
+    const message = parseEml(raw);
+
+    expect(message.data.id).toBeUndefined();
+    expect(header(message.data.payload, 'From')).toBe(
+      'Chase <no.reply.alerts@chase.com>'
+    );
+    expect(header(message.data.payload, 'Subject')).toBe(
+      'You made a $87.40 transaction with SPI*EVERSOURCE'
+    );
+    expect(message.data.payload.mimeType).toBe('text/plain');
+    expect(
+      Buffer.from(message.data.payload.body.data, 'base64').toString('utf8')
+    ).toBe('Your transaction is complete.');
+  });
+
+  it('decodes multipart bodies, transfer encodings and encoded words', () => {
+    const pdf = Buffer.from('%PDF-1.4 fake sunrun bill');
+    const raw = Buffer.from(
+      [
+        'From: billing@sunrun.com',
+        'Subject: =?UTF-8?B?WW91ciBTdW5ydW4gQmlsbCDimIA=?=',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="outer"',
+        '',
+        'This is a multi-part message in MIME format.',
+        '--outer',
+        'Content-Type: multipart/alternative; boundary=inner',
+        '',
+        '--inner',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Amount due: =2412.34 =E2=80=94 thanks for going sol=',
+        'ar',
+        '--inner',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<p>Amount due</p>',
+        '--inner--',
+        '--outer',
+        'Content-Type: application/pdf; name="bill.pdf"',
+        'Content-Disposition: attachment; filename="Sunrun Bill.pdf"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        pdf.toString('base64'),
+        '--outer--',
+        '',
+      ].join('\r\n')
+    );
+
+    const { payload } = parseEml(raw, { id: 'local_1' }).data;
+
+    expect(header(payload, 'Subject')).toBe('Your Sunrun Bill ☀');
+    expect(payload.mimeType).toBe('multipart/mixed');
+    expect(payload.parts).toHaveLength(2);
+
+    const [alternative, attachment] = payload.parts;
+    expect(alternative.partId).toBe('0');
+    expect(alternative.parts.map((p) => p.partId)).toEqual(['0.0', '0.1']);
+    expect(
+      Buffer.from(alternative.parts[0].body.data, 'base64').toString('utf8')
+    ).toBe('Amount due: $12.34 — thanks for going solar');
+
+    expect(attachment.mimeType).toBe('application/pdf');
+    expect(attachment.filename).toBe('Sunrun Bill.pdf');
+    expect(attachment.body.size).toBe(pdf.length);
+    expect(Buffer.from(attachment.body.data, 'base64')).toEqual(pdf);
+  });
+
+  it('reports the given message ID', () => {
+    expect(parseEml('Subject: hi\r\n\r\nbody', { id: 'abc' }).data.id).toBe(
+      'abc'
+    );
+  });
+});
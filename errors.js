@@ -0,0 +1,92 @@
+/**
+ * Thrown for a message that another invocation has claimed and not finished
+ * yet. It is transient, so the Pub/Sub notification is redelivered and the
+ * message looked at again once the claim is settled or its lease expires.
+ */
+export class MessageInProgressError extends Error {
+  /**
+   * @param {string} messageId - The Gmail message ID.
+   */
+  constructor(messageId) {
+    super(`Message ${messageId} is being processed by another invocation`);
+    this.name = 'MessageInProgressError';
+    this.messageId = messageId;
+  }
+}
+
+// Node socket errors worth retrying
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// gRPC status codes returned by Firestore: DEADLINE_EXCEEDED,
+// RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const TRANSIENT_GRPC_CODES = new Set([4, 8, 10, 13, 14]);
+
+// Google APIs report per-user quota errors as 403s with these reasons
+const RATE_LIMIT_REASONS = new Set([
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+]);
+
+/**
+ * Returns the HTTP status of a Google API (gaxios) or fetch-style error.
+ *
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+export function getHttpStatus(error) {
+  const status = error?.response?.status ?? error?.status;
+  if (typeof status === 'number') {
+    return status;
+  }
+  // gaxios also exposes the HTTP status as a numeric `code`
+  return typeof error?.code === 'number' && error.code >= 100
+    ? error.code
+    : undefined;
+}
+
+/**
+ * Whether an error is likely to go away if the same work is retried later:
+ * server errors (5xx), rate limiting (429 or quota 403s), network failures
+ * and the retryable Firestore gRPC codes.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  if (error instanceof MessageInProgressError) {
+    return true;
+  }
+
+  const status = getHttpStatus(error);
+  if (status !== undefined) {
+    if (status === 429 || status >= 500) {
+      return true;
+    }
+    const reasons = (error.errors ?? []).map((e) => e.reason);
+    return status === 403 && reasons.some((r) => RATE_LIMIT_REASONS.has(r));
+  }
+
+  if (TRANSIENT_GRPC_CODES.has(error.code)) {
+    return true;
+  }
+  if (TRANSIENT_NETWORK_CODES.has(error.code ?? error.cause?.code)) {
+    return true;
+  }
+  // fetch() wraps socket failures in a bare TypeError
+  return error.name === 'TypeError' && error.message === 'fetch failed';
+}
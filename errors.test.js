@@ -0,0 +1,62 @@
+import {
+  MessageInProgressError,
+  getHttpStatus,
+  isTransientError,
+} from './errors.js';
+
+const withProps = (message, props) => Object.assign(new Error(message), props);
+
+describe('isTransientError()', () => {
+  it.each([
+    [
+      'a 5xx response',
+      withProps('Backend Error', { response: { status: 503 } }),
+    ],
+    ['a 429 response', withProps('Too Many Requests', { code: 429 })],
+    [
+      'a quota 403',
+      withProps('User Rate Limit Exceeded', {
+        code: 403,
+        errors: [{ reason: 'userRateLimitExceeded' }],
+      }),
+    ],
+    ['a reset socket', withProps('socket hang up', { code: 'ECONNRESET' })],
+    [
+      'a wrapped fetch failure',
+      withProps('fetch failed', {
+        name: 'TypeError',
+        cause: { code: 'ETIMEDOUT' },
+      }),
+    ],
+    ['Firestore UNAVAILABLE', withProps('14 UNAVAILABLE', { code: 14 })],
+    ['a message claimed elsewhere', new MessageInProgressError('msg_123')],
+  ])('treats %s as transient', (_, error) => {
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  it.each([
+    ['a 400 response', withProps('Bad Request', { response: { status: 400 } })],
+    ['a 404 response', withProps('Not Found', { code: 404 })],
+    [
+      'a permission 403',
+      withProps('Forbidden', {
+        code: 403,
+        errors: [{ reason: 'insufficientPermissions' }],
+      }),
+    ],
+    ['Firestore ALREADY_EXISTS', withProps('6 ALREADY_EXISTS', { code: 6 })],
+    ['a plain error', new Error('Unexpected token')],
+    ['nothing', undefined],
+  ])('treats %s as permanent', (_, error) => {
+    expect(isTransientError(error)).toBe(false);
+  });
+});
+
+describe('getHttpStatus()', () => {
+  it('reads the status from the response, then from a numeric code', () => {
+    expect(getHttpStatus({ response: { status: 502 }, code: 'x' })).toBe(502);
+    expect(getHttpStatus({ code: 404 })).toBe(404);
+    expect(getHttpStatus({ code: 14 })).toBeUndefined();
+    expect(getHttpStatus({ code: 'ECONNRESET' })).toBeUndefined();
+  });
+});
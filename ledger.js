@@ -0,0 +1,162 @@
+import { logger } from './logger.js';
+
+export const LEDGER_COLLECTION = 'bill_ledger';
+
+export const REPORT_PERIODS = ['month', 'year'];
+
+/**
+ * Records a recognized bill or payment in the ledger. Entries are keyed by
+ * Gmail message ID, so reprocessing an email replaces its entry instead of
+ * counting it twice. Payment confirmations that do not state an amount are
+ * recorded too, with a null amount.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} entry
+ * @param {string} entry.messageId - The Gmail message ID.
+ * @param {string} entry.provider - Who was paid or billed.
+ * @param {string} [entry.rule] - Name of the matched rule.
+ * @param {number|null} entry.amount - Amount in dollars, or null when the email does not say.
+ * @param {string} entry.date - Statement date for bills, email date for payments (YYYY-MM-DD).
+ * @param {string} entry.kind - "bill" or "payment".
+ * @param {string|null} [entry.driveFileId] - The archived bill in Drive.
+ * @returns {Promise<void>}
+ */
+export async function recordLedgerEntry(
+  firestore,
+  { messageId, provider, rule = null, amount, date, kind, driveFileId = null }
+) {
+  await firestore.collection(LEDGER_COLLECTION).doc(messageId).set({
+    messageId,
+    provider,
+    rule,
+    amount,
+    date,
+    kind,
+    driveFileId,
+    recordedAt: new Date(),
+  });
+  logger.debug(
+    `📒 Recorded ${kind}${amount === null ? '' : ` of $${amount}`} from ${provider} on ${date} in the ledger`
+  );
+}
+
+/**
+ * Lists ledger entries, oldest first, optionally within a date range.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Inclusive lower bound on `date` (YYYY-MM-DD).
+ * @param {string} [filters.to] - Inclusive upper bound on `date` (YYYY-MM-DD).
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLedgerEntries(firestore, { from, to } = {}) {
+  let query = firestore.collection(LEDGER_COLLECTION);
+  if (from) {
+    query = query.where('date', '>=', from);
+  }
+  if (to) {
+    query = query.where('date', '<=', to);
+  }
+
+  const snapshot = await query.orderBy('date').get();
+  return snapshot.docs.map((doc) => doc.data());
+}
+
+/**
+ * Lists a provider's most recent amounts, newest first, leaving out entries
+ * without an amount. Pages through older entries until `limit` amounts are
+ * found, since payment confirmations without an amount can share the
+ * provider. Requires a Firestore composite index on (provider, date).
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} provider
+ * @param {Object} [options]
+ * @param {number} [options.limit] - How many amounts to return (default: 12).
+ * @param {string} [options.excludeMessageId] - Leave out the entry of this email, e.g. the one being checked.
+ * @returns {Promise<Array<number>>}
+ */
+export async function listProviderAmounts(
+  firestore,
+  provider,
+  { limit = 12, excludeMessageId } = {}
+) {
+  const query = firestore
+    .collection(LEDGER_COLLECTION)
+    .where('provider', '==', provider)
+    .orderBy('date', 'desc')
+    .limit(limit);
+
+  const amounts = [];
+  let last = null;
+  while (amounts.length < limit) {
+    const snapshot = await (last ? query.startAfter(last) : query).get();
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+      if (entry.messageId !== excludeMessageId && entry.amount !== null) {
+        amounts.push(entry.amount);
+      }
+    }
+    if (snapshot.docs.length < limit) {
+      break;
+    }
+    last = snapshot.docs.at(-1);
+  }
+  return amounts.slice(0, limit);
+}
+
+/**
+ * Totals ledger entries per provider for each month or year. Entries without
+ * an amount are left out.
+ *
+ * @param {Array<Object>} entries - From `listLedgerEntries`.
+ * @param {Object} [options]
+ * @param {string} [options.period] - "month" (default) or "year".
+ * @returns {Array<{period: string, provider: string, total: number, count: number}>} - Sorted by period, then provider.
+ */
+export function summarizeLedger(entries, { period = 'month' } = {}) {
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new Error(`❌ Unknown report period "${period}"`);
+  }
+
+  const rows = new Map();
+  for (const { date, provider, amount } of entries) {
+    if (amount === null || amount === undefined) {
+      continue;
+    }
+    const key = date.slice(0, period === 'year' ? 4 : 7);
+    const id = `${key}\u0000${provider}`;
+    const row = rows.get(id) ?? { period: key, provider, total: 0, count: 0 };
+    row.total += amount;
+    row.count++;
+    rows.set(id, row);
+  }
+
+  return [...rows.values()]
+    .map((row) => ({ ...row, total: Math.round(row.total * 100) / 100 }))
+    .sort(
+      (a, b) =>
+        a.period.localeCompare(b.period) || a.provider.localeCompare(b.provider)
+    );
+}
+
+/**
+ * Formats report rows as CSV with a header line.
+ *
+ * @param {Array<Object>} rows - From `summarizeLedger`.
+ * @returns {string}
+ */
+export function ledgerToCsv(rows) {
+  const columns = ['period', 'provider', 'total', 'count'];
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(','),
+    ...rows.map((row) =>
+      columns
+        .map((c) => escape(c === 'total' ? row.total.toFixed(2) : row[c]))
+        .join(',')
+    ),
+  ].join('\n');
+}
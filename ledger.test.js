@@ -0,0 +1,141 @@
+import {
+  ledgerToCsv,
+  listLedgerEntries,
+  listProviderAmounts,
+  recordLedgerEntry,
+  summarizeLedger,
+} from './ledger.js';
+import { createMockFirestore } from './test/mockFirestore.js';
+
+const entries = [
+  { provider: 'Eversource', amount: 87.4, date: '2024-12-20' },
+  { provider: 'National Grid', amount: 120.1, date: '2025-01-05' },
+  { provider: 'Eversource', amount: 95.35, date: '2025-01-22' },
+  { provider: 'Eversource', amount: 0.1, date: '2025-01-30' },
+  { provider: 'National Grid', amount: 110, date: '2025-02-04' },
+];
+
+describe('recordLedgerEntry() / listLedgerEntries()', () => {
+  it('keeps one entry per message and filters by date', async () => {
+    const firestore = createMockFirestore();
+    const entry = {
+      messageId: 'msg_1',
+      provider: 'Eversource',
+      amount: 87.4,
+      date: '2025-01-22',
+      kind: 'payment',
+    };
+    await recordLedgerEntry(firestore, entry);
+    await recordLedgerEntry(firestore, { ...entry, amount: 90 });
+    await recordLedgerEntry(firestore, {
+      ...entry,
+      messageId: 'msg_2',
+      date: '2025-03-01',
+    });
+
+    const listed = await listLedgerEntries(firestore, {
+      from: '2025-01-01',
+      to: '2025-02-28',
+    });
+
+    expect(listed).toEqual([
+      expect.objectContaining({
+        messageId: 'msg_1',
+        amount: 90,
+        rule: null,
+        driveFileId: null,
+      }),
+    ]);
+  });
+});
+
+describe('listProviderAmounts()', () => {
+  it("returns a provider's latest amounts without the excluded email", async () => {
+    const firestore = createMockFirestore();
+    for (const [i, entry] of entries.entries()) {
+      await recordLedgerEntry(firestore, {
+        ...entry,
+        messageId: `msg_${i}`,
+        kind: 'payment',
+      });
+    }
+
+    await expect(
+      listProviderAmounts(firestore, 'Eversource', {
+        limit: 2,
+        excludeMessageId: 'msg_3',
+      })
+    ).resolves.toEqual([95.35, 87.4]);
+  });
+
+  it('looks past payments without an amount', async () => {
+    const firestore = createMockFirestore();
+    await recordLedgerEntry(firestore, {
+      messageId: 'msg_bill',
+      provider: 'Sunrun',
+      amount: 93.08,
+      date: '2025-01-14',
+      kind: 'bill',
+    });
+    for (const day of [20, 21, 22]) {
+      await recordLedgerEntry(firestore, {
+        messageId: `msg_payment_${day}`,
+        provider: 'Sunrun',
+        amount: null,
+        date: `2025-01-${day}`,
+        kind: 'payment',
+      });
+    }
+
+    await expect(
+      listProviderAmounts(firestore, 'Sunrun', { limit: 2 })
+    ).resolves.toEqual([93.08]);
+  });
+});
+
+describe('summarizeLedger()', () => {
+  it('totals each provider per month', () => {
+    expect(summarizeLedger(entries)).toEqual([
+      { period: '2024-12', provider: 'Eversource', total: 87.4, count: 1 },
+      { period: '2025-01', provider: 'Eversource', total: 95.45, count: 2 },
+      { period: '2025-01', provider: 'National Grid', total: 120.1, count: 1 },
+      { period: '2025-02', provider: 'National Grid', total: 110, count: 1 },
+    ]);
+  });
+
+  it('totals each provider per year', () => {
+    expect(summarizeLedger(entries, { period: 'year' })).toEqual([
+      { period: '2024', provider: 'Eversource', total: 87.4, count: 1 },
+      { period: '2025', provider: 'Eversource', total: 95.45, count: 2 },
+      { period: '2025', provider: 'National Grid', total: 230.1, count: 2 },
+    ]);
+  });
+
+  it('leaves out entries without an amount', () => {
+    expect(
+      summarizeLedger([
+        { date: '2025-01-03', provider: 'Amex', amount: null },
+        { date: '2025-01-10', provider: 'Amex', amount: 50 },
+      ])
+    ).toEqual([{ period: '2025-01', provider: 'Amex', total: 50, count: 1 }]);
+  });
+
+  it('rejects unknown periods', () => {
+    expect(() => summarizeLedger(entries, { period: 'week' })).toThrow(
+      'Unknown report period "week"'
+    );
+  });
+});
+
+describe('ledgerToCsv()', () => {
+  it('writes a header and quotes values that need it', () => {
+    expect(
+      ledgerToCsv([
+        { period: '2025-01', provider: 'AT&T', total: 80, count: 1 },
+        { period: '2025-01', provider: 'Smith, Jones', total: 12.5, count: 2 },
+      ])
+    ).toBe(
+      'period,provider,total,count\n2025-01,AT&T,80.00,1\n2025-01,"Smith, Jones",12.50,2'
+    );
+  });
+});
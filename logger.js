@@ -0,0 +1,137 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Cloud Logging severities, in increasing order
+const SEVERITIES = ['DEBUG', 'INFO', 'NOTICE', 'WARNING', 'ERROR'];
+
+const contextStorage = new AsyncLocalStorage();
+
+let defaultWriter = writeToConsole;
+
+/**
+ * Runs `fn` with extra correlation fields attached to every log line it
+ * produces, including lines from anything it awaits. Nested calls inherit
+ * (and may override) the outer fields.
+ *
+ * @param {Object} fields - e.g. `{ pubsubMessageId }` or `{ gmailMessageId }`.
+ * @param {Function} fn
+ * @returns {*} - Whatever `fn` returns.
+ */
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Adds correlation fields to the current context, e.g. once the Gmail
+ * history ID has been decoded from the Pub/Sub payload. No-op outside of
+ * `withLogContext`.
+ *
+ * @param {Object} fields
+ */
+export function addLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Creates a logger that writes Cloud Logging structured JSON (one object per
+ * line with `severity` and `message`) or, for local development, readable
+ * single-line output.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.format] - "json" or "pretty" (default: LOG_FORMAT, else "json" on Cloud Run and "pretty" locally).
+ * @param {string} [options.level] - Minimum severity to emit (default: LOG_LEVEL, else "info").
+ * @param {Function} [options.write] - Receives each formatted line and its severity (default: console, or what `setDefaultLogWriter` set).
+ * @returns {{debug: Function, info: Function, notice: Function, warn: Function, error: Function}}
+ */
+export function createLogger({
+  format = process.env.LOG_FORMAT ||
+    (process.env.K_SERVICE ? 'json' : 'pretty'),
+  level = process.env.LOG_LEVEL || 'info',
+  write = (line, severity) => defaultWriter(line, severity),
+} = {}) {
+  const minIndex = Math.max(0, severityIndex(level));
+
+  const log = (severity, message, fields = {}) => {
+    if (SEVERITIES.indexOf(severity) < minIndex) {
+      return;
+    }
+
+    const { error, ...rest } = fields;
+    const entry = {
+      severity,
+      message,
+      ...contextStorage.getStore(),
+      ...rest,
+      ...(error && { error: error.message, stack_trace: error.stack }),
+    };
+
+    write(
+      format === 'json' ? JSON.stringify(entry) : formatPretty(entry),
+      severity
+    );
+  };
+
+  return {
+    debug: (message, fields) => log('DEBUG', message, fields),
+    info: (message, fields) => log('INFO', message, fields),
+    notice: (message, fields) => log('NOTICE', message, fields),
+    warn: (message, fields) => log('WARNING', message, fields),
+    error: (message, fields) => log('ERROR', message, fields),
+  };
+}
+
+function severityIndex(level) {
+  const upper = level.toUpperCase();
+  return SEVERITIES.indexOf(upper === 'WARN' ? 'WARNING' : upper);
+}
+
+function formatPretty({ severity, message, stack_trace, ...fields }) {
+  const details = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(
+      ([key, value]) =>
+        `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`
+    )
+    .join(' ');
+  return [
+    `${severity.padEnd(7)} ${message}${details ? `  (${details})` : ''}`,
+    ...(stack_trace && severity === 'ERROR' ? [stack_trace] : []),
+  ].join('\n');
+}
+
+/**
+ * Replaces where loggers created without a `write` option send their lines,
+ * including the shared `logger`. CLIs whose stdout carries a result pass
+ * `writeToStderr`.
+ *
+ * @param {Function} write - Receives each formatted line and its severity.
+ * @returns {Function} - The previous writer, to restore later.
+ */
+export function setDefaultLogWriter(write) {
+  const previous = defaultWriter;
+  defaultWriter = write;
+  return previous;
+}
+
+/**
+ * Sends every line to stderr, whatever its severity.
+ *
+ * @param {string} line
+ */
+export function writeToStderr(line) {
+  console.error(line);
+}
+
+function writeToConsole(line, severity) {
+  if (severity === 'ERROR') {
+    console.error(line);
+  } else if (severity === 'WARNING') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export const logger = createLogger();
@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import {
+  addLogContext,
+  createLogger,
+  setDefaultLogWriter,
+  withLogContext,
+  writeToStderr,
+} from './logger.js';
+
+describe('Logger', () => {
+  let lines;
+  let write;
+
+  beforeEach(() => {
+    lines = [];
+    write = jest.fn((line, severity) => lines.push({ line, severity }));
+  });
+
+  describe('json format', () => {
+    it('emits Cloud Logging structured entries', () => {
+      const logger = createLogger({ format: 'json', write });
+
+      logger.info('📬 Gmail History fetched', { items: 3 });
+
+      expect(JSON.parse(lines[0].line)).toEqual({
+        severity: 'INFO',
+        message: '📬 Gmail History fetched',
+        items: 3,
+      });
+    });
+
+    it('maps warn and error to Cloud Logging severities', () => {
+      const logger = createLogger({ format: 'json', write });
+
+      logger.warn('careful');
+      logger.error('broken', { error: new Error('boom') });
+
+      expect(lines.map(({ severity }) => severity)).toEqual([
+        'WARNING',
+        'ERROR',
+      ]);
+      const entry = JSON.parse(lines[1].line);
+      expect(entry.error).toBe('boom');
+      expect(entry.stack_trace).toContain('Error: boom');
+    });
+
+    it('attaches correlation fields from the surrounding context', async () => {
+      const logger = createLogger({ format: 'json', write });
+
+      await withLogContext({ pubsubMessageId: 'ps_1' }, async () => {
+        addLogContext({ gmailHistoryId: '123' });
+        logger.info('event');
+        await withLogContext({ gmailMessageId: 'msg_1' }, async () => {
+          await Promise.resolve();
+          logger.notice('message');
+        });
+        logger.info('after message');
+      });
+      logger.info('outside');
+
+      expect(lines.map(({ line }) => JSON.parse(line))).toEqual([
+        {
+          severity: 'INFO',
+          message: 'event',
+          pubsubMessageId: 'ps_1',
+          gmailHistoryId: '123',
+        },
+        {
+          severity: 'NOTICE',
+          message: 'message',
+          pubsubMessageId: 'ps_1',
+          gmailHistoryId: '123',
+          gmailMessageId: 'msg_1',
+        },
+        {
+          severity: 'INFO',
+          message: 'after message',
+          pubsubMessageId: 'ps_1',
+          gmailHistoryId: '123',
+        },
+        { severity: 'INFO', message: 'outside' },
+      ]);
+    });
+
+    it('keeps concurrent contexts separate', async () => {
+      const logger = createLogger({ format: 'json', write });
+      const handle = (id, delay) =>
+        withLogContext({ pubsubMessageId: id }, async () => {
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          logger.info(`done ${id}`);
+        });
+
+      await Promise.all([handle('a', 10), handle('b', 0)]);
+
+      expect(
+        lines.map(({ line }) => {
+          const { message, pubsubMessageId } = JSON.parse(line);
+          return [message, pubsubMessageId];
+        })
+      ).toEqual([
+        ['done b', 'b'],
+        ['done a', 'a'],
+      ]);
+    });
+  });
+
+  describe('pretty format', () => {
+    it('prints severity, message and context on one line', () => {
+      const logger = createLogger({ format: 'pretty', write });
+
+      withLogContext({ gmailMessageId: 'msg_1' }, () =>
+        logger.warn('⚠️ No message data found.')
+      );
+
+      expect(lines[0].line).toBe(
+        'WARNING ⚠️ No message data found.  (gmailMessageId=msg_1)'
+      );
+    });
+  });
+
+  it('drops entries below the configured level', () => {
+    const logger = createLogger({ format: 'json', level: 'warn', write });
+
+    logger.debug('noise');
+    logger.info('chatter');
+    logger.warn('signal');
+
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0].line).message).toBe('signal');
+  });
+
+  it('sends loggers without a writer to the default one, e.g. stderr', () => {
+    const logger = createLogger({ format: 'pretty' });
+    const stderr = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const stdout = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const previous = setDefaultLogWriter(writeToStderr);
+    try {
+      logger.info('📂 Loading message');
+
+      expect(stderr).toHaveBeenCalledWith('INFO    📂 Loading message');
+      expect(stdout).not.toHaveBeenCalled();
+    } finally {
+      setDefaultLogWriter(previous);
+      stderr.mockRestore();
+      stdout.mockRestore();
+    }
+  });
+});
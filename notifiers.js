@@ -0,0 +1,149 @@
+import { sendGmailAlert } from './alerts.js';
+import { logger } from './logger.js';
+
+export const NOTIFIER_TYPES = ['gmail', 'webhook'];
+
+export const DEFAULT_NOTIFIERS = ['gmail'];
+
+const LEVEL_EMOJI = { error: '🚨', warning: '⚠️', info: '✅' };
+
+// Discord rejects messages with more than 2000 characters of content
+const WEBHOOK_MAX_LENGTH = 2000;
+
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Reads a comma-separated list of notifier types, e.g. "gmail,webhook".
+ * "none" turns notifications off.
+ *
+ * @param {string} [value]
+ * @returns {Array<string>} - Defaults to `DEFAULT_NOTIFIERS` when empty.
+ * @throws {Error} On an unknown notifier type.
+ */
+export function parseNotifierTypes(value) {
+  const types = String(value ?? '')
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter(Boolean);
+  if (!types.length) {
+    return [...DEFAULT_NOTIFIERS];
+  }
+  if (types.includes('none')) {
+    return [];
+  }
+
+  const unknown = types.filter((t) => !NOTIFIER_TYPES.includes(t));
+  if (unknown.length) {
+    throw new Error(
+      `❌ Unknown notifier type(s) "${unknown.join(', ')}". Expected: ${NOTIFIER_TYPES.join(', ')}.`
+    );
+  }
+  return types;
+}
+
+/**
+ * Creates a notifier that files each notification in the mailbox's own
+ * inbox (see `sendGmailAlert`).
+ *
+ * @param {Object} gmail - The Gmail API service instance.
+ * @param {Object} options
+ * @param {string|Function} options.to - The mailbox's address, or an async function returning it.
+ * @param {string} [options.labelName] - Label to file notifications under (default: "Bill Alerts").
+ * @param {Function} [options.request] - Wraps each idempotent API call, e.g. with retries: `(label, fn) => fn()`.
+ * @returns {{type: string, notify: Function}} - `notify` resolves to the Gmail message ID.
+ */
+export function createGmailNotifier(gmail, { to, labelName, request }) {
+  return {
+    type: 'gmail',
+    async notify(notification) {
+      return sendGmailAlert(gmail, {
+        to: typeof to === 'function' ? await to() : to,
+        subject: `${LEVEL_EMOJI[notification.level]} ${notification.title}`,
+        text: [notification.text, notification.link]
+          .filter(Boolean)
+          .join('\n\n'),
+        labelName,
+        request,
+      });
+    },
+  };
+}
+
+/**
+ * Creates a notifier that posts each notification as JSON to a webhook.
+ * The message goes in both `text` (Slack) and `content` (Discord), so the
+ * same payload works for either.
+ *
+ * @param {string} url - The incoming webhook URL. It is a secret, so it is never logged.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Give up on a request after this long (default: 10 seconds).
+ * @param {Function} [options.fetch] - The fetch implementation (default: global `fetch`).
+ * @returns {{type: string, notify: Function}} - `notify` resolves to null.
+ */
+export function createWebhookNotifier(
+  url,
+  { timeoutMs = DEFAULT_WEBHOOK_TIMEOUT_MS, fetch: fetchFn = fetch } = {}
+) {
+  return {
+    type: 'webhook',
+    async notify(notification) {
+      const message = formatNotification(notification);
+      const text =
+        message.length > WEBHOOK_MAX_LENGTH
+          ? `${message.slice(0, WEBHOOK_MAX_LENGTH - 1)}…`
+          : message;
+
+      // Not retried: a timed-out post may still have been delivered
+      const response = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, content: text }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        throw new Error(`❌ Webhook responded with ${response.status}`);
+      }
+      logger.notice(
+        `[ACTION] 📣 Posted "${notification.title}" to the notification webhook`
+      );
+      return null;
+    },
+  };
+}
+
+/**
+ * Combines notifiers into one that sends every notification through each
+ * of them. A notifier that fails is logged and does not stop the others, so
+ * notifying never throws.
+ *
+ * Notifications are `{ level, title, text, link }`, where `level` is
+ * "error", "warning" or "info" and `link` is optional.
+ *
+ * @param {Array<Object>} notifiers - From `createGmailNotifier` or `createWebhookNotifier`.
+ * @returns {{types: Array<string>, notify: Function}} - `notify` resolves to what each notifier that succeeded returned, keyed by type.
+ */
+export function combineNotifiers(notifiers) {
+  return {
+    types: notifiers.map((n) => n.type),
+    async notify(notification) {
+      const delivered = {};
+      for (const notifier of notifiers) {
+        try {
+          delivered[notifier.type] = await notifier.notify(notification);
+        } catch (error) {
+          logger.error(
+            `❌ Failed to send ${notifier.type} notification "${notification.title}": ${error.message}`,
+            { error }
+          );
+        }
+      }
+      return delivered;
+    },
+  };
+}
+
+function formatNotification({ level, title, text, link }) {
+  return [`${LEVEL_EMOJI[level]} ${title}`, text, link]
+    .filter(Boolean)
+    .join('\n');
+}
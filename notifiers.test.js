@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import {
+  combineNotifiers,
+  createGmailNotifier,
+  createWebhookNotifier,
+  parseNotifierTypes,
+} from './notifiers.js';
+
+const notification = {
+  level: 'error',
+  title: 'National Grid login failed',
+  text: 'Invalid password.',
+  link: 'https://example.com/details',
+};
+
+/**
+ * Local webhook stand-in that records each request body and answers with
+ * `status`.
+ */
+async function startWebhookStub() {
+  const stub = { status: 200, requests: [] };
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      stub.requests.push({
+        method: req.method,
+        contentType: req.headers['content-type'],
+        body: JSON.parse(body),
+      });
+      res.writeHead(stub.status).end();
+    });
+  });
+  await new Promise((resolve) => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${stub.server.address().port}/hook`;
+  return stub;
+}
+
+describe('parseNotifierTypes()', () => {
+  it('defaults to Gmail and accepts a list', () => {
+    expect(parseNotifierTypes(undefined)).toEqual(['gmail']);
+    expect(parseNotifierTypes(' Gmail, webhook ')).toEqual([
+      'gmail',
+      'webhook',
+    ]);
+    expect(parseNotifierTypes('none')).toEqual([]);
+  });
+
+  it('rejects unknown notifiers', () => {
+    expect(() => parseNotifierTypes('gmail,pager')).toThrow('"pager"');
+  });
+});
+
+describe('createGmailNotifier()', () => {
+  it('files the notification with a level emoji and the link', async () => {
+    const gmail = {
+      users: {
+        labels: {
+          list: jest.fn().mockResolvedValue({
+            data: { labels: [{ id: 'Label_1', name: 'Bill Alerts' }] },
+          }),
+        },
+        messages: {
+          insert: jest.fn().mockResolvedValue({ data: { id: 'alert_1' } }),
+        },
+      },
+    };
+    const notifier = createGmailNotifier(gmail, {
+      to: async () => 'me@example.com',
+    });
+
+    await expect(notifier.notify(notification)).resolves.toBe('alert_1');
+
+    const { raw } = gmail.users.messages.insert.mock.calls[0][0].requestBody;
+    const email = Buffer.from(raw, 'base64url').toString('utf8');
+    expect(email).toContain('To: me@example.com\r\n');
+    const subject = email.match(/Subject: (.*)\r\n/)[1];
+    expect(subject).toBe(
+      `=?UTF-8?B?${Buffer.from('🚨 National Grid login failed').toString('base64')}?=`
+    );
+    expect(email).toContain(
+      Buffer.from('Invalid password.\n\nhttps://example.com/details').toString(
+        'base64'
+      )
+    );
+  });
+});
+
+describe('createWebhookNotifier()', () => {
+  let stub;
+
+  beforeEach(async () => {
+    stub = await startWebhookStub();
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => stub.server.close(resolve));
+  });
+
+  it('posts Slack and Discord compatible JSON', async () => {
+    await createWebhookNotifier(stub.url).notify(notification);
+
+    const text =
+      '🚨 National Grid login failed\nInvalid password.\nhttps://example.com/details';
+    expect(stub.requests).toEqual([
+      {
+        method: 'POST',
+        contentType: 'application/json',
+        body: { text, content: text },
+      },
+    ]);
+  });
+
+  it('shortens messages to what Discord accepts', async () => {
+    await createWebhookNotifier(stub.url).notify({
+      ...notification,
+      text: 'x'.repeat(3000),
+    });
+
+    expect(stub.requests[0].body.content).toHaveLength(2000);
+  });
+
+  it('fails when the webhook rejects the message', async () => {
+    stub.status = 404;
+
+    await expect(
+      createWebhookNotifier(stub.url).notify(notification)
+    ).rejects.toThrow('Webhook responded with 404');
+  });
+});
+
+describe('combineNotifiers()', () => {
+  it('keeps notifying after one notifier fails', async () => {
+    const failing = {
+      type: 'gmail',
+      notify: jest.fn().mockRejectedValue(new Error('Quota exceeded')),
+    };
+    const working = {
+      type: 'webhook',
+      notify: jest.fn().mockResolvedValue(null),
+    };
+    const notifier = combineNotifiers([failing, working]);
+
+    await expect(notifier.notify(notification)).resolves.toEqual({
+      webhook: null,
+    });
+    expect(working.notify).toHaveBeenCalledWith(notification);
+    expect(notifier.types).toEqual(['gmail', 'webhook']);
+  });
+});
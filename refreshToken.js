@@ -36,6 +36,7 @@ const url = oauth2Client.generateAuthUrl({
     'https://www.googleapis.com/auth/gmail.modify',
     'https://www.googleapis.com/auth/calendar',
     'https://www.googleapis.com/auth/drive',
+    'https://www.googleapis.com/auth/spreadsheets',
   ],
 });
 console.log('Authorize this app by visiting:', url);
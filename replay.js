@@ -0,0 +1,129 @@
+/**
+ * Replays a single email through the transaction rules.
+ *
+ * Usage:
+ *   node replay.js <gmailMessageId | path/to/message.eml> [--dry-run] [--json] [--mailbox <email>]
+ *
+ * --dry-run  Report the actions that would fire without touching Calendar, Drive or Gmail.
+ * --json     Print the full result as JSON instead of a summary.
+ * --mailbox  Which MAILBOXES entry to use; required when MAILBOXES is set.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import { TransactionAutomationService } from './TransactionAutomationService.js';
+import { parseEml } from './eml.js';
+import { setDefaultLogWriter, writeToStderr } from './logger.js';
+
+/**
+ * Loads a message either from a local RFC 822 file or from Gmail by ID.
+ *
+ * @param {TransactionAutomationService} service
+ * @param {string} source - A Gmail message ID or a path to an `.eml` file.
+ * @returns {Promise<Object>} - A Gmail API style message response.
+ */
+export async function loadMessage(service, source) {
+  // Status goes to stderr so stdout carries only the result
+  if (fs.existsSync(source)) {
+    console.error(`📂 Loading local message ${source}`);
+    return parseEml(fs.readFileSync(source));
+  }
+
+  console.error(`📥 Fetching Gmail message ${source}`);
+  return service.gmail.users.messages.get({ userId: 'me', id: source });
+}
+
+/**
+ * Runs a message through `runTransaction` and returns the result.
+ *
+ * @param {TransactionAutomationService} service
+ * @param {string} source - A Gmail message ID or a path to an `.eml` file.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<Object>}
+ */
+export async function replayMessage(service, source, { dryRun } = {}) {
+  const message = await loadMessage(service, source);
+  const headers = message.data.payload.headers || [];
+  const subject = headers.find((h) => h.name === 'Subject')?.value || '';
+  const from = headers.find((h) => h.name === 'From')?.value || '';
+
+  const result = await service.runTransaction(
+    { from, subject, message },
+    { dryRun }
+  );
+  return { from, subject, ...result };
+}
+
+/**
+ * Formats a replay result as human-readable lines.
+ *
+ * @param {Object} result
+ * @returns {string}
+ */
+export function formatReplayResult(result) {
+  const lines = [
+    `📨 From:    ${result.from}`,
+    `📝 Subject: ${result.subject}`,
+    `🔎 Rule:    ${result.rule ?? '(no match)'}`,
+  ];
+  if (result.amount !== null) {
+    lines.push(`💵 Amount:  $${result.amount}`);
+  }
+  lines.push(
+    `${result.processed ? '✅' : '⏭️'} Processed: ${result.processed}${result.dryRun ? ' (dry run)' : ''}`
+  );
+
+  if (result.actions.length) {
+    lines.push(
+      result.dryRun ? '⚙️ Actions that would fire:' : '⚙️ Actions fired:'
+    );
+    for (const { type, ...details } of result.actions) {
+      lines.push(`  • ${type} ${JSON.stringify(details)}`);
+    }
+  } else {
+    lines.push('⚙️ No actions fired.');
+  }
+  return lines.join('\n');
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const mailboxIndex = args.indexOf('--mailbox');
+  const mailbox = mailboxIndex === -1 ? undefined : args[mailboxIndex + 1];
+  const source = args.find(
+    (arg, i) => !arg.startsWith('--') && args[i - 1] !== '--mailbox'
+  );
+  if (!source) {
+    console.error(
+      'Usage: node replay.js <gmailMessageId | path/to/message.eml> [--dry-run] [--json] [--mailbox <email>]'
+    );
+    process.exit(1);
+  }
+
+  // Keep stdout for the result so `--json` can be piped
+  setDefaultLogWriter(writeToStderr);
+
+  const automationService = new TransactionAutomationService();
+  if (automationService.mailboxes.size && !mailbox) {
+    console.error('❌ --mailbox is required when MAILBOXES is set');
+    process.exit(1);
+  }
+  const service = automationService.mailboxFor(mailbox);
+  if (!service) {
+    console.error(`❌ No mailbox registered for ${mailbox}`);
+    process.exit(1);
+  }
+  replayMessage(service, source, { dryRun: args.includes('--dry-run') })
+    .then((result) => {
+      console.log(
+        args.includes('--json')
+          ? JSON.stringify(result, null, 2)
+          : formatReplayResult(result)
+      );
+    })
+    .catch((e) => {
+      console.error(e);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,60 @@
+/**
+ * Prints bill and payment totals per provider from the ledger.
+ *
+ * Usage:
+ *   node report.js [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--period month|year] [--format json|csv]
+ *
+ * --since   Earliest entry date to include (default: everything).
+ * --until   Latest entry date to include, inclusive (default: everything).
+ * --period  Total per "month" (default) or per "year".
+ * --format  "json" (default) or "csv".
+ */
+
+import 'dotenv/config';
+import { ledgerToCsv, listLedgerEntries, summarizeLedger } from './ledger.js';
+
+export const REPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Builds a spend report from the ledger.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {Object} [options]
+ * @param {string} [options.from] - Earliest entry date (YYYY-MM-DD).
+ * @param {string} [options.to] - Latest entry date, inclusive (YYYY-MM-DD).
+ * @param {string} [options.period] - "month" (default) or "year".
+ * @param {string} [options.format] - "json" (default) or "csv".
+ * @returns {Promise<string>}
+ */
+export async function generateLedgerReport(
+  firestore,
+  { from, to, period = 'month', format = 'json' } = {}
+) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`❌ Unknown report format "${format}"`);
+  }
+  const entries = await listLedgerEntries(firestore, { from, to });
+  const rows = summarizeLedger(entries, { period });
+  return format === 'csv' ? ledgerToCsv(rows) : JSON.stringify(rows, null, 2);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const { Firestore } = await import('@google-cloud/firestore');
+  generateLedgerReport(new Firestore(), {
+    from: valueOf('--since'),
+    to: valueOf('--until'),
+    period: valueOf('--period'),
+    format: valueOf('--format'),
+  })
+    .then((report) => console.log(report))
+    .catch((e) => {
+      console.error(e);
+      process.exitCode = 1;
+    });
+}
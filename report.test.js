@@ -0,0 +1,39 @@
+import { LEDGER_COLLECTION } from './ledger.js';
+import { generateLedgerReport } from './report.js';
+import { createMockFirestore } from './test/mockFirestore.js';
+
+describe('generateLedgerReport()', () => {
+  const entries = [
+    { provider: 'Comcast', amount: 80, date: '2025-01-15' },
+    { provider: 'Comcast', amount: 82.5, date: '2025-02-15' },
+  ];
+  const firestore = createMockFirestore({
+    [LEDGER_COLLECTION]: Object.fromEntries(
+      entries.map((entry, i) => [`msg_${i}`, entry])
+    ),
+  });
+
+  it('reports monthly totals as JSON by default', async () => {
+    const report = await generateLedgerReport(firestore);
+
+    expect(JSON.parse(report)).toEqual([
+      { period: '2025-01', provider: 'Comcast', total: 80, count: 1 },
+      { period: '2025-02', provider: 'Comcast', total: 82.5, count: 1 },
+    ]);
+  });
+
+  it('reports yearly totals as CSV', async () => {
+    const report = await generateLedgerReport(firestore, {
+      period: 'year',
+      format: 'csv',
+    });
+
+    expect(report).toBe('period,provider,total,count\n2025,Comcast,162.50,2');
+  });
+
+  it('rejects unknown formats', async () => {
+    await expect(
+      generateLedgerReport(firestore, { format: 'xml' })
+    ).rejects.toThrow('Unknown report format "xml"');
+  });
+});
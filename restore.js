@@ -0,0 +1,284 @@
+/**
+ * Undoes calendar changes made by the transaction rules, using the event
+ * snapshots stored in the audit trail.
+ *
+ * Usage:
+ *   node restore.js <gmailMessageId> [--dry-run] [--mailbox <email>]
+ *   node restore.js --since <date> [--until <date>] [--dry-run] [--mailbox <email>]
+ *
+ * --dry-run  Report what would be restored without touching Calendar or Firestore.
+ * --mailbox  Which MAILBOXES entry's calendar to restore into; required when MAILBOXES is set.
+ */
+
+import 'dotenv/config';
+import { getAuditEntry, listAuditEntries, recordAuditEntry } from './audit.js';
+import { logger } from './logger.js';
+
+// Fields Calendar assigns itself; they must be dropped when recreating an event
+const READ_ONLY_EVENT_FIELDS = [
+  'id',
+  'etag',
+  'kind',
+  'htmlLink',
+  'iCalUID',
+  'created',
+  'updated',
+  'creator',
+  'organizer',
+  'recurringEventId',
+  'originalStartTime',
+  'hangoutLink',
+  'privateCopy',
+  'locked',
+];
+
+/**
+ * Restores the calendar changes recorded for one email, or for every email
+ * whose actions were performed inside a time window.
+ *
+ * @param {TransactionAutomationService} service - Provides `calendar` and `firestore`.
+ * @param {Object} selector
+ * @param {string} [selector.messageId] - The Gmail message ID whose changes to undo.
+ * @param {Date} [selector.start] - Inclusive lower bound on when the change was made.
+ * @param {Date} [selector.end] - Exclusive upper bound on when the change was made.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would be restored without changing anything.
+ * @returns {Promise<Array<Object>>} - One record per restored (or, in dry-run, restorable) event.
+ */
+export async function restoreCalendarChanges(
+  service,
+  { messageId, start, end } = {},
+  { dryRun = false } = {}
+) {
+  let entries;
+  if (messageId) {
+    const entry = await getAuditEntry(service.firestore, messageId);
+    entries = entry ? [entry] : [];
+  } else if (start || end) {
+    entries = await listAuditEntries(service.firestore, { start, end });
+  } else {
+    throw new Error('❌ A Gmail message ID or a time window is required');
+  }
+
+  if (!entries.length) {
+    logger.info('📭 No audit records found to restore.');
+    return [];
+  }
+
+  const restored = [];
+  for (const entry of entries) {
+    restored.push(
+      ...(await restoreAuditEntry(service, entry, { start, end, dryRun }))
+    );
+  }
+  return restored;
+}
+
+/**
+ * Restores the calendar changes in a single audit record. Deleted events are
+ * recreated from their snapshot, and patched events get their original
+ * summary back. Changes that were already restored are skipped, and every
+ * restore is appended to the same audit record.
+ *
+ * @param {TransactionAutomationService} service
+ * @param {Object} entry - An audit record from `getAuditEntry` or `listAuditEntries`.
+ * @param {Object} [options]
+ * @param {Date} [options.start] - Only restore changes performed at or after this time.
+ * @param {Date} [options.end] - Only restore changes performed before this time.
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<Array<Object>>}
+ */
+export async function restoreAuditEntry(
+  service,
+  entry,
+  { start, end, dryRun = false } = {}
+) {
+  const alreadyRestored = new Set(
+    entry.actions
+      .filter((a) => a.type === 'calendarRestore')
+      .map((a) => a.restoredEventId)
+  );
+  const candidates = entry.actions.filter(
+    (a) =>
+      (a.type === 'calendarDelete' || a.type === 'calendarPatch') &&
+      a.before &&
+      (!start || a.performedAt >= start) &&
+      (!end || a.performedAt < end)
+  );
+
+  const restored = [];
+  for (const action of candidates) {
+    if (alreadyRestored.has(action.eventId)) {
+      logger.info(
+        `⏭️ "${action.summary}" on ${action.date} was already restored`
+      );
+      continue;
+    }
+
+    const prefix = dryRun ? '[DRY RUN]' : '[ACTION]';
+    const logAction = dryRun ? logger.info : logger.notice;
+    try {
+      if (action.type === 'calendarDelete') {
+        logAction(
+          `${prefix} ♻️ Recreating "${action.summary}" on ${action.date}`
+        );
+        restored.push(await recreateEvent(service.calendar, action, dryRun));
+      } else {
+        logAction(
+          `${prefix} ↩️ Reverting "${action.title}" → "${action.before.summary}"`
+        );
+        const record = await revertPatch(service.calendar, action, dryRun);
+        if (record) {
+          restored.push(record);
+        }
+      }
+    } catch (e) {
+      logger.error(
+        `❌ Failed to restore "${action.summary}" (${action.eventId}): ${e.message}`,
+        { error: e }
+      );
+    }
+  }
+
+  if (!dryRun && restored.length) {
+    await recordAuditEntry(service.firestore, {
+      messageId: entry.messageId,
+      rule: entry.rule,
+      provider: entry.provider,
+      from: entry.from,
+      subject: entry.subject,
+      amount: entry.amount,
+      actions: restored,
+    });
+  }
+  return restored;
+}
+
+/**
+ * Brings back a deleted event. A cancelled instance of a recurring event is
+ * reinstated in place; anything else is inserted as a new event built from
+ * the snapshot.
+ */
+async function recreateEvent(calendar, action, dryRun) {
+  const { calendarId, eventId, summary, date, before } = action;
+  const record = {
+    type: 'calendarRestore',
+    calendarId,
+    restoredEventId: eventId,
+    summary,
+    date,
+  };
+  if (dryRun) {
+    return record;
+  }
+
+  let res;
+  if (before.recurringEventId) {
+    res = await calendar.events.patch({
+      calendarId,
+      eventId,
+      requestBody: { status: 'confirmed' },
+    });
+  } else {
+    const requestBody = { ...before };
+    for (const field of READ_ONLY_EVENT_FIELDS) {
+      delete requestBody[field];
+    }
+    res = await calendar.events.insert({ calendarId, requestBody });
+  }
+
+  return {
+    ...record,
+    eventId: res.data.id,
+    before: null,
+    after: res.data,
+    performedAt: new Date(),
+  };
+}
+
+/**
+ * Puts back the summary a patched event had before the rule renamed it.
+ * Events that have been edited again since are left alone.
+ */
+async function revertPatch(calendar, action, dryRun) {
+  const { calendarId, eventId, title, date, before } = action;
+  const current = await calendar.events.get({ calendarId, eventId });
+  if (current.data.summary !== title) {
+    logger.warn(
+      `⚠️ "${current.data.summary}" was changed after it was patched, not reverting`
+    );
+    return null;
+  }
+
+  const record = {
+    type: 'calendarRestore',
+    calendarId,
+    eventId,
+    restoredEventId: eventId,
+    summary: before.summary,
+    date,
+  };
+  if (dryRun) {
+    return record;
+  }
+
+  const res = await calendar.events.patch({
+    calendarId,
+    eventId,
+    requestBody: { summary: before.summary },
+  });
+  return {
+    ...record,
+    before: current.data,
+    after: res.data,
+    performedAt: new Date(),
+  };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const since = valueOf('--since');
+  const until = valueOf('--until');
+  const mailbox = valueOf('--mailbox');
+  const messageId = args.find(
+    (arg, i) =>
+      !arg.startsWith('--') &&
+      !['--since', '--until', '--mailbox'].includes(args[i - 1])
+  );
+  if (!messageId && !since) {
+    console.error(
+      'Usage: node restore.js <gmailMessageId> | --since <date> [--until <date>] [--dry-run] [--mailbox <email>]'
+    );
+    process.exit(1);
+  }
+
+  const { TransactionAutomationService } =
+    await import('./TransactionAutomationService.js');
+  const service = new TransactionAutomationService().mailboxFor(mailbox);
+  if (!service) {
+    console.error(`❌ No mailbox registered for ${mailbox}`);
+    process.exit(1);
+  }
+  restoreCalendarChanges(
+    service,
+    {
+      messageId,
+      start: since && new Date(since),
+      end: until && new Date(until),
+    },
+    { dryRun: args.includes('--dry-run') }
+  )
+    .then((restored) => {
+      console.log(
+        `${args.includes('--dry-run') ? '🧪 Would restore' : '✅ Restored'} ${restored.length} event(s)`
+      );
+    })
+    .catch((e) => {
+      console.error(e);
+      process.exitCode = 1;
+    });
+}
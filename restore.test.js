@@ -0,0 +1,226 @@
+import { jest } from '@jest/globals';
+import { restoreAuditEntry, restoreCalendarChanges } from './restore.js';
+
+describe('Calendar Restore', () => {
+  let service;
+  let auditDocs;
+  let mockQuery;
+
+  const deletedEvent = {
+    id: 'evt_chase',
+    etag: '"3181161784712000"',
+    htmlLink: 'https://www.google.com/calendar/event?eid=abc',
+    iCalUID: 'evt_chase@google.com',
+    created: '2024-04-01T00:00:00.000Z',
+    updated: '2024-04-02T00:00:00.000Z',
+    summary: 'Pay Chase',
+    description: 'Autopay check',
+    start: { date: '2024-05-15' },
+    end: { date: '2024-05-16' },
+    reminders: { useDefault: false, overrides: [] },
+  };
+  const deleteAction = {
+    type: 'calendarDelete',
+    calendarId: 'cal_1',
+    eventId: 'evt_chase',
+    summary: 'Pay Chase',
+    date: '2024-05-15',
+    before: deletedEvent,
+    after: null,
+    performedAt: new Date('2024-05-01T12:00:00Z'),
+  };
+  const patchAction = {
+    type: 'calendarPatch',
+    calendarId: 'cal_1',
+    eventId: 'evt_gas',
+    summary: 'Pay Gas Bill',
+    date: '2024-05-20',
+    title: 'Gas Bill - $87.4',
+    before: { id: 'evt_gas', summary: 'Pay Gas Bill' },
+    after: { id: 'evt_gas', summary: 'Gas Bill - $87.4' },
+    performedAt: new Date('2024-05-02T12:00:00Z'),
+  };
+
+  const auditEntry = (messageId, actions) => ({
+    messageId,
+    rule: 'Chase card payment',
+    provider: 'Chase',
+    from: 'no.reply.alerts@chase.com',
+    subject: 'Your credit card payment is scheduled',
+    amount: null,
+    createdAt: actions[0].performedAt,
+    actions,
+  });
+
+  beforeEach(() => {
+    auditDocs = new Map();
+    mockQuery = {
+      where: jest.fn(() => mockQuery),
+      orderBy: jest.fn(() => mockQuery),
+      get: jest.fn(async () => ({
+        docs: [...auditDocs.values()].map((data) => ({ data: () => data })),
+      })),
+    };
+    const collection = {
+      doc: jest.fn((id) => ({
+        get: jest.fn(async () => ({
+          exists: auditDocs.has(id),
+          data: () => auditDocs.get(id),
+        })),
+        set: jest.fn(async (data) => auditDocs.set(id, data)),
+      })),
+      where: jest.fn(() => mockQuery),
+      orderBy: jest.fn(() => mockQuery),
+    };
+
+    service = {
+      firestore: { collection: jest.fn(() => collection) },
+      calendar: {
+        events: {
+          insert: jest.fn(async ({ requestBody }) => ({
+            data: { ...requestBody, id: 'evt_new' },
+          })),
+          get: jest.fn(async ({ eventId }) => ({
+            data: { id: eventId, summary: 'Gas Bill - $87.4' },
+          })),
+          patch: jest.fn(async ({ eventId, requestBody }) => ({
+            data: { id: eventId, ...requestBody },
+          })),
+        },
+      },
+    };
+  });
+
+  it('recreates a deleted event from its snapshot without read-only fields', async () => {
+    auditDocs.set('msg_1', auditEntry('msg_1', [deleteAction]));
+
+    const restored = await restoreCalendarChanges(service, {
+      messageId: 'msg_1',
+    });
+
+    expect(service.calendar.events.insert).toHaveBeenCalledWith({
+      calendarId: 'cal_1',
+      requestBody: {
+        summary: 'Pay Chase',
+        description: 'Autopay check',
+        start: { date: '2024-05-15' },
+        end: { date: '2024-05-16' },
+        reminders: { useDefault: false, overrides: [] },
+      },
+    });
+    expect(restored).toEqual([
+      expect.objectContaining({
+        type: 'calendarRestore',
+        eventId: 'evt_new',
+        restoredEventId: 'evt_chase',
+      }),
+    ]);
+
+    // The restore is appended to the same audit record
+    const { actions } = auditDocs.get('msg_1');
+    expect(actions.map((a) => a.type)).toEqual([
+      'calendarDelete',
+      'calendarRestore',
+    ]);
+  });
+
+  it('reinstates a cancelled recurring instance in place', async () => {
+    await restoreAuditEntry(
+      service,
+      auditEntry('msg_1', [
+        {
+          ...deleteAction,
+          before: { ...deletedEvent, recurringEventId: 'evt_series' },
+        },
+      ])
+    );
+
+    expect(service.calendar.events.insert).not.toHaveBeenCalled();
+    expect(service.calendar.events.patch).toHaveBeenCalledWith({
+      calendarId: 'cal_1',
+      eventId: 'evt_chase',
+      requestBody: { status: 'confirmed' },
+    });
+  });
+
+  it('reverts a patched summary unless it was edited again', async () => {
+    await restoreAuditEntry(service, auditEntry('msg_2', [patchAction]));
+
+    expect(service.calendar.events.patch).toHaveBeenCalledWith({
+      calendarId: 'cal_1',
+      eventId: 'evt_gas',
+      requestBody: { summary: 'Pay Gas Bill' },
+    });
+
+    service.calendar.events.patch.mockClear();
+    service.calendar.events.get.mockResolvedValue({
+      data: { id: 'evt_gas', summary: 'Gas Bill - paid by hand' },
+    });
+    await restoreAuditEntry(service, auditEntry('msg_2', [patchAction]));
+
+    expect(service.calendar.events.patch).not.toHaveBeenCalled();
+  });
+
+  it('skips changes that were already restored', async () => {
+    auditDocs.set(
+      'msg_1',
+      auditEntry('msg_1', [
+        deleteAction,
+        {
+          type: 'calendarRestore',
+          restoredEventId: 'evt_chase',
+          performedAt: new Date(),
+        },
+      ])
+    );
+
+    const restored = await restoreCalendarChanges(service, {
+      messageId: 'msg_1',
+    });
+
+    expect(restored).toEqual([]);
+    expect(service.calendar.events.insert).not.toHaveBeenCalled();
+  });
+
+  it('restores only changes made inside the time window', async () => {
+    auditDocs.set('msg_1', auditEntry('msg_1', [deleteAction]));
+    auditDocs.set('msg_2', auditEntry('msg_2', [patchAction]));
+    const start = new Date('2024-05-02T00:00:00Z');
+
+    const restored = await restoreCalendarChanges(service, { start });
+
+    expect(mockQuery.where).not.toHaveBeenCalled();
+    expect(restored).toEqual([
+      expect.objectContaining({ restoredEventId: 'evt_gas' }),
+    ]);
+    expect(service.calendar.events.insert).not.toHaveBeenCalled();
+  });
+
+  it('does not change anything in dry-run mode', async () => {
+    auditDocs.set('msg_1', auditEntry('msg_1', [deleteAction]));
+
+    const restored = await restoreCalendarChanges(
+      service,
+      { messageId: 'msg_1' },
+      { dryRun: true }
+    );
+
+    expect(restored).toEqual([
+      {
+        type: 'calendarRestore',
+        calendarId: 'cal_1',
+        restoredEventId: 'evt_chase',
+        summary: 'Pay Chase',
+        date: '2024-05-15',
+      },
+    ]);
+    expect(service.calendar.events.insert).not.toHaveBeenCalled();
+    expect(auditDocs.get('msg_1').actions).toHaveLength(1);
+  });
+
+  it('requires a message ID or a time window', async () => {
+    await expect(restoreCalendarChanges(service, {})).rejects.toThrow(
+      'message ID or a time window'
+    );
+  });
+});
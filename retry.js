@@ -0,0 +1,124 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { getHttpStatus, isTransientError } from './errors.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 16_000,
+  // Keeps an invocation's retries well inside the 60 second default function timeout
+  maxElapsedMs: 30_000,
+});
+
+const deadlineStorage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with one retry deadline shared by every `withRetry` call it
+ * makes, including calls in anything it awaits. An invocation that makes
+ * many API calls then stops retrying once its budget is spent, instead of
+ * giving each call a budget of its own. Nested calls keep the earlier
+ * deadline.
+ *
+ * @param {number} budgetMs - No retry waits past this many ms from now.
+ * @param {Function} fn
+ * @returns {*} - Whatever `fn` returns.
+ */
+export function withRetryDeadline(budgetMs, fn) {
+  return deadlineStorage.run(deadlineAfter(budgetMs), fn);
+}
+
+/**
+ * Calls `fn` and retries it while it fails with a transient error (5xx, rate
+ * limits, network errors). Waits use "full jitter" exponential backoff, or the
+ * server's `Retry-After` when it sends one. Only wrap idempotent requests: a
+ * retried call may repeat work the server already did.
+ *
+ * @param {Function} fn - Makes the request; called once per attempt.
+ * @param {Object} [options]
+ * @param {string} [options.label] - Names the call in log lines, e.g. "gmail.users.messages.get".
+ * @param {number} [options.maxRetries] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs] - Backoff ceiling for the first retry; doubles each retry.
+ * @param {number} [options.maxDelayMs] - Upper bound on a single backoff.
+ * @param {number} [options.maxElapsedMs] - Gives up instead of waiting past this much total time, or past the deadline of a surrounding `withRetryDeadline`, whichever comes first.
+ * @param {Function} [options.isRetryable] - Decides whether an error is worth retrying (default: `isTransientError`).
+ * @param {Function} [options.sleep] - Waits the given number of milliseconds.
+ * @param {Function} [options.random] - Returns a number in [0, 1) for jitter.
+ * @returns {Promise<*>} - Whatever `fn` resolves to.
+ */
+export async function withRetry(
+  fn,
+  {
+    label = 'request',
+    maxRetries = DEFAULT_RETRY_OPTIONS.maxRetries,
+    baseDelayMs = DEFAULT_RETRY_OPTIONS.baseDelayMs,
+    maxDelayMs = DEFAULT_RETRY_OPTIONS.maxDelayMs,
+    maxElapsedMs = DEFAULT_RETRY_OPTIONS.maxElapsedMs,
+    isRetryable = isTransientError,
+    sleep = defaultSleep,
+    random = Math.random,
+  } = {}
+) {
+  const deadline = deadlineAfter(maxElapsedMs);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs =
+        retryAfterMs ??
+        Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+      if (Date.now() + delayMs > deadline) {
+        logger.warn(
+          `⏱️ ${label} failed and waiting another ${delayMs}ms would pass the retry deadline`
+        );
+        throw error;
+      }
+
+      logger.warn(
+        `⏳ ${label} failed (${getHttpStatus(error) ?? error.code ?? error.message}), retrying in ${delayMs}ms (retry ${attempt + 1}/${maxRetries})`
+      );
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Reads a `Retry-After` header (delay in seconds, or an HTTP date) from a
+ * failed response.
+ *
+ * @param {Error} error
+ * @returns {number|null} - Milliseconds to wait, or null if the header is absent or invalid.
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.response?.headers;
+  const value =
+    typeof headers?.get === 'function'
+      ? headers.get('retry-after')
+      : (headers?.['retry-after'] ?? headers?.['Retry-After']);
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function deadlineAfter(budgetMs) {
+  return Math.min(
+    Date.now() + budgetMs,
+    deadlineStorage.getStore() ?? Infinity
+  );
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
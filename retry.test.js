@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import { getRetryAfterMs, withRetry, withRetryDeadline } from './retry.js';
+
+const httpError = (status, headers) =>
+  Object.assign(new Error(`HTTP ${status}`), {
+    response: { status, headers },
+  });
+
+describe('withRetry()', () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = jest.fn();
+  });
+
+  it('returns the first successful result', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValue({ data: 'ok' });
+
+    await expect(withRetry(fn, { sleep })).resolves.toEqual({ data: 'ok' });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it('backs off exponentially with full jitter up to the cap', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(
+      withRetry(fn, {
+        sleep,
+        random: () => 0.5,
+        maxRetries: 4,
+        baseDelayMs: 1000,
+        maxDelayMs: 5000,
+      })
+    ).rejects.toThrow('HTTP 503');
+
+    expect(fn).toHaveBeenCalledTimes(5);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([500, 1000, 2000, 2500]);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '3' }))
+      .mockResolvedValue('ok');
+
+    await withRetry(fn, { sleep, random: () => 0 });
+
+    expect(sleep).toHaveBeenCalledWith(3000);
+  });
+
+  it('does not retry permanent errors', async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(withRetry(fn, { sleep })).rejects.toThrow('HTTP 404');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it('gives up rather than wait past the time budget', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+
+    await expect(
+      withRetry(fn, { sleep, maxElapsedMs: 60_000 })
+    ).rejects.toThrow('HTTP 429');
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
+
+describe('withRetryDeadline()', () => {
+  let now;
+  let sleep;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    sleep = jest.fn(async (ms) => {
+      now += ms;
+    });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  it('shares one budget across every call it wraps', async () => {
+    const rateLimited = () =>
+      jest
+        .fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '6' }))
+        .mockResolvedValue('ok');
+    const second = rateLimited();
+
+    await withRetryDeadline(10_000, async () => {
+      await expect(withRetry(rateLimited(), { sleep })).resolves.toBe('ok');
+      await expect(withRetry(second, { sleep })).rejects.toThrow('HTTP 429');
+    });
+
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the earlier deadline when nested', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValue(httpError(429, { 'retry-after': '6' }));
+
+    await withRetryDeadline(5_000, () =>
+      withRetryDeadline(60_000, () =>
+        expect(withRetry(fn, { sleep })).rejects.toThrow('HTTP 429')
+      )
+    );
+
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
+
+describe('getRetryAfterMs()', () => {
+  it('reads delays in seconds from plain and fetch-style headers', () => {
+    expect(getRetryAfterMs(httpError(429, { 'retry-after': '2' }))).toBe(2000);
+    expect(
+      getRetryAfterMs(httpError(429, new Headers({ 'Retry-After': '5' })))
+    ).toBe(5000);
+  });
+
+  it('reads HTTP dates', () => {
+    const at = new Date(Date.now() + 10_000).toUTCString();
+    const ms = getRetryAfterMs(httpError(503, { 'retry-after': at }));
+
+    expect(ms).toBeGreaterThan(8000);
+    expect(ms).toBeLessThanOrEqual(10_000);
+  });
+
+  it('returns null without a usable header', () => {
+    expect(getRetryAfterMs(httpError(503))).toBeNull();
+    expect(
+      getRetryAfterMs(httpError(503, { 'retry-after': 'soon' }))
+    ).toBeNull();
+  });
+});
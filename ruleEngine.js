@@ -0,0 +1,201 @@
+import fs from 'fs';
+import { logger } from './logger.js';
+
+export const DEFAULT_RULES_PATH = new URL('./rules.json', import.meta.url);
+
+export const ACTION_TYPES = [
+  'archiveAttachments',
+  'calendarDelete',
+  'calendarPatch',
+  'driveUpload',
+  'markRead',
+];
+
+// Settings each action type cannot run without
+const REQUIRED_ACTION_FIELDS = {
+  archiveAttachments: ['folderPath'],
+  calendarDelete: ['eventPrefix'],
+  calendarPatch: ['eventPrefix', 'title'],
+  driveUpload: ['source', 'folderPath'],
+  markRead: [],
+};
+
+// Matches "$1,234.56" style amounts and captures the numeric portion.
+const DEFAULT_AMOUNT_PATTERN = '\\$([\\d,]+(?:\\.\\d{2})?)';
+
+/**
+ * Loads and validates the declarative transaction rules from a JSON file.
+ *
+ * @param {string|URL} [filePath] - Path to the rules file (default: rules.json next to this module).
+ * @returns {Array<Object>} - The validated rules, in evaluation order.
+ * @throws {Error} If the file cannot be parsed or a rule is malformed.
+ */
+export function loadRules(filePath = DEFAULT_RULES_PATH) {
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(
+      `❌ Failed to load rules from ${filePath}: ${error.message}`
+    );
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`❌ Rules file ${filePath} must contain a JSON array`);
+  }
+  rules.forEach(validateRule);
+  return rules;
+}
+
+/**
+ * Ensures a rule has a name, at least one matcher and only known actions
+ * with the settings they need.
+ *
+ * @param {Object} rule
+ * @throws {Error} If the rule is malformed.
+ */
+export function validateRule(rule) {
+  if (!rule?.name) {
+    throw new Error('❌ Invalid rule: "name" is required');
+  }
+
+  const { sender, subject, body } = rule.match || {};
+  if (!sender && !subject && !body) {
+    throw new Error(
+      `❌ Invalid rule "${rule.name}": "match" needs a sender, subject or body matcher`
+    );
+  }
+
+  if (!Array.isArray(rule.actions) || !rule.actions.length) {
+    throw new Error(`❌ Invalid rule "${rule.name}": "actions" is required`);
+  }
+
+  for (const action of rule.actions) {
+    if (!ACTION_TYPES.includes(action.type)) {
+      throw new Error(
+        `❌ Invalid rule "${rule.name}": unknown action type "${action.type}"`
+      );
+    }
+    const missing = REQUIRED_ACTION_FIELDS[action.type].filter(
+      (field) => typeof action[field] !== 'string' || !action[field]
+    );
+    if (missing.length) {
+      throw new Error(
+        `❌ Invalid rule "${rule.name}": ${action.type} action needs ${missing.map((f) => `"${f}"`).join(' and ')}`
+      );
+    }
+  }
+}
+
+/**
+ * Returns the first rule whose matchers all apply to the email.
+ *
+ * @param {Array<Object>} rules
+ * @param {Object} email
+ * @param {string} email.from - Sender header.
+ * @param {string} email.subject - Subject header.
+ * @param {string} email.body - Decoded message body.
+ * @returns {Object|null} - The matching rule, or null if none apply.
+ */
+export function findMatchingRule(rules, email) {
+  return rules.find((rule) => matchesRule(rule, email)) || null;
+}
+
+/**
+ * Checks a single rule against an email. Matching is case-insensitive and
+ * substring based; a list of values matches if any of them is present.
+ *
+ * @param {Object} rule
+ * @param {Object} email
+ * @returns {boolean}
+ */
+export function matchesRule(rule, { from = '', subject = '', body = '' }) {
+  const { sender, allowForwarded, subject: subj, body: text } = rule.match;
+  const lowerFrom = from.toLowerCase();
+  const lowerSubject = subject.toLowerCase();
+  const lowerBody = body.toLowerCase();
+
+  if (sender) {
+    const senderMatches = toList(sender).some(
+      (needle) =>
+        lowerFrom.includes(needle) ||
+        // Forwarded emails keep the original sender in a "From:" body line
+        (allowForwarded &&
+          new RegExp(`from:.*${escapeRegExp(needle)}`).test(lowerBody))
+    );
+    if (!senderMatches) {
+      return false;
+    }
+  }
+
+  if (subj && !toList(subj).some((needle) => lowerSubject.includes(needle))) {
+    return false;
+  }
+
+  if (text && !toList(text).some((needle) => lowerBody.includes(needle))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Extracts a dollar amount from the email according to a rule's amount spec.
+ *
+ * @param {Object} spec
+ * @param {string} [spec.source] - "subject" (default) or "body".
+ * @param {string} [spec.pattern] - Regex whose first group captures the amount.
+ * @param {number} [spec.min] - Smallest acceptable amount.
+ * @param {number} [spec.max] - Largest acceptable amount.
+ * @param {Object} email
+ * @returns {number|null} - The amount, or null if missing, invalid or out of range.
+ */
+export function extractAmount(spec, { subject = '', body = '' }) {
+  const text = spec.source === 'body' ? body : subject;
+  const amountMatch = text.match(
+    new RegExp(spec.pattern || DEFAULT_AMOUNT_PATTERN)
+  );
+  if (!amountMatch) {
+    logger.info(`No dollar amount found in "${subject}"`);
+    return null;
+  }
+
+  const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+  if (isNaN(amount)) {
+    logger.info(`Invalid amount in "${subject}"`);
+    return null;
+  }
+
+  if (
+    (spec.min !== undefined && amount < spec.min) ||
+    (spec.max !== undefined && amount > spec.max)
+  ) {
+    logger.info(`Unexpected amount $${amount}, skipping.`);
+    return null;
+  }
+
+  return amount;
+}
+
+/**
+ * Replaces "{{name}}" placeholders with values from `vars`.
+ *
+ * @param {string} template
+ * @param {Object} vars
+ * @returns {string}
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    vars[key] !== undefined && vars[key] !== null
+      ? String(vars[key])
+      : placeholder
+  );
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map((v) => v.toLowerCase());
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
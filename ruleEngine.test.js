@@ -0,0 +1,229 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  extractAmount,
+  findMatchingRule,
+  loadRules,
+  matchesRule,
+  renderTemplate,
+  validateRule,
+} from './ruleEngine.js';
+
+describe('Rule Engine', () => {
+  describe('loadRules()', () => {
+    it('loads the bundled rules.json', () => {
+      const rules = loadRules();
+      expect(rules.length).toBeGreaterThan(0);
+      expect(rules.map((r) => r.name)).toContain('Amex card payment');
+    });
+
+    it('rejects rules with unknown action types', () => {
+      const filePath = path.join(os.tmpdir(), `rules-${process.pid}.json`);
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify([
+          {
+            name: 'Bad rule',
+            match: { sender: 'example.com' },
+            actions: [{ type: 'launchRocket' }],
+          },
+        ])
+      );
+      try {
+        expect(() => loadRules(filePath)).toThrow(
+          'unknown action type "launchRocket"'
+        );
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    it('rejects rules without matchers', () => {
+      const filePath = path.join(os.tmpdir(), `rules-${process.pid}.json`);
+      fs.writeFileSync(
+        filePath,
+        JSON.stringify([
+          { name: 'Catch-all', match: {}, actions: [{ type: 'markRead' }] },
+        ])
+      );
+      try {
+        expect(() => loadRules(filePath)).toThrow('"match" needs a sender');
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('validateRule()', () => {
+    const withAction = (action) => ({
+      name: 'Bad rule',
+      match: { sender: 'example.com' },
+      actions: [action],
+    });
+
+    it('rejects Drive actions without a folder', () => {
+      expect(() =>
+        validateRule(withAction({ type: 'archiveAttachments' }))
+      ).toThrow('archiveAttachments action needs "folderPath"');
+      expect(() =>
+        validateRule(withAction({ type: 'driveUpload', folderPath: 'Bills' }))
+      ).toThrow('driveUpload action needs "source"');
+    });
+
+    it('rejects calendar actions without an event prefix or title', () => {
+      expect(() =>
+        validateRule(withAction({ type: 'calendarDelete' }))
+      ).toThrow('calendarDelete action needs "eventPrefix"');
+      expect(() =>
+        validateRule(withAction({ type: 'calendarPatch', eventPrefix: '' }))
+      ).toThrow('calendarPatch action needs "eventPrefix" and "title"');
+    });
+
+    it('accepts actions with their settings', () => {
+      expect(() =>
+        validateRule(
+          withAction({
+            type: 'calendarPatch',
+            eventPrefix: 'Pay Gas Bill',
+            title: 'Gas Bill - ${{amount}}',
+          })
+        )
+      ).not.toThrow();
+      expect(() =>
+        validateRule(withAction({ type: 'markRead' }))
+      ).not.toThrow();
+    });
+  });
+
+  describe('matchesRule()', () => {
+    const rule = {
+      name: 'Test',
+      match: {
+        sender: 'example.com',
+        allowForwarded: true,
+        subject: ['bill is ready', 'new statement'],
+      },
+      actions: [{ type: 'markRead' }],
+    };
+
+    it('matches case-insensitively on sender and subject', () => {
+      expect(
+        matchesRule(rule, {
+          from: 'Billing <billing@EXAMPLE.com>',
+          subject: 'Your Bill Is Ready',
+        })
+      ).toBe(true);
+    });
+
+    it('matches any value in a list', () => {
+      expect(
+        matchesRule(rule, {
+          from: 'billing@example.com',
+          subject: 'A new statement is available',
+        })
+      ).toBe(true);
+    });
+
+    it('matches forwarded emails via the body "From:" line', () => {
+      expect(
+        matchesRule(rule, {
+          from: 'me@gmail.com',
+          subject: 'Fwd: Your bill is ready',
+          body: '---------- Forwarded message ---------\nFrom: Billing <billing@example.com>',
+        })
+      ).toBe(true);
+    });
+
+    it('does not match forwarded emails unless allowed', () => {
+      expect(
+        matchesRule(
+          { ...rule, match: { ...rule.match, allowForwarded: false } },
+          {
+            from: 'me@gmail.com',
+            subject: 'Fwd: Your bill is ready',
+            body: 'From: billing@example.com',
+          }
+        )
+      ).toBe(false);
+    });
+
+    it('requires body matchers to be present', () => {
+      const bodyRule = {
+        ...rule,
+        match: { sender: 'example.com', body: 'has initiated' },
+      };
+      expect(
+        matchesRule(bodyRule, {
+          from: 'billing@example.com',
+          body: 'Nothing to see',
+        })
+      ).toBe(false);
+    });
+  });
+
+  describe('findMatchingRule()', () => {
+    it('returns the first matching rule in order', () => {
+      const rules = [
+        { name: 'First', match: { sender: 'chase.com' }, actions: [] },
+        { name: 'Second', match: { sender: 'chase.com' }, actions: [] },
+      ];
+      expect(
+        findMatchingRule(rules, { from: 'no-reply@chase.com', subject: '' })
+          .name
+      ).toBe('First');
+    });
+
+    it('returns null when nothing matches', () => {
+      expect(
+        findMatchingRule(loadRules(), {
+          from: 'newsletter@example.com',
+          subject: 'Weekly digest',
+          body: '',
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe('extractAmount()', () => {
+    it('parses amounts with thousands separators', () => {
+      expect(
+        extractAmount(
+          { source: 'subject' },
+          { subject: 'You made a $1,234.56 transaction' }
+        )
+      ).toBe(1234.56);
+    });
+
+    it('reads from the body when requested', () => {
+      expect(
+        extractAmount(
+          { source: 'body' },
+          { subject: 'Payment', body: 'Amount: $42.00' }
+        )
+      ).toBe(42);
+    });
+
+    it('returns null when no amount is present', () => {
+      expect(extractAmount({}, { subject: 'No money here' })).toBeNull();
+    });
+
+    it('returns null when outside the allowed range', () => {
+      expect(
+        extractAmount({ min: 100, max: 200 }, { subject: 'A $250.00 charge' })
+      ).toBeNull();
+    });
+  });
+
+  describe('renderTemplate()', () => {
+    it('substitutes known variables', () => {
+      expect(renderTemplate('Gas Bill - ${{amount}}', { amount: 87.5 })).toBe(
+        'Gas Bill - $87.5'
+      );
+    });
+
+    it('leaves unknown placeholders untouched', () => {
+      expect(renderTemplate('Due {{dueDate}}', {})).toBe('Due {{dueDate}}');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { gmailLink } from './alerts.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_SHEET_NAME = 'Transactions';
+
+export const SHEET_HEADER = [
+  'Date',
+  'Provider',
+  'Amount',
+  'Action',
+  'Drive Link',
+  'Gmail Link',
+  'Message ID',
+];
+
+// Rows are deduplicated on this column (G)
+const MESSAGE_ID_COLUMN = 'G';
+
+/**
+ * Appends a row for a processed transaction to a spreadsheet tab, creating
+ * the tab and its header row first if they are missing. Nothing is appended
+ * when the tab already has a row for the Gmail message.
+ *
+ * @param {Object} sheets - The Sheets API service instance.
+ * @param {Object} params
+ * @param {string} params.spreadsheetId
+ * @param {string} [params.sheetName] - Tab name (default: "Transactions").
+ * @param {Object} params.transaction - The row's values; see `toTransactionRow`.
+ * @param {Function} [params.request] - Wraps each API call, e.g. with retries: `(label, fn) => fn()`.
+ * @returns {Promise<boolean>} - Whether a row was appended.
+ */
+export async function appendTransactionRow(
+  sheets,
+  {
+    spreadsheetId,
+    sheetName = DEFAULT_SHEET_NAME,
+    transaction,
+    request = (label, fn) => fn(),
+  }
+) {
+  const tab = quoteSheetName(sheetName);
+  await ensureSheet(sheets, { spreadsheetId, sheetName, request });
+
+  const existing = await request('sheets.spreadsheets.values.get', () =>
+    sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${tab}!${MESSAGE_ID_COLUMN}:${MESSAGE_ID_COLUMN}`,
+    })
+  );
+  if (
+    (existing.data.values ?? []).some(([id]) => id === transaction.messageId)
+  ) {
+    logger.info(
+      `📊 "${sheetName}" already has a row for message ${transaction.messageId}`
+    );
+    return false;
+  }
+
+  // Not retried: a timed-out append may still have added the row
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${tab}!A:${MESSAGE_ID_COLUMN}`,
+    valueInputOption: 'USER_ENTERED',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values: [toTransactionRow(transaction)] },
+  });
+  logger.notice(
+    `[ACTION] 📊 Added ${transaction.provider} row for message ${transaction.messageId} to "${sheetName}"`
+  );
+  return true;
+}
+
+/**
+ * Formats a processed transaction as a spreadsheet row matching
+ * `SHEET_HEADER`.
+ *
+ * @param {Object} transaction
+ * @param {string} transaction.date - YYYY-MM-DD.
+ * @param {string} transaction.provider
+ * @param {number|null} transaction.amount
+ * @param {Array<Object>} transaction.actions - Action records from `runTransaction`.
+ * @param {string} transaction.messageId - The Gmail message ID.
+ * @param {string|null} [transaction.emailAddress] - The mailbox, so the Gmail link opens the right account.
+ * @returns {Array<string|number>}
+ */
+export function toTransactionRow({
+  date,
+  provider,
+  amount,
+  actions,
+  messageId,
+  emailAddress = null,
+}) {
+  const upload = actions.findLast((a) => a.type === 'driveUpload' && a.fileId);
+  return [
+    date,
+    provider,
+    amount ?? '',
+    actions.map(describeAction).filter(Boolean).join('; '),
+    upload ? `https://drive.google.com/file/d/${upload.fileId}/view` : '',
+    gmailLink(emailAddress, messageId),
+    messageId,
+  ];
+}
+
+/**
+ * Adds the tab and its header row when they do not exist yet.
+ *
+ * @param {Object} sheets - The Sheets API service instance.
+ * @param {Object} params
+ * @returns {Promise<void>}
+ */
+async function ensureSheet(sheets, { spreadsheetId, sheetName, request }) {
+  const spreadsheet = await request('sheets.spreadsheets.get', () =>
+    sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties.title',
+    })
+  );
+  const exists = spreadsheet.data.sheets?.some(
+    (s) => s.properties.title === sheetName
+  );
+  if (!exists) {
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }],
+      },
+    });
+    logger.notice(`[ACTION] 📊 Created sheet "${sheetName}"`);
+  }
+
+  const tab = quoteSheetName(sheetName);
+  const header = exists
+    ? await request('sheets.spreadsheets.values.get', () =>
+        sheets.spreadsheets.values.get({ spreadsheetId, range: `${tab}!1:1` })
+      )
+    : null;
+  if (!header?.data.values?.length) {
+    await request('sheets.spreadsheets.values.update', () =>
+      sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `${tab}!A1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [SHEET_HEADER] },
+      })
+    );
+  }
+}
+
+/**
+ * Describes an action record in a few words, e.g. for a spreadsheet cell.
+ *
+ * @param {Object} action - An action record from `runTransaction`.
+ * @returns {string|null} - null for actions not worth mentioning.
+ */
+export function describeAction(action) {
+  switch (action.type) {
+    case 'calendarDelete':
+      return `Deleted "${action.summary}"`;
+    case 'calendarPatch':
+      return `Renamed "${action.summary}" to "${action.title}"`;
+    case 'driveUpload':
+      return action.operation === 'unchanged'
+        ? `Already archived ${action.fileName}`
+        : `Archived ${action.fileName}`;
+    case 'markRead':
+      return 'Marked read';
+    case 'anomalyAlert':
+      return 'Flagged unusual amount';
+    default:
+      return null;
+  }
+}
+
+// A1 notation needs quotes around names with spaces or punctuation
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
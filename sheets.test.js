@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import {
+  SHEET_HEADER,
+  appendTransactionRow,
+  toTransactionRow,
+} from './sheets.js';
+
+/**
+ * Sheets stand-in holding each tab's rows.
+ */
+function createMockSheets(tabs = {}) {
+  const rowsOf = (range) =>
+    tabs[range.match(/^'(.*)'!/)[1].replace(/''/g, "'")];
+  return {
+    tabs,
+    spreadsheets: {
+      get: jest.fn(async () => ({
+        data: {
+          sheets: Object.keys(tabs).map((title) => ({ properties: { title } })),
+        },
+      })),
+      batchUpdate: jest.fn(async ({ requestBody }) => {
+        tabs[requestBody.requests[0].addSheet.properties.title] = [];
+      }),
+      values: {
+        get: jest.fn(async ({ range }) => {
+          const rows = rowsOf(range);
+          const values = range.endsWith('!1:1')
+            ? rows.slice(0, 1)
+            : rows.map((row) => [row[6]]);
+          return { data: values.length ? { values } : {} };
+        }),
+        update: jest.fn(async ({ range, requestBody }) => {
+          rowsOf(range)[0] = requestBody.values[0];
+        }),
+        append: jest.fn(async ({ range, requestBody }) => {
+          rowsOf(range).push(...requestBody.values);
+        }),
+      },
+    },
+  };
+}
+
+const transaction = {
+  date: '2024-01-05',
+  provider: 'National Grid',
+  amount: 87.4,
+  actions: [
+    {
+      type: 'driveUpload',
+      operation: 'create',
+      fileName: 'NG_Bill_2024-01-05.pdf',
+      fileId: 'file_1',
+    },
+    { type: 'markRead', messageId: 'msg_1' },
+  ],
+  messageId: 'msg_1',
+  emailAddress: 'alice@example.com',
+};
+
+describe('toTransactionRow()', () => {
+  it('describes the actions and links the Drive file and email', () => {
+    expect(toTransactionRow(transaction)).toEqual([
+      '2024-01-05',
+      'National Grid',
+      87.4,
+      'Archived NG_Bill_2024-01-05.pdf; Marked read',
+      'https://drive.google.com/file/d/file_1/view',
+      'https://mail.google.com/mail/u/alice@example.com/#all/msg_1',
+      'msg_1',
+    ]);
+  });
+
+  it('leaves the amount and Drive link empty when there are none', () => {
+    const row = toTransactionRow({
+      ...transaction,
+      amount: null,
+      actions: [{ type: 'calendarDelete', summary: 'Pay Amex' }],
+      emailAddress: null,
+    });
+
+    expect(row.slice(2, 6)).toEqual([
+      '',
+      'Deleted "Pay Amex"',
+      '',
+      'https://mail.google.com/mail/u/0/#all/msg_1',
+    ]);
+  });
+});
+
+describe('appendTransactionRow()', () => {
+  it('creates the sheet and header row before the first row', async () => {
+    const sheets = createMockSheets();
+
+    await expect(
+      appendTransactionRow(sheets, { spreadsheetId: 'ss_1', transaction })
+    ).resolves.toBe(true);
+
+    expect(sheets.spreadsheets.batchUpdate).toHaveBeenCalledTimes(1);
+    expect(sheets.tabs.Transactions).toEqual([
+      SHEET_HEADER,
+      toTransactionRow(transaction),
+    ]);
+  });
+
+  it('adds a header row to an existing empty sheet', async () => {
+    const sheets = createMockSheets({ "Bob's Bills": [] });
+
+    await appendTransactionRow(sheets, {
+      spreadsheetId: 'ss_1',
+      sheetName: "Bob's Bills",
+      transaction,
+    });
+
+    expect(sheets.spreadsheets.batchUpdate).not.toHaveBeenCalled();
+    expect(sheets.spreadsheets.values.update).toHaveBeenCalledWith(
+      expect.objectContaining({ range: "'Bob''s Bills'!A1" })
+    );
+    expect(sheets.tabs["Bob's Bills"]).toHaveLength(2);
+  });
+
+  it('does not add a second row for the same message', async () => {
+    const sheets = createMockSheets();
+    await appendTransactionRow(sheets, { spreadsheetId: 'ss_1', transaction });
+
+    await expect(
+      appendTransactionRow(sheets, { spreadsheetId: 'ss_1', transaction })
+    ).resolves.toBe(false);
+    expect(sheets.tabs.Transactions).toHaveLength(2);
+    expect(sheets.spreadsheets.values.update).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+
+const COMPARE = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+/**
+ * In-memory Firestore stand-in for tests, supporting doc get/set (with
+ * merge)/create/delete, queries with where/orderBy/limit/startAfter and
+ * transactions.
+ *
+ * @param {Object} [initialData] - Documents by collection name, then by ID.
+ * @returns {Object} - The fake, plus `store` (collection name → Map of docs),
+ *   `docs(name)` (one collection's Map, created on first use) and `writes`
+ *   (every doc set, in order).
+ */
+export function createMockFirestore(initialData = {}) {
+  const store = new Map(
+    Object.entries(initialData).map(([name, docs]) => [
+      name,
+      new Map(Object.entries(docs)),
+    ])
+  );
+  const writes = [];
+  const docsFor = (name) => {
+    if (!store.has(name)) {
+      store.set(name, new Map());
+    }
+    return store.get(name);
+  };
+  const snapshot = (id, data) => ({ id, exists: true, data: () => data });
+
+  const query = (name, { filters = [], order = null, limit, after } = {}) => {
+    const state = { filters, order, limit, after };
+    return {
+      where: (field, op, value) =>
+        query(name, { ...state, filters: [...filters, { field, op, value }] }),
+      orderBy: (field, direction = 'asc') =>
+        query(name, { ...state, order: { field, direction } }),
+      limit: (n) => query(name, { ...state, limit: n }),
+      startAfter: (doc) => query(name, { ...state, after: doc.id }),
+      get: jest.fn(async () => {
+        const entries = [...docsFor(name)].filter(([, data]) =>
+          filters.every(({ field, op, value }) =>
+            COMPARE[op](data[field], value)
+          )
+        );
+        if (order) {
+          const sign = order.direction === 'desc' ? -1 : 1;
+          entries.sort(([, a], [, b]) => {
+            const x = a[order.field];
+            const y = b[order.field];
+            return sign * (x < y ? -1 : x > y ? 1 : 0);
+          });
+        }
+        const start = after ? entries.findIndex(([id]) => id === after) + 1 : 0;
+        return {
+          docs: entries
+            .slice(start, limit === undefined ? undefined : start + limit)
+            .map(([id, data]) => snapshot(id, data)),
+        };
+      }),
+    };
+  };
+
+  return {
+    store,
+    writes,
+    docs: docsFor,
+    runTransaction: jest.fn(async (fn) =>
+      fn({
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => ref.set(data, options),
+      })
+    ),
+    collection: jest.fn((name) => ({
+      ...query(name),
+      doc: jest.fn((id) => ({
+        get: jest.fn(async () => {
+          const data = docsFor(name).get(id);
+          return { id, exists: data !== undefined, data: () => data };
+        }),
+        set: jest.fn(async (data, { merge } = {}) => {
+          writes.push({ collection: name, id, data });
+          const existing = merge ? docsFor(name).get(id) : undefined;
+          docsFor(name).set(id, { ...existing, ...data });
+        }),
+        delete: jest.fn(async () => {
+          docsFor(name).delete(id);
+        }),
+        create: jest.fn(async (data) => {
+          if (docsFor(name).has(id)) {
+            const e = new Error('Document already exists');
+            e.code = 6;
+            throw e;
+          }
+          docsFor(name).set(id, data);
+        }),
+      })),
+    })),
+  };
+}
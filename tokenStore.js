@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+export const TOKEN_COLLECTION = 'national_grid_tokens';
+
+const CIPHER = 'aes-256-gcm';
+const PAYLOAD_VERSION = 'v1';
+
+/**
+ * Encrypts tokens into a single string, so the result can be stored in a
+ * Firestore field or as a Secret Manager secret version alike.
+ *
+ * @param {Object} tokens - e.g. `{ refreshToken, accessToken, accessTokenExpiresAt }`.
+ * @param {string} secret - Any high-entropy string; a 256-bit key is derived from it.
+ * @returns {string} - `v1:<iv>:<auth tag>:<ciphertext>`, base64 encoded parts.
+ */
+export function encryptTokens(tokens, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(tokens), 'utf8'),
+    cipher.final(),
+  ]);
+  return [
+    PAYLOAD_VERSION,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64'),
+  ].join(':');
+}
+
+/**
+ * Reverses `encryptTokens`.
+ *
+ * @param {string} payload
+ * @param {string} secret
+ * @returns {Object}
+ * @throws {Error} If the payload is malformed or was encrypted with another secret.
+ */
+export function decryptTokens(payload, secret) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+  if (version !== PAYLOAD_VERSION || !ciphertext) {
+    throw new Error('❌ Unrecognized encrypted token payload');
+  }
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(secret),
+    Buffer.from(iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Creates a token store that keeps encrypted tokens in Firestore, one
+ * document per account. Any object with the same `load`/`save` methods (for
+ * example one backed by Secret Manager) can be used in its place.
+ *
+ * @param {Firestore} firestore - The Firestore instance.
+ * @param {string} secret - Encryption secret (NATIONAL_GRID_TOKEN_KEY).
+ * @returns {{load: function(string): Promise<Object|null>, save: function(string, Object): Promise<void>}}
+ */
+export function createFirestoreTokenStore(firestore, secret) {
+  const docFor = (accountId) =>
+    firestore.collection(TOKEN_COLLECTION).doc(accountId);
+
+  return {
+    async load(accountId) {
+      const docSnap = await docFor(accountId).get();
+      if (!docSnap.exists) {
+        return null;
+      }
+      try {
+        return decryptTokens(docSnap.data().tokens, secret);
+      } catch (error) {
+        logger.warn(
+          `⚠️ Could not decrypt stored tokens for ${accountId}: ${error.message}`
+        );
+        return null;
+      }
+    },
+
+    async save(accountId, tokens) {
+      await docFor(accountId).set({
+        tokens: encryptTokens(tokens, secret),
+        updatedAt: new Date(),
+      });
+      logger.debug(`🔐 Saved encrypted tokens for ${accountId}`);
+    },
+  };
+}
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
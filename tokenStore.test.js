@@ -0,0 +1,76 @@
+import {
+  TOKEN_COLLECTION,
+  createFirestoreTokenStore,
+  decryptTokens,
+  encryptTokens,
+} from './tokenStore.js';
+
+const tokens = {
+  refreshToken: 'refresh-abc',
+  accessToken: 'access-xyz',
+  accessTokenExpiresAt: 1700000000000,
+};
+
+describe('encryptTokens()', () => {
+  it('round-trips through decryptTokens', () => {
+    const payload = encryptTokens(tokens, 'secret');
+
+    expect(payload).toMatch(/^v1:/);
+    expect(payload).not.toContain('refresh-abc');
+    expect(decryptTokens(payload, 'secret')).toEqual(tokens);
+  });
+
+  it('uses a fresh IV for every encryption', () => {
+    expect(encryptTokens(tokens, 'secret')).not.toBe(
+      encryptTokens(tokens, 'secret')
+    );
+  });
+
+  it('rejects payloads encrypted with another secret', () => {
+    const payload = encryptTokens(tokens, 'secret');
+
+    expect(() => decryptTokens(payload, 'other')).toThrow();
+    expect(() => decryptTokens('garbage', 'secret')).toThrow(
+      'Unrecognized encrypted token payload'
+    );
+  });
+});
+
+describe('createFirestoreTokenStore()', () => {
+  let docs;
+  let firestore;
+
+  beforeEach(() => {
+    docs = new Map();
+    firestore = {
+      collection: (name) => ({
+        doc: (id) => ({
+          get: async () => ({
+            exists: docs.has(`${name}/${id}`),
+            data: () => docs.get(`${name}/${id}`),
+          }),
+          set: async (data) => docs.set(`${name}/${id}`, data),
+        }),
+      }),
+    };
+  });
+
+  it('stores tokens encrypted, one document per account', async () => {
+    const store = createFirestoreTokenStore(firestore, 'secret');
+
+    await store.save('1234567890', tokens);
+
+    const doc = docs.get(`${TOKEN_COLLECTION}/1234567890`);
+    expect(doc.tokens).not.toContain('refresh-abc');
+    expect(doc.updatedAt).toBeInstanceOf(Date);
+    await expect(store.load('1234567890')).resolves.toEqual(tokens);
+  });
+
+  it('returns null for unknown accounts and undecryptable tokens', async () => {
+    await createFirestoreTokenStore(firestore, 'old').save('123', tokens);
+    const store = createFirestoreTokenStore(firestore, 'new');
+
+    await expect(store.load('missing')).resolves.toBeNull();
+    await expect(store.load('123')).resolves.toBeNull();
+  });
+});